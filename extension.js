@@ -12,6 +12,7 @@
 import GObject from "gi://GObject";
 import St from "gi://St";
 import GLib from "gi://GLib";
+import Gio from "gi://Gio";
 import Clutter from "gi://Clutter";
 
 import {
@@ -24,16 +25,67 @@ import * as Main from "resource:///org/gnome/shell/ui/main.js";
 
 import { SettingsManager } from "./lib/settings.js";
 import { LLMProviderFactory } from "./lib/llmProviders.js";
-import { ChatMessageDisplay } from "./lib/chatUI.js";
+import { RetryPolicy } from "./lib/retry.js";
+import { ChatMessageDisplay, createThumbnail } from "./lib/chatUI.js";
+import {
+  chooseImageFiles,
+  importImageFile,
+  importScaledImage,
+  removeUnusedAttachments,
+  saveImage,
+} from "./lib/attachments.js";
+import { captureScreenshot } from "./lib/screenshot.js";
+import { ToolRegistry, getToolManifestDir } from "./lib/tools.js";
+import { McpManager } from "./lib/mcp.js";
 import {
   setupShortcut,
   removeShortcut,
   formatString,
   focusInput,
+  expandPromptTemplate,
 } from "./lib/utils.js";
-import { MessageRoles, CSS } from "./lib/constants.js";
+import {
+  MessageRoles,
+  CSS,
+  SettingsKeys,
+  ErrorTypes,
+  DEFAULT_RESPONSE_TOKENS,
+  BudgetActions,
+  ImageMimeTypes,
+  MAX_SCREENSHOT_EDGE,
+} from "./lib/constants.js";
+import { getErrorType } from "./lib/errors.js";
+import {
+  ContextManager,
+  buildSummaryRequest,
+  estimateTokens,
+  getContextLimit,
+  withSummary,
+} from "./lib/contextWindow.js";
+import { formatCost, getExceededBudgets } from "./lib/usage.js";
+import {
+  createTextMessage,
+  getApprovedTools,
+  getMessageImages,
+  getMessageText,
+} from "./lib/messages.js";
 import { hideTooltip, showTooltip } from "./lib/tooltip.js";
 
+// Edge length of the thumbnails of images about to be sent, in pixels
+const ATTACHMENT_THUMBNAIL_SIZE = 48;
+
+// Settings the tool registry is built from
+const TOOL_SETTINGS_KEYS = [
+  SettingsKeys.TOOL_SERVER_URL,
+  SettingsKeys.WEATHER_LATITUDE,
+  SettingsKeys.WEATHER_LONGITUDE,
+  SettingsKeys.FILE_TOOL_FOLDERS,
+  SettingsKeys.COMMAND_ALLOWLIST,
+  SettingsKeys.COMMAND_TIMEOUT,
+  // Tools of removed servers go away
+  SettingsKeys.MCP_SERVERS,
+];
+
 /**
  * Main extension class that handles the chat interface
  */
@@ -51,6 +103,33 @@ const Penguin = GObject.registerClass(
       this._clipboard = this._extension.clipboard;
       this._UI = this._extension.UI;
 
+      // Turn legacy per-provider settings into endpoint profiles
+      this._settingsManager.migrateProfiles();
+
+      // Convert histories saved in the provider-specific message formats
+      this._settingsManager.migrateHistory();
+
+      // Images attached to the message being written ({ path, mimeType })
+      this._pendingImages = [];
+
+      // Connect to the MCP servers so that their tools are listed by the
+      // time the first message is sent
+      this._mcpManager = new McpManager();
+      this._mcpManager.start(this._settingsManager.getMcpServers());
+
+      // Tools offered to the assistant, rebuilt when their settings or the
+      // user's manifests change
+      this._toolRegistry = null;
+      this._requestToolRegistry = null;
+      this._rebuildToolRegistry();
+      this._manifestMonitor = getToolManifestDir().monitor_directory(
+        Gio.FileMonitorFlags.NONE,
+        null,
+      );
+      this._manifestMonitor.connect("changed", () =>
+        this._rebuildToolRegistry(),
+      );
+
       // Load settings
       this._loadSettings();
 
@@ -72,9 +151,7 @@ const Penguin = GObject.registerClass(
         if (event.get_button() === Clutter.BUTTON_MIDDLE) {
           this._openSettings();
           this.menu.close();
-          this._chatLabel?.set_text(
-            this._settingsManager.getLLMProvider().toUpperCase(),
-          );
+          this._refreshProfileMenu();
         }
         return Clutter.EVENT_STOP;
       });
@@ -111,9 +188,28 @@ const Penguin = GObject.registerClass(
       this._chatDisplay.setClipboard(this._clipboard);
       // create chat label
       this._chatLabel = new St.Label({
-        text: this._settingsManager.getLLMProvider().toUpperCase(),
+        text: "",
+        x_expand: true,
         style: "font-weight: bold; font-size: 14px; margin-bottom: 10px;",
       });
+
+      // Create persona selector, a button that unfolds the persona list
+      this._personaButton = new St.Button({
+        can_focus: true,
+        style: "margin-bottom: 10px;",
+      });
+      this._personaList = new St.BoxLayout({
+        vertical: true,
+        visible: false,
+        style: "margin-bottom: 10px;",
+      });
+      this._personaButton.connect("clicked", () => {
+        this._personaList.visible = !this._personaList.visible;
+      });
+
+      const header = new St.BoxLayout({ vertical: false });
+      header.add_child(this._chatLabel);
+      header.add_child(this._personaButton);
       // Create chat input
       this._chatInput = new St.Entry({
         hint_text: this._UI.CHAT_INPUT_PLACEHOLDER,
@@ -127,6 +223,63 @@ const Penguin = GObject.registerClass(
       this._chatInput.clutter_text.connect("activate", () =>
         this._handleUserInput(),
       );
+      this._chatInput.clutter_text.connect("key-press-event", (actor, event) =>
+        this._handleInputKeyPress(event),
+      );
+
+      // Create attach button and the bar showing the attached images
+      this._attachButton = new St.Button({
+        style: "margin-left: 10px;",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "mail-attachment-symbolic",
+          style: "width: 16px; height:16px",
+        }),
+      });
+      this._attachButton.connect("clicked", () => this._chooseImages());
+      this._attachButton.connect("enter-event", () =>
+        showTooltip(this._UI.ATTACH_TOOLTIP),
+      );
+      this._attachButton.connect("leave-event", () => hideTooltip());
+
+      // Create screenshot button
+      this._screenshotButton = new St.Button({
+        style: "margin-left: 10px;",
+        can_focus: true,
+        child: new St.Icon({
+          icon_name: "camera-photo-symbolic",
+          style: "width: 16px; height:16px",
+        }),
+      });
+      this._screenshotButton.connect("clicked", () => {
+        hideTooltip();
+        this._screenshotAndAsk();
+      });
+      this._screenshotButton.connect("enter-event", () =>
+        showTooltip(this._UI.SCREENSHOT_TOOLTIP),
+      );
+      this._screenshotButton.connect("leave-event", () => hideTooltip());
+
+      this._attachmentBar = new St.BoxLayout({
+        vertical: false,
+        visible: false,
+        style_class: CSS.ATTACHMENTS,
+      });
+
+      // Create stop button, only shown while a response is pending
+      this._stopButton = new St.Button({
+        style: "margin-left: 10px;",
+        visible: false,
+        child: new St.Icon({
+          icon_name: "media-playback-stop-symbolic",
+          style: "width: 16px; height:16px",
+        }),
+      });
+      this._stopButton.connect("clicked", () => this._handleStop());
+      this._stopButton.connect("enter-event", () =>
+        showTooltip(this._UI.STOP_TOOLTIP),
+      );
+      this._stopButton.connect("leave-event", () => hideTooltip());
 
       // Create new conversation button
       this._newConversationButton = new St.Button({
@@ -156,6 +309,9 @@ const Penguin = GObject.registerClass(
       });
 
       entryBox.add_child(this._chatInput);
+      entryBox.add_child(this._attachButton);
+      entryBox.add_child(this._screenshotButton);
+      entryBox.add_child(this._stopButton);
       entryBox.add_child(this._newConversationButton);
 
       // Create scrollable chat view
@@ -171,10 +327,18 @@ const Penguin = GObject.registerClass(
         vertical: true,
         style_class: CSS.POPUP_MENU_BOX,
       });
-      layout.add_child(this._chatLabel);
+      layout.add_child(header);
+      layout.add_child(this._personaList);
       layout.add_child(this._chatView);
+      layout.add_child(this._attachmentBar);
       layout.add_child(entryBox);
 
+      // Create endpoint profile selector
+      this._profileMenu = new PopupMenu.PopupSubMenuMenuItem("");
+      this.menu.addMenuItem(this._profileMenu);
+      this._refreshProfileMenu();
+      this._refreshPersonaMenu();
+
       // Add to popup menu
       const popUp = new PopupMenu.PopupMenuSection();
       popUp.actor.add_child(layout);
@@ -193,13 +357,132 @@ const Penguin = GObject.registerClass(
      * @private
      */
     _loadSettings() {
-      this._settingsManager.connectToChanges(() => {
+      this._settingsManager.connectToChanges((settings, key) => {
         this._chatDisplay.updateStyleSettings(
           this._settingsManager.getStyleSettings(),
         );
+
+        if (
+          key === SettingsKeys.PROFILES ||
+          key === SettingsKeys.ACTIVE_PROFILE ||
+          key === SettingsKeys.PERSONAS ||
+          key === SettingsKeys.ACTIVE_PERSONA
+        ) {
+          this._refreshProfileMenu();
+          this._refreshPersonaMenu();
+        }
+
+        if (key === SettingsKeys.MCP_SERVERS) {
+          this._mcpManager.start(this._settingsManager.getMcpServers());
+        }
+
+        if (TOOL_SETTINGS_KEYS.includes(key)) {
+          this._rebuildToolRegistry();
+        } else if (key === SettingsKeys.TOOL_STATES) {
+          this._toolRegistry.setStates(this._settingsManager.getToolStates());
+        } else if (key === SettingsKeys.TOOL_POLICIES) {
+          this._toolRegistry.setPolicies(
+            this._settingsManager.getToolPolicies(),
+          );
+        }
+      });
+    }
+
+    /**
+     * Replace the tool registry with one built from the current settings
+     * and manifests
+     * @private
+     */
+    _rebuildToolRegistry() {
+      const registry = new ToolRegistry({
+        serverUrl: this._settingsManager.getToolServerUrl(),
+        weatherLat: this._settingsManager.getWeatherLatitude(),
+        weatherLon: this._settingsManager.getWeatherLongitude(),
+        fileFolders: this._settingsManager.getFileToolFolders(),
+        commandAllowlist: this._settingsManager.getCommandAllowlist(),
+        commandTimeout: this._settingsManager.getCommandTimeout(),
+      });
+      registry.loadManifests();
+      registry.setStates(this._settingsManager.getToolStates());
+      registry.setPolicies(this._settingsManager.getToolPolicies());
+
+      // A request still running keeps its registry until it ends
+      const previous = this._toolRegistry;
+      this._toolRegistry = registry;
+      if (previous && previous !== this._requestToolRegistry) {
+        previous.destroy();
+      }
+    }
+
+    /**
+     * Rebuild the profile selector and header label from the settings
+     * @private
+     */
+    _refreshProfileMenu() {
+      const profiles = this._settingsManager.getProfiles();
+      const activeProfile = this._settingsManager.getActiveProfile();
+
+      // The header names the profile actually used, which a persona may pick
+      const chatProfile = this._settingsManager.getProfileForPersona(
+        this._settingsManager.getActivePersona(),
+      );
+      this._chatLabel.set_text(chatProfile?.name.toUpperCase() ?? "");
+      this._profileMenu.label.set_text(
+        formatString(this._UI.PROFILE_MENU_LABEL, activeProfile?.name ?? ""),
+      );
+
+      this._profileMenu.menu.removeAll();
+      profiles.forEach((profile) => {
+        const item = new PopupMenu.PopupMenuItem(profile.name);
+        item.setOrnament(
+          profile.id === activeProfile?.id
+            ? PopupMenu.Ornament.CHECK
+            : PopupMenu.Ornament.NONE,
+        );
+        item.connect("activate", () =>
+          this._settingsManager.setActiveProfileId(profile.id),
+        );
+        this._profileMenu.menu.addMenuItem(item);
       });
     }
 
+    /**
+     * Rebuild the persona selector from the settings
+     * @private
+     */
+    _refreshPersonaMenu() {
+      const personas = this._settingsManager.getPersonas();
+      const activePersona = this._settingsManager.getActivePersona();
+
+      this._personaButton.set_label(
+        formatString(
+          this._UI.PERSONA_BUTTON_LABEL,
+          activePersona?.name ?? this._UI.NO_PERSONA,
+        ),
+      );
+      this._personaButton.visible = personas.length > 0;
+      if (personas.length === 0) {
+        this._personaList.hide();
+      }
+
+      this._personaList.destroy_all_children();
+      [{ id: "", name: this._UI.NO_PERSONA }, ...personas].forEach(
+        (persona) => {
+          const isActive = persona.id === (activePersona?.id ?? "");
+          const item = new St.Button({
+            label: isActive ? `✓ ${persona.name}` : persona.name,
+            can_focus: true,
+            x_align: Clutter.ActorAlign.START,
+          });
+          item.connect("clicked", () => {
+            this._personaList.hide();
+            this._settingsManager.setActivePersonaId(persona.id);
+          });
+          this._personaList.add_child(item);
+        },
+      );
+    }
+
     /**
      * Handle user message input
      * @private
@@ -211,25 +494,177 @@ const Penguin = GObject.registerClass(
       }
 
       const input = this._chatInput.get_text();
-      if (!input || input === this._UI.THINKING_TEXT) {
+      if (
+        (!input && this._pendingImages.length === 0) ||
+        input === this._UI.THINKING_TEXT
+      ) {
         return;
       }
 
+      const images = this._pendingImages;
+      this._pendingImages = [];
+      this._refreshAttachmentBar();
+
       // Display user message
-      this._chatDisplay.displayMessage(MessageRoles.USER, input);
+      this._chatDisplay.displayMessage(MessageRoles.USER, input, images);
 
       // Add to history
-      this._history.push({
-        role: MessageRoles.USER,
-        content: input,
-      });
-
-      // Send to LLM
-      this._sendToLLM();
+      this._history.push(createTextMessage(MessageRoles.USER, input, images));
 
       // Disable input during processing
       this._chatInput.set_reactive(false);
       this._chatInput.set_text(this._UI.THINKING_TEXT);
+
+      // Send to LLM
+      this._sendToLLM();
+    }
+
+    /**
+     * Attach an image pasted from the clipboard with Ctrl+V
+     * @param {Clutter.Event} event - Key press event
+     * @returns {boolean} - Whether the event was handled
+     * @private
+     */
+    _handleInputKeyPress(event) {
+      const ctrlV =
+        event.get_state() & Clutter.ModifierType.CONTROL_MASK &&
+        event.get_key_symbol() === Clutter.KEY_v;
+      if (!ctrlV || !this._chatInput.reactive) {
+        return Clutter.EVENT_PROPAGATE;
+      }
+
+      // Text is pasted as usual, images are attached
+      const mimeTypes = this._clipboard.get_mimetypes(
+        St.ClipboardType.CLIPBOARD,
+      );
+      const mimeType = ImageMimeTypes.find((type) => mimeTypes.includes(type));
+      if (!mimeType) {
+        return Clutter.EVENT_PROPAGATE;
+      }
+
+      this._clipboard.get_content(
+        St.ClipboardType.CLIPBOARD,
+        mimeType,
+        (clipboard, bytes) => {
+          if (bytes) {
+            this._attachImage(() => saveImage(bytes, mimeType));
+          }
+        },
+      );
+      return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * Let the user pick images to attach to the next message
+     * @private
+     */
+    _chooseImages() {
+      chooseImageFiles(this._UI.ATTACH_DIALOG_TITLE, (error, files) => {
+        if (error) {
+          this._chatDisplay.displayError(
+            formatString(this._UI.ATTACH_FAILED, error.message),
+            false,
+          );
+          logError(error);
+          return;
+        }
+
+        files.forEach((file) => this._attachImage(() => importImageFile(file)));
+
+        // The dialog took the focus away and closed the popup
+        if (files.length > 0) {
+          this.menu.open();
+        }
+      });
+    }
+
+    /**
+     * Let the user capture part of the screen and attach it to a new message
+     * @private
+     */
+    _screenshotAndAsk() {
+      // Keep the popup out of the screenshot
+      this.menu.close();
+
+      captureScreenshot((error, file) => {
+        if (!error && !file) {
+          return;
+        }
+
+        this.menu.open();
+        if (error) {
+          this._chatDisplay.displayError(
+            formatString(this._UI.ATTACH_FAILED, error.message),
+            false,
+          );
+          logError(error);
+          return;
+        }
+
+        this._attachImage(() => importScaledImage(file, MAX_SCREENSHOT_EDGE));
+        if (this._chatInput.reactive && !this._chatInput.get_text()) {
+          this._chatInput.set_text(this._UI.SCREENSHOT_PROMPT);
+          this._chatInput.clutter_text.set_selection(0, -1);
+        }
+        this._focusInputBox();
+      });
+    }
+
+    /**
+     * Attach an image to the next message
+     * @param {Function} createAttachment - Stores the image and returns a
+     *   promise of the attachment ({ path, mimeType })
+     * @private
+     */
+    _attachImage(createAttachment) {
+      createAttachment().then(
+        (image) => {
+          this._pendingImages.push(image);
+          this._refreshAttachmentBar();
+        },
+        (error) => {
+          this._chatDisplay.displayError(
+            formatString(this._UI.ATTACH_FAILED, error.message),
+            false,
+          );
+          logError(error);
+        },
+      );
+    }
+
+    /**
+     * Show the images attached to the next message, each removable by a click
+     * @private
+     */
+    _refreshAttachmentBar() {
+      this._attachmentBar.destroy_all_children();
+      this._pendingImages.forEach((image) => {
+        const button = new St.Button({
+          child: createThumbnail(image, ATTACHMENT_THUMBNAIL_SIZE),
+          can_focus: true,
+        });
+        button.connect("clicked", () => {
+          hideTooltip();
+          this._pendingImages = this._pendingImages.filter(
+            (pending) => pending !== image,
+          );
+          this._refreshAttachmentBar();
+        });
+        button.connect("enter-event", () =>
+          showTooltip(this._UI.REMOVE_ATTACHMENT_TOOLTIP),
+        );
+        button.connect("leave-event", () => hideTooltip());
+        this._attachmentBar.add_child(button);
+      });
+      this._attachmentBar.visible = this._pendingImages.length > 0;
+    }
+
+    /**
+     * Handle stop button click by cancelling the pending request
+     * @private
+     */
+    _handleStop() {
+      this._cancellable?.cancel();
     }
 
     /**
@@ -237,14 +672,12 @@ const Penguin = GObject.registerClass(
      * @private
      */
     _handleNewConversation() {
-      if (
-        this._chatInput.get_text() === this._UI.NEW_CONVERSATION_TEXT ||
-        this._chatInput.get_text() !== this._UI.THINKING_TEXT
-      ) {
+      if (!this._cancellable) {
         // Clear history
         this._history = [];
         this._settingsManager.setHistory([]);
         this._chatDisplay.clear();
+        removeUnusedAttachments(this._pendingImages);
       } else {
         this._chatDisplay.displayMessage(
           MessageRoles.ASSISTANT,
@@ -290,54 +723,454 @@ const Penguin = GObject.registerClass(
      * @private
      */
     _sendToLLM() {
-      const provider = this._settingsManager.getLLMProvider();
-      const apiKey = this._settingsManager.getApiKey(provider);
-      const model = this._settingsManager.getModel(provider);
+      const persona = this._settingsManager.getActivePersona();
+      const profile = this._settingsManager.getProfileForPersona(persona);
+      if (!profile) {
+        this._chatDisplay.displayError(this._UI.ERROR_NO_PROFILE, true);
+        this._chatInput.set_reactive(true);
+        this._chatInput.set_text("");
+        return;
+      }
 
-      // Prepare tool configuration
-      const toolConfig = {
-        serverUrl: this._settingsManager.getToolServerUrl(),
-        weatherLat: this._settingsManager.getWeatherLatitude(),
-        weatherLon: this._settingsManager.getWeatherLongitude(),
-      };
+      // Refuse to send once a blocking budget is used up
+      const budget = this._settingsManager.getUsageBudget();
+      const exceededBefore = getExceededBudgets(
+        this._settingsManager.getUsageStats(),
+        budget,
+      );
+      if (budget.action === BudgetActions.BLOCK && exceededBefore.length > 0) {
+        this._chatDisplay.displayError(
+          [
+            ...exceededBefore.map((exceeded) => this._formatBudget(exceeded)),
+            this._UI.BUDGET_BLOCKED,
+          ].join(" "),
+          true,
+        );
+        this._chatInput.set_text("");
+        this._restoreUnansweredPrompt();
+        this._chatInput.set_reactive(true);
+        return;
+      }
+
+      // MCP servers may have listed their tools since the last message
+      const toolRegistry = this._toolRegistry;
+      this._mcpManager.registerTools(toolRegistry);
 
-      const llmProvider = LLMProviderFactory.createProvider(
-        provider,
-        apiKey,
-        model,
-        toolConfig,
+      // Calls that need approval are asked about in the chat; ask-once tools
+      // approved earlier in the conversation are not asked about again
+      toolRegistry.setApprover(
+        (request, callback, approvalCancellable) =>
+          this._chatDisplay.displayToolApproval(
+            request,
+            callback,
+            approvalCancellable,
+          ),
+        getApprovedTools(this._history),
       );
 
-      llmProvider.sendRequest(this._history, (error, response) => {
-        if (error) {
-          let errorMessage;
-          if (error.message?.includes("HTTP error")) {
-            errorMessage = formatString(UI.ERROR_API_KEY, provider);
-          } else {
-            errorMessage = formatString(UI.ERROR_GENERIC, error.toString());
+      // Persona instructions add to the standing system prompt
+      const systemPrompt = expandPromptTemplate(
+        [this._settingsManager.getSystemPrompt(), persona?.instructions]
+          .filter(Boolean)
+          .join("\n\n"),
+      );
+
+      // Record which persona answered on the conversation
+      const personaRecord = persona
+        ? { id: persona.id, name: persona.name }
+        : undefined;
+
+      this._cancellable = new Gio.Cancellable();
+      const cancellable = this._cancellable;
+      this._requestToolRegistry = toolRegistry;
+      this._stopButton.show();
+
+      const retryPolicy = new RetryPolicy({
+        maxAttempts: this._settingsManager.getRetryMaxAttempts(),
+        onRetry: ({ attempt, maxAttempts, delay }) =>
+          this._chatInput.set_text(
+            formatString(
+              this._UI.RETRYING,
+              Math.ceil(delay / 1000),
+              attempt,
+              maxAttempts,
+            ),
+          ),
+      });
+      const generationParams = this._settingsManager.getProfileGenerationParams(
+        profile,
+        persona,
+      );
+
+      // Keep the conversation within the context window of the chat profile
+      const contextLimit =
+        this._settingsManager.getContextLimit() ||
+        getContextLimit(profile.provider, profile.model);
+      const contextManager = new ContextManager({
+        strategy: this._settingsManager.getContextStrategy(),
+        contextLimit,
+        windowMessages: this._settingsManager.getContextWindowMessages(),
+        summarize: (previousSummary, messages, callback) => {
+          this._chatInput.set_text(this._UI.SUMMARIZING_CONTEXT);
+
+          const summarizer = LLMProviderFactory.createProviderFromProfile(
+            profile,
+            null,
+            generationParams,
+          );
+          summarizer.setRetryPolicy(retryPolicy);
+          summarizer.setUsageListener(this._createUsageListener(profile));
+          summarizer.sendRequest(
+            buildSummaryRequest(previousSummary, messages),
+            callback,
+            null,
+            cancellable,
+          );
+        },
+      });
+      const reservedTokens =
+        estimateTokens(systemPrompt) +
+        Math.min(
+          generationParams.maxTokens ?? DEFAULT_RESPONSE_TOKENS,
+          Math.floor(contextLimit / 4),
+        );
+
+      contextManager.prepare(
+        this._history,
+        reservedTokens,
+        (error, context) => {
+          if (cancellable.is_cancelled() || error) {
+            this._chatInput.set_text("");
+            if (cancellable.is_cancelled()) {
+              this._handleStoppedResponse(personaRecord);
+            } else {
+              this._displayRequestError(error, profile.name);
+              logError(error);
+            }
+            this._warnAboutBudget(exceededBefore);
+            this._endRequest();
+            return;
           }
 
-          this._chatDisplay.displayError(errorMessage, true);
-          logError(error);
-        } else {
-          // Display the response
-          this._chatDisplay.displayMessage(MessageRoles.ASSISTANT, response);
-
-          // Add to history
-          this._history.push({
-            role: MessageRoles.ASSISTANT,
-            content: response,
+          if (context.compacted) {
+            this._history = context.history;
+            this._settingsManager.setHistory(this._history);
+            this._chatDisplay.loadHistory(this._history);
+          }
+
+          this._requestResponse({
+            profile,
+            persona,
+            personaRecord,
+            toolRegistry,
+            systemPrompt: withSummary(systemPrompt, context.summary),
+            retryPolicy,
+            messages: context.messages,
+            cancellable,
+            exceededBefore,
           });
+        },
+      );
+    }
+
+    /**
+     * Send the prepared conversation through the chat profile and its fallbacks
+     * @param {object} request - Request details (profile, persona,
+     *   personaRecord, toolRegistry, systemPrompt, retryPolicy, messages,
+     *   cancellable, exceededBefore)
+     * @private
+     */
+    _requestResponse({
+      profile,
+      persona,
+      personaRecord,
+      toolRegistry,
+      systemPrompt,
+      retryPolicy,
+      messages,
+      cancellable,
+      exceededBefore,
+    }) {
+      // Tokens of every turn, including tool calls and fallbacks
+      const totalUsage = { inputTokens: 0, outputTokens: 0 };
+
+      // The chat profile first, then the configured fallbacks
+      const profiles = [
+        profile,
+        ...this._settingsManager.getFallbackProfiles(profile),
+      ];
+      const llmProvider = LLMProviderFactory.createProviderChain(
+        profiles.map((chainProfile) => {
+          const provider = LLMProviderFactory.createProviderFromProfile(
+            chainProfile,
+            toolRegistry,
+            this._settingsManager.getProfileGenerationParams(
+              chainProfile,
+              persona,
+            ),
+          );
+          provider.setSystemPrompt(systemPrompt);
+          provider.setUsageListener(
+            this._createUsageListener(chainProfile, totalUsage),
+          );
+          provider.setToolListener((calls, results) =>
+            this._chatDisplay.displayToolTrace(calls, results),
+          );
+          return { provider, label: chainProfile.name };
+        }),
+        (failedLabel, nextLabel) =>
+          this._chatInput.set_text(
+            formatString(this._UI.FALLING_BACK, failedLabel, nextLabel),
+          ),
+      );
+      llmProvider.setRetryPolicy(retryPolicy);
+
+      this._chatInput.set_text(this._UI.THINKING_TEXT);
+      this._chatDisplay.beginStreamingMessage();
+
+      llmProvider.sendRequest(
+        messages,
+        (error, response, label, turns) => {
+          // Name the profile in the bubble when a fallback answered
+          const answeredBy = label !== profile.name ? label : undefined;
+          const usage =
+            totalUsage.inputTokens || totalUsage.outputTokens
+              ? totalUsage
+              : undefined;
+
+          // Clear the status text; a stopped prompt may be put back below
+          this._chatInput.set_text("");
+
+          if (cancellable.is_cancelled()) {
+            this._handleStoppedResponse(
+              personaRecord,
+              answeredBy,
+              usage,
+              turns,
+            );
+          } else if (error) {
+            this._chatDisplay.cancelStreamingMessage();
+            this._displayRequestError(error, label);
+            logError(error);
+
+            // Tools that ran before the failure, and the approvals given
+            // for them, are kept
+            if (turns.length > 0) {
+              this._history.push(...turns);
+              this._settingsManager.setHistory(this._history);
+            }
+          } else {
+            // Render the complete response into the streamed bubble
+            this._chatDisplay.finishStreamingMessage(response, {
+              answeredBy,
+              usage,
+            });
+
+            // Add to history, after the tool calls that led to the response
+            this._history.push(
+              ...turns,
+              createTextMessage(MessageRoles.ASSISTANT, response, [], {
+                persona: personaRecord,
+                answeredBy,
+                usage,
+              }),
+            );
+
+            // Save updated history
+            this._settingsManager.setHistory(this._history);
+          }
+
+          this._warnAboutBudget(exceededBefore);
+          this._endRequest();
+        },
+        (delta) => this._chatDisplay.appendToStreamingMessage(delta),
+        cancellable,
+      );
+    }
 
-          // Save updated history
-          this._settingsManager.setHistory(this._history);
+    /**
+     * Reset the chat controls once a request has finished
+     * @private
+     */
+    _endRequest() {
+      this._cancellable = null;
+      this._stopButton.hide();
+
+      // Tool settings changed while the request ran
+      if (this._requestToolRegistry !== this._toolRegistry) {
+        this._requestToolRegistry?.destroy();
+      }
+      this._requestToolRegistry = null;
+
+      // Re-enable input
+      this._chatInput.set_reactive(true);
+      this._focusInputBox();
+    }
+
+    /**
+     * Create a usage listener that records the tokens used through a profile
+     * @param {object} profile - Profile the provider was created from
+     * @param {object} total - Optional running total ({ inputTokens,
+     *   outputTokens }) to add the tokens to
+     * @returns {Function} - Usage listener
+     * @private
+     */
+    _createUsageListener(profile, total = null) {
+      return (usage) => {
+        this._settingsManager.recordUsage(
+          profile.provider,
+          profile.model,
+          usage,
+        );
+        if (total) {
+          total.inputTokens += usage.inputTokens;
+          total.outputTokens += usage.outputTokens;
         }
+      };
+    }
 
-        // Re-enable input
-        this._chatInput.set_reactive(true);
-        this._chatInput.set_text("");
-        this._focusInputBox();
-      });
+    /**
+     * Tell the user about budgets that were used up by the last request
+     * @param {Array} exceededBefore - Budgets already used up before it
+     * @private
+     */
+    _warnAboutBudget(exceededBefore) {
+      const exceeded = getExceededBudgets(
+        this._settingsManager.getUsageStats(),
+        this._settingsManager.getUsageBudget(),
+      ).filter(
+        ({ period }) =>
+          !exceededBefore.some((before) => before.period === period),
+      );
+
+      exceeded.forEach((budget) =>
+        this._chatDisplay.displayNotice(this._formatBudget(budget)),
+      );
+    }
+
+    /**
+     * Describe a used up budget
+     * @param {object} budget - Budget ({ period, limit, spent })
+     * @returns {string} - Description
+     * @private
+     */
+    _formatBudget({ period, limit, spent }) {
+      return formatString(
+        period === "daily"
+          ? this._UI.BUDGET_DAILY_EXCEEDED
+          : this._UI.BUDGET_MONTHLY_EXCEEDED,
+        formatCost(limit),
+        formatCost(spent),
+      );
+    }
+
+    /**
+     * Explain a failed request and offer the action most likely to fix it
+     * @param {Error} error - Error the request ended with
+     * @param {string} profileName - Name of the profile that failed last
+     * @private
+     */
+    _displayRequestError(error, profileName) {
+      const newConversation = {
+        label: this._UI.NEW_CONVERSATION_ACTION,
+        callback: () => this._handleNewConversation(),
+      };
+
+      // [message, show settings button, extra action]
+      const explanations = {
+        [ErrorTypes.AUTH]: [this._UI.ERROR_API_KEY, true],
+        [ErrorTypes.QUOTA]: [this._UI.ERROR_QUOTA, true],
+        [ErrorTypes.RATE_LIMIT]: [this._UI.ERROR_RATE_LIMIT, false],
+        [ErrorTypes.MODEL_NOT_FOUND]: [this._UI.ERROR_MODEL_NOT_FOUND, true],
+        [ErrorTypes.CONTEXT_TOO_LONG]: [
+          this._UI.ERROR_CONTEXT_TOO_LONG,
+          false,
+          newConversation,
+        ],
+        [ErrorTypes.SAFETY_BLOCK]: [this._UI.ERROR_SAFETY_BLOCK, false],
+        [ErrorTypes.NETWORK]: [this._UI.ERROR_NETWORK, true],
+        [ErrorTypes.SERVER]: [this._UI.ERROR_SERVER, true],
+      };
+
+      const explanation = explanations[getErrorType(error)];
+      if (!explanation) {
+        this._chatDisplay.displayError(
+          formatString(this._UI.ERROR_GENERIC, error.toString()),
+          true,
+        );
+        return;
+      }
+
+      const [text, showSettingsButton, action] = explanation;
+      this._chatDisplay.displayError(
+        formatString(text, profileName, error.message),
+        showSettingsButton,
+        action,
+      );
+    }
+
+    /**
+     * Record a response the user stopped before it completed
+     * @param {object} personaRecord - Persona that answered ({ id, name }), if any
+     * @param {string} answeredBy - Fallback profile that answered, if any
+     * @param {object} usage - Tokens used so far ({ inputTokens,
+     *   outputTokens }), if known
+     * @param {Array} turns - Tool call and result messages of the response
+     *   so far, already shown in the chat
+     * @private
+     */
+    _handleStoppedResponse(personaRecord, answeredBy, usage, turns = []) {
+      const partial = this._chatDisplay.getStreamingText();
+
+      // Tools that already ran stay in the history, as in the chat
+      this._history.push(...turns);
+
+      if (partial) {
+        // Keep what arrived so far, marked as stopped
+        this._chatDisplay.finishStreamingMessage(partial, {
+          stopped: true,
+          answeredBy,
+          usage,
+        });
+        this._history.push(
+          createTextMessage(MessageRoles.ASSISTANT, partial, [], {
+            stopped: true,
+            persona: personaRecord,
+            answeredBy,
+            usage,
+          }),
+        );
+        this._settingsManager.setHistory(this._history);
+        return;
+      }
+
+      this._chatDisplay.cancelStreamingMessage();
+      this._chatDisplay.displayMessage(
+        MessageRoles.ASSISTANT,
+        `*${this._UI.RESPONSE_STOPPED}*`,
+      );
+      if (turns.length > 0) {
+        this._settingsManager.setHistory(this._history);
+        return;
+      }
+
+      // Nothing arrived: drop the unanswered prompt and hand it back for editing
+      this._restoreUnansweredPrompt();
+    }
+
+    /**
+     * Drop the unanswered last prompt and hand it back for editing
+     * @private
+     */
+    _restoreUnansweredPrompt() {
+      const last = this._history[this._history.length - 1];
+      if (last?.role === MessageRoles.USER) {
+        this._history.pop();
+        this._settingsManager.setHistory(this._history);
+        this._chatInput.set_text(getMessageText(last));
+        this._pendingImages = getMessageImages(last);
+        this._refreshAttachmentBar();
+      }
     }
 
     /**
@@ -351,6 +1184,12 @@ const Penguin = GObject.registerClass(
         this._extension.settings,
         this._toggleChatWindow.bind(this),
       );
+      setupShortcut(
+        this._settingsManager.getScreenshotShortcut(),
+        this._extension.settings,
+        this._screenshotAndAsk.bind(this),
+        SettingsKeys.SCREENSHOT_SHORTCUT,
+      );
     }
 
     /**
@@ -359,6 +1198,7 @@ const Penguin = GObject.registerClass(
      */
     _unbindShortcut() {
       removeShortcut();
+      removeShortcut(SettingsKeys.SCREENSHOT_SHORTCUT);
     }
 
     /**
@@ -408,8 +1248,17 @@ const Penguin = GObject.registerClass(
         this._timeoutFocusInputBox = null;
       }
 
+      this._cancellable?.cancel();
+      this._cancellable = null;
+
       this._unbindShortcut();
       this._settingsManager.disconnectAll();
+      this._manifestMonitor.cancel();
+      if (this._requestToolRegistry !== this._toolRegistry) {
+        this._requestToolRegistry?.destroy();
+      }
+      this._toolRegistry.destroy();
+      this._mcpManager.stop();
       this._chatDisplay.destroy();
 
       hideTooltip();
@@ -432,12 +1281,94 @@ export default class PenguinExtension extends Extension {
       COPY_TEXT_HINT: _("Click on text to copy"),
       LOADING_HISTORY: _("Loading history..."),
       ERROR_API_KEY: _(
-        "Hmm, an error occurred when trying to reach out to the assistant.\nCheck your API key and model settings for {0} and try again. It could also be your internet connection!",
+        "The provider of the {0} profile rejected the API key.\n\n{1}\n\nCheck the API key of this profile in the settings.",
+      ),
+      ERROR_QUOTA: _(
+        "The account used by the {0} profile has run out of quota or credit.\n\n{1}\n\nCheck your plan and billing with the provider, or switch to another profile.",
+      ),
+      ERROR_RATE_LIMIT: _(
+        "The provider of the {0} profile is limiting requests right now.\n\n{1}\n\nWait a moment and send your message again.",
+      ),
+      ERROR_MODEL_NOT_FOUND: _(
+        "The model of the {0} profile is not available.\n\n{1}\n\nCheck the model name in the settings. For a local server, make sure the model has been pulled.",
+      ),
+      ERROR_CONTEXT_TOO_LONG: _(
+        "This conversation is too long for the model of the {0} profile.\n\n{1}\n\nStart a new conversation or switch to a model with a larger context window.",
+      ),
+      ERROR_SAFETY_BLOCK: _(
+        "The provider of the {0} profile declined to answer because of its safety filters.\n\n{1}\n\nTry rephrasing your message.",
+      ),
+      ERROR_NETWORK: _(
+        "Could not reach the server of the {0} profile.\n\n{1}\n\nCheck your internet connection and the base URL of this profile.",
+      ),
+      ERROR_SERVER: _(
+        "The provider of the {0} profile is having trouble answering right now.\n\n{1}\n\nTry again later or switch to another profile.",
       ),
       ERROR_GENERIC: _(
         "We are having trouble getting a response from the assistant. \nHere is the error - if it helps at all: \n\n{0} \n\nSome tips:\n\n- Check your internet connection\n- If you recently changed your provider, try deleting your history.",
       ),
 
+      ERROR_NO_PROFILE: _(
+        "No endpoint profile is configured. Add one in the settings and try again.",
+      ),
+      PROFILE_MENU_LABEL: _("Profile: {0}"),
+      PERSONA_BUTTON_LABEL: _("Persona: {0}"),
+      NO_PERSONA: _("None"),
+      STOP_TOOLTIP: _("Stop the response"),
+      RESPONSE_STOPPED: _("Response stopped."),
+      RETRYING: _("Retrying in {0}s (attempt {1}/{2})..."),
+      FALLING_BACK: _("{0} failed, trying {1}..."),
+      ANSWERED_BY: _("Answered by {0}"),
+      TOKEN_USAGE: _("{0} tokens in, {1} out"),
+      BUDGET_DAILY_EXCEEDED: _(
+        "The daily budget of {0} is used up ({1} spent).",
+      ),
+      BUDGET_MONTHLY_EXCEEDED: _(
+        "The monthly budget of {0} is used up ({1} spent).",
+      ),
+      BUDGET_BLOCKED: _(
+        "Requests are blocked until the budget period ends. Raise or remove the budget in the settings.",
+      ),
+      ATTACH_TOOLTIP: _("Attach images (or paste one with Ctrl+V)"),
+      ATTACH_DIALOG_TITLE: _("Images"),
+      ATTACH_FAILED: _("Could not attach the image: {0}"),
+      REMOVE_ATTACHMENT_TOOLTIP: _("Click to remove"),
+      SCREENSHOT_TOOLTIP: _("Take a screenshot and ask about it"),
+      SCREENSHOT_PROMPT: _("What can you tell me about this screenshot?"),
+      SUMMARIZING_CONTEXT: _("Summarizing earlier messages..."),
+      CONTEXT_TRUNCATED: _(
+        "{0} earlier messages are no longer sent to the assistant.",
+      ),
+      CONTEXT_SUMMARIZED: _(
+        "{0} earlier messages were summarized for the assistant.",
+      ),
+      TOOL_TRACE_ARGUMENTS: _("Arguments:"),
+      TOOL_TRACE_RESULT: _("Result:"),
+      TOOL_TRACE_ERROR: _("Error:"),
+      TOOL_TRACE_SHOW_ALL: _("Show all {0} characters"),
+      TOOL_TRACE_FAILED: _("failed"),
+      TOOL_TRACE_NOT_RUN: _("not run"),
+      TOOL_TRACE_NO_RESULT: _("no result"),
+      TOOL_TRACE_MILLISECONDS: _("{0} ms"),
+      TOOL_TRACE_SECONDS: _("{0} s"),
+      TOOL_APPROVAL_QUESTION: _("Allow the {0} tool to run?"),
+      TOOL_APPROVAL_ONCE: _(
+        "Once allowed, it runs without asking for the rest of this conversation.",
+      ),
+      TOOL_APPROVAL_REQUIRED: _(
+        "This call is not on your allowlist, so it always needs your approval.",
+      ),
+      TOOL_ALLOW: _("Allow"),
+      TOOL_DENY: _("Deny"),
+      TOOL_APPROVED: _("You allowed the {0} tool"),
+      TOOL_DENIED: _("You denied the {0} tool"),
+      TOOL_BLOCKED: _("The {0} tool is blocked in the settings"),
+      TOOL_APPROVAL_STOPPED: _("Not run, the response was stopped"),
+      NEW_CONVERSATION_ACTION: _("Start a new conversation"),
+      NEW_CONVERSATION_WHILE_THINKING: _(
+        "Stop the current response before starting a new conversation.",
+      ),
+
       SETTINGS_BUTTON_TEXT: _("Click here to go to settings"),
       PREFERENCES_SAVED: _("Preferences Saved"),
       SAVE_PREFERENCES: _("Save Preferences"),
@@ -0,0 +1,408 @@
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import GdkPixbuf from "gi://GdkPixbuf";
+import { DATA_DIR_NAME, ImageMimeTypes, MAX_IMAGE_BYTES } from "./constants.js";
+
+const PORTAL_BUS_NAME = "org.freedesktop.portal.Desktop";
+const PORTAL_OBJECT_PATH = "/org/freedesktop/portal/desktop";
+
+/**
+ * Get the directory images attached to messages are kept in
+ * @returns {Gio.File} - Attachment directory
+ */
+export function getAttachmentDir() {
+  return Gio.File.new_for_path(
+    GLib.build_filenamev([
+      GLib.get_user_data_dir(),
+      DATA_DIR_NAME,
+      "attachments",
+    ]),
+  );
+}
+
+/**
+ * Store image data as an attachment
+ * @param {GLib.Bytes|Uint8Array} bytes - Image data
+ * @param {string} mimeType - Image type, one of ImageMimeTypes
+ * @returns {Promise<object>} - Attachment ({ path, mimeType })
+ * @throws {Error} - If the type is not supported or the image is too large
+ */
+export async function saveImage(bytes, mimeType) {
+  const data = bytes instanceof GLib.Bytes ? bytes.get_data() : bytes;
+  checkImage(data.length, mimeType);
+
+  const dir = getAttachmentDir();
+  await makeDirectory(dir);
+
+  const extension = mimeType.split("/")[1];
+  const file = dir.get_child(`${GLib.uuid_string_random()}.${extension}`);
+  await new Promise((resolve, reject) =>
+    file.replace_contents_bytes_async(
+      new GLib.Bytes(data),
+      null,
+      false,
+      Gio.FileCreateFlags.PRIVATE,
+      null,
+      (source, result) => {
+        try {
+          source.replace_contents_finish(result);
+          resolve();
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+  return { path: file.get_path(), mimeType };
+}
+
+/**
+ * Copy an image file into the attachment directory, so that the
+ * conversation keeps working when the original is moved or deleted
+ * @param {Gio.File} file - Image file
+ * @returns {Promise<object>} - Attachment ({ path, mimeType })
+ * @throws {Error} - If the file is not a supported image or too large
+ */
+export async function importImageFile(file) {
+  const info = await new Promise((resolve, reject) =>
+    file.query_info_async(
+      "standard::content-type,standard::size",
+      Gio.FileQueryInfoFlags.NONE,
+      GLib.PRIORITY_DEFAULT,
+      null,
+      (source, result) => {
+        try {
+          resolve(source.query_info_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+  const mimeType = Gio.content_type_get_mime_type(info.get_content_type());
+  checkImage(info.get_size(), mimeType);
+
+  return saveImage(await loadContents(file, null), mimeType);
+}
+
+/**
+ * Store a copy of an image file, scaled down to fit a maximum size
+ * @param {Gio.File} file - Image file
+ * @param {number} maxEdge - Longest edge in pixels
+ * @returns {Promise<object>} - Attachment ({ path, mimeType }) of a PNG image
+ * @throws {Error} - If the file cannot be read as an image or is too large
+ */
+export async function importScaledImage(file, maxEdge) {
+  // Decoding a full-size screenshot takes long enough to stall the shell,
+  // so the image is read, scaled and encoded asynchronously
+  const [, width, height] = await new Promise((resolve, reject) =>
+    GdkPixbuf.Pixbuf.get_file_info_async(
+      file.get_path(),
+      null,
+      (source, result) => {
+        try {
+          resolve(GdkPixbuf.Pixbuf.get_file_info_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+
+  const input = await new Promise((resolve, reject) =>
+    file.read_async(GLib.PRIORITY_DEFAULT, null, (source, result) => {
+      try {
+        resolve(source.read_finish(result));
+      } catch (e) {
+        reject(e);
+      }
+    }),
+  );
+  let pixbuf;
+  try {
+    pixbuf = await new Promise((resolve, reject) => {
+      const done = (source, result) => {
+        try {
+          resolve(GdkPixbuf.Pixbuf.new_from_stream_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      };
+      if (Math.max(width, height) > maxEdge) {
+        GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(
+          input,
+          maxEdge,
+          maxEdge,
+          true,
+          null,
+          done,
+        );
+      } else {
+        GdkPixbuf.Pixbuf.new_from_stream_async(input, null, done);
+      }
+    });
+  } finally {
+    input.close_async(GLib.PRIORITY_DEFAULT, null, null);
+  }
+
+  const output = Gio.MemoryOutputStream.new_resizable();
+  await new Promise((resolve, reject) =>
+    pixbuf.save_to_streamv_async(
+      output,
+      "png",
+      [],
+      [],
+      null,
+      (source, result) => {
+        try {
+          resolve(GdkPixbuf.Pixbuf.save_to_stream_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+  output.close(null);
+  return saveImage(output.steal_as_bytes(), "image/png");
+}
+
+/**
+ * Read an attachment as base64 for a request
+ * @param {object} image - Attachment ({ path, mimeType })
+ * @param {Gio.Cancellable} cancellable - Optional cancellable to stop reading
+ * @returns {Promise<string|null>} - Base64 encoded data, null if the file
+ *   is gone
+ * @throws {Error} - If reading was cancelled
+ */
+export async function readImageBase64(image, cancellable = null) {
+  try {
+    const contents = await loadContents(
+      Gio.File.new_for_path(image.path),
+      cancellable,
+    );
+    return GLib.base64_encode(contents);
+  } catch (e) {
+    if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+      throw e;
+    }
+    logError(e, `Failed to read attachment ${image.path}`);
+    return null;
+  }
+}
+
+/**
+ * Delete the attachments no message refers to anymore
+ * @param {Array} keep - Attachments still in use ({ path })
+ * @returns {Promise} - Resolved once they are deleted; failures are logged
+ */
+export async function removeUnusedAttachments(keep) {
+  const used = new Set(keep.map(({ path }) => path));
+  const dir = getAttachmentDir();
+
+  let children;
+  try {
+    children = await new Promise((resolve, reject) =>
+      dir.enumerate_children_async(
+        "standard::name",
+        Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+        GLib.PRIORITY_DEFAULT,
+        null,
+        (source, result) => {
+          try {
+            resolve(source.enumerate_children_finish(result));
+          } catch (e) {
+            reject(e);
+          }
+        },
+      ),
+    );
+  } catch (e) {
+    // Nothing was ever attached
+    return;
+  }
+
+  try {
+    for (;;) {
+      const infos = await new Promise((resolve, reject) =>
+        children.next_files_async(
+          100,
+          GLib.PRIORITY_DEFAULT,
+          null,
+          (source, result) => {
+            try {
+              resolve(source.next_files_finish(result));
+            } catch (e) {
+              reject(e);
+            }
+          },
+        ),
+      );
+      if (infos.length === 0) {
+        break;
+      }
+
+      for (const info of infos) {
+        const child = dir.get_child(info.get_name());
+        if (!used.has(child.get_path())) {
+          await deleteFile(child);
+        }
+      }
+    }
+  } catch (e) {
+    logError(e, "Failed to list the attachments");
+  } finally {
+    children.close_async(GLib.PRIORITY_DEFAULT, null, null);
+  }
+}
+
+/**
+ * Let the user pick image files through the desktop file chooser portal
+ * @param {string} title - Dialog title
+ * @param {Function} callback - Callback with (error, files) where files is
+ *   an array of Gio.File, empty if the dialog was cancelled
+ */
+export function chooseImageFiles(title, callback) {
+  const connection = Gio.DBus.session;
+  const token = `penguin${GLib.random_int()}`;
+  const sender = connection.get_unique_name().slice(1).replace(/\./g, "_");
+  const requestPath = `${PORTAL_OBJECT_PATH}/request/${sender}/${token}`;
+
+  // Subscribe before calling so that a fast response cannot be missed
+  const subscriptionId = connection.signal_subscribe(
+    PORTAL_BUS_NAME,
+    "org.freedesktop.portal.Request",
+    "Response",
+    requestPath,
+    null,
+    Gio.DBusSignalFlags.NO_MATCH_RULE,
+    (conn, senderName, path, iface, signal, parameters) => {
+      connection.signal_unsubscribe(subscriptionId);
+
+      const [response, results] = parameters.deepUnpack();
+      // 0 means success, anything else a cancelled or closed dialog
+      const uris = response === 0 ? (results.uris?.deepUnpack() ?? []) : [];
+      callback(
+        null,
+        uris.map((uri) => Gio.File.new_for_uri(uri)),
+      );
+    },
+  );
+
+  const filters = new GLib.Variant("a(sa(us))", [
+    [title, ImageMimeTypes.map((mimeType) => [1, mimeType])],
+  ]);
+  connection.call(
+    PORTAL_BUS_NAME,
+    PORTAL_OBJECT_PATH,
+    "org.freedesktop.portal.FileChooser",
+    "OpenFile",
+    new GLib.Variant("(ssa{sv})", [
+      "",
+      title,
+      {
+        handle_token: new GLib.Variant("s", token),
+        multiple: new GLib.Variant("b", true),
+        filters,
+      },
+    ]),
+    null,
+    Gio.DBusCallFlags.NONE,
+    -1,
+    null,
+    (conn, result) => {
+      try {
+        conn.call_finish(result);
+      } catch (error) {
+        connection.signal_unsubscribe(subscriptionId);
+        callback(error, null);
+      }
+    },
+  );
+}
+
+/**
+ * Check that an image can be attached
+ * @param {number} size - Size in bytes
+ * @param {string} mimeType - Image type
+ * @throws {Error} - If the type is not supported or the image is too large
+ */
+function checkImage(size, mimeType) {
+  if (!ImageMimeTypes.includes(mimeType)) {
+    throw new Error(`Unsupported image type: ${mimeType}`);
+  }
+  if (size > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`,
+    );
+  }
+}
+
+/**
+ * Create a directory and any missing parents
+ * @param {Gio.File} dir - Directory
+ * @returns {Promise} - Resolved once the directory exists
+ */
+async function makeDirectory(dir) {
+  try {
+    await new Promise((resolve, reject) =>
+      dir.make_directory_async(
+        GLib.PRIORITY_DEFAULT,
+        null,
+        (source, result) => {
+          try {
+            resolve(source.make_directory_finish(result));
+          } catch (e) {
+            reject(e);
+          }
+        },
+      ),
+    );
+  } catch (e) {
+    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+      return;
+    }
+    const parent = dir.get_parent();
+    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND) || !parent) {
+      throw e;
+    }
+    await makeDirectory(parent);
+    await makeDirectory(dir);
+  }
+}
+
+/**
+ * Read a whole file
+ * @param {Gio.File} file - File
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<Uint8Array>} - Contents
+ */
+function loadContents(file, cancellable) {
+  return new Promise((resolve, reject) =>
+    file.load_contents_async(cancellable, (source, result) => {
+      try {
+        const [, contents] = source.load_contents_finish(result);
+        resolve(contents);
+      } catch (e) {
+        reject(e);
+      }
+    }),
+  );
+}
+
+/**
+ * Delete an attachment, logging failures
+ * @param {Gio.File} file - Attachment file
+ * @returns {Promise} - Resolved once the file is deleted or failed to be
+ */
+function deleteFile(file) {
+  return new Promise((resolve) =>
+    file.delete_async(GLib.PRIORITY_DEFAULT, null, (source, result) => {
+      try {
+        source.delete_finish(result);
+      } catch (e) {
+        logError(e, `Failed to delete attachment ${source.get_path()}`);
+      }
+      resolve();
+    }),
+  );
+}
@@ -1,9 +1,73 @@
 import St from "gi://St";
 import Pango from "gi://Pango";
 import GLib from "gi://GLib";
-import { MessageRoles, CSS } from "./constants.js";
+import GObject from "gi://GObject";
+import Gio from "gi://Gio";
+import Clutter from "gi://Clutter";
+import {
+  MessageRoles,
+  CSS,
+  PartTypes,
+  ToolApprovals,
+  ToolPolicies,
+} from "./constants.js";
+import {
+  getMessageImages,
+  getMessageParts,
+  getMessageText,
+} from "./messages.js";
 import { convertMD } from "../md2pango.js";
 import { hideTooltip, showTooltip } from "./tooltip.js";
+import { formatString } from "./utils.js";
+
+// Edge length of image thumbnails in messages, in pixels
+const THUMBNAIL_SIZE = 96;
+
+// Characters of tool arguments and output shown before "Show all"
+const TOOL_TRACE_PREVIEW_LENGTH = 400;
+
+/**
+ * Create a thumbnail of an attached image
+ * @param {object} image - Image ({ path, mimeType })
+ * @param {number} size - Edge length in pixels
+ * @returns {St.Icon} - Thumbnail
+ */
+export function createThumbnail(image, size) {
+  return new St.Icon({
+    gicon: new Gio.FileIcon({ file: Gio.File.new_for_path(image.path) }),
+    icon_size: size,
+  });
+}
+
+/**
+ * Create a label whose text wraps instead of being cut off
+ * @param {string} text - Label text
+ * @param {string} styleClass - CSS class, if any
+ * @returns {St.Label} - Label
+ */
+function createWrappedLabel(text, styleClass = null) {
+  const label = new St.Label({ text, style_class: styleClass });
+  label.clutter_text.line_wrap = true;
+  label.clutter_text.line_wrap_mode = Pango.WrapMode.WORD_CHAR;
+  label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+  return label;
+}
+
+/**
+ * Make tool output readable, pretty-printing JSON
+ * @param {string} content - Tool output as sent to the assistant
+ * @returns {string} - Text to show
+ */
+function formatToolOutput(content) {
+  try {
+    const parsed = JSON.parse(content);
+    return typeof parsed === "string"
+      ? parsed
+      : JSON.stringify(parsed, null, 2);
+  } catch (e) {
+    return content;
+  }
+}
 
 /**
  * Manages the chat message display
@@ -36,8 +100,9 @@ export class ChatMessageDisplay {
    * Display a message
    * @param {string} role - Role of the message sender (user or assistant)
    * @param {string} text - Message content
+   * @param {Array} images - Attached images ({ path, mimeType }), if any
    */
-  displayMessage(role, text) {
+  displayMessage(role, text, images = []) {
     const isUserMessage = role === MessageRoles.USER;
     const messageType = isUserMessage ? CSS.HUMAN_MESSAGE : CSS.LLM_MESSAGE;
     const messageBoxType = isUserMessage
@@ -61,6 +126,7 @@ export class ChatMessageDisplay {
       formattedText,
       backgroundColor,
       textColor,
+      images,
     );
 
     // Automatically scroll to the bottom when a new message is added
@@ -71,8 +137,9 @@ export class ChatMessageDisplay {
    * Display an error message
    * @param {string} errorMessage - Error message to display
    * @param {boolean} showSettingsButton - Whether to show settings button
+   * @param {object} action - Optional extra button ({ label, callback })
    */
-  displayError(errorMessage, showSettingsButton = true) {
+  displayError(errorMessage, showSettingsButton = true, action = null) {
     this.displayMessage(MessageRoles.ASSISTANT, errorMessage);
 
     if (showSettingsButton) {
@@ -91,6 +158,295 @@ export class ChatMessageDisplay {
       this._container.add_child(settingsButton);
     }
 
+    if (action) {
+      const actionButton = new St.Button({
+        label: action.label,
+        can_focus: true,
+      });
+
+      actionButton.connect("clicked", () => action.callback());
+
+      this._container.add_child(actionButton);
+    }
+
+    this._scrollToBottom();
+  }
+
+  /**
+   * Display the point before which messages are no longer sent in full
+   * @param {object} marker - Context marker ({ strategy, summary, count })
+   */
+  displayContextMarker(marker) {
+    this.displayNotice(
+      formatString(
+        marker.summary
+          ? this._UI.CONTEXT_SUMMARIZED
+          : this._UI.CONTEXT_TRUNCATED,
+        marker.count,
+      ),
+    );
+  }
+
+  /**
+   * Display the tool calls of an assistant turn, one collapsed block per
+   * call with its arguments, duration and result. Text streamed afterwards
+   * goes into a new bubble below the blocks.
+   * @param {Array} calls - Tool call parts ({ id, name, arguments })
+   * @param {Array} results - Tool result parts ({ id, name, content,
+   *   isError, approval, duration }), matched to the calls by id
+   */
+  displayToolTrace(calls, results) {
+    const streaming = Boolean(this._streamingLabel);
+    this.cancelStreamingMessage();
+
+    calls.forEach((call) =>
+      this._container.add_child(
+        this._createToolTraceBlock(
+          call,
+          results.find(({ id }) => id === call.id),
+        ),
+      ),
+    );
+
+    if (streaming) {
+      this.beginStreamingMessage();
+    }
+    this._scrollToBottom();
+  }
+
+  /**
+   * Create the collapsible block of a single tool call
+   * @param {object} call - Tool call part
+   * @param {object} result - Matching tool result part, if any
+   * @returns {St.BoxLayout} - Block
+   * @private
+   */
+  _createToolTraceBlock(call, result) {
+    const ran =
+      result &&
+      result.approval !== ToolApprovals.DENIED &&
+      result.approval !== ToolApprovals.BLOCKED;
+
+    const summary = [call.name];
+    if (typeof result?.duration === "number") {
+      summary.push(this._formatDuration(result.duration));
+    }
+    if (!result) {
+      summary.push(this._UI.TOOL_TRACE_NO_RESULT);
+    } else if (!ran) {
+      summary.push(this._UI.TOOL_TRACE_NOT_RUN);
+    } else if (result.isError) {
+      summary.push(this._UI.TOOL_TRACE_FAILED);
+    }
+
+    const block = new St.BoxLayout({
+      vertical: true,
+      style_class: CSS.TOOL_TRACE,
+    });
+    const headerLabel = createWrappedLabel("");
+    const header = new St.Button({
+      child: headerLabel,
+      style_class: CSS.TOOL_TRACE_HEADER,
+      x_align: Clutter.ActorAlign.START,
+      can_focus: true,
+    });
+    const details = new St.BoxLayout({
+      vertical: true,
+      style_class: CSS.TOOL_TRACE_DETAILS,
+      visible: false,
+    });
+
+    const updateHeader = () =>
+      headerLabel.set_text(
+        `${details.visible ? "▾" : "▸"} ${summary.join(" · ")}`,
+      );
+    header.connect("clicked", () => {
+      details.visible = !details.visible;
+      updateHeader();
+    });
+    updateHeader();
+
+    if (Object.keys(call.arguments || {}).length > 0) {
+      details.add_child(createWrappedLabel(this._UI.TOOL_TRACE_ARGUMENTS));
+      this._addExpandableText(details, JSON.stringify(call.arguments, null, 2));
+    }
+
+    const approvalNotices = {
+      [ToolApprovals.APPROVED]: this._UI.TOOL_APPROVED,
+      [ToolApprovals.DENIED]: this._UI.TOOL_DENIED,
+      [ToolApprovals.BLOCKED]: this._UI.TOOL_BLOCKED,
+    };
+    if (approvalNotices[result?.approval]) {
+      details.add_child(
+        createWrappedLabel(
+          formatString(approvalNotices[result.approval], call.name),
+          CSS.NOTICE,
+        ),
+      );
+    }
+
+    if (ran) {
+      details.add_child(
+        createWrappedLabel(
+          result.isError
+            ? this._UI.TOOL_TRACE_ERROR
+            : this._UI.TOOL_TRACE_RESULT,
+        ),
+      );
+      this._addExpandableText(details, formatToolOutput(result.content));
+    }
+
+    block.add_child(header);
+    block.add_child(details);
+    return block;
+  }
+
+  /**
+   * Add monospaced text, cut short with a button that shows the rest
+   * @param {St.BoxLayout} box - Box to add the text to
+   * @param {string} text - Text
+   * @private
+   */
+  _addExpandableText(box, text) {
+    const truncated = text.length > TOOL_TRACE_PREVIEW_LENGTH;
+    const label = createWrappedLabel(
+      truncated ? `${text.slice(0, TOOL_TRACE_PREVIEW_LENGTH)}…` : text,
+      CSS.TOOL_CODE,
+    );
+    box.add_child(label);
+
+    if (truncated) {
+      const moreButton = new St.Button({
+        label: formatString(
+          this._UI.TOOL_TRACE_SHOW_ALL,
+          text.length.toLocaleString(),
+        ),
+        style_class: CSS.TOOL_TRACE_HEADER,
+        x_align: Clutter.ActorAlign.START,
+        can_focus: true,
+      });
+      moreButton.connect("clicked", () => {
+        label.set_text(text);
+        moreButton.destroy();
+      });
+      box.add_child(moreButton);
+    }
+  }
+
+  /**
+   * Format how long a tool ran
+   * @param {number} duration - Duration in milliseconds
+   * @returns {string} - Duration in milliseconds or seconds
+   * @private
+   */
+  _formatDuration(duration) {
+    return duration < 1000
+      ? formatString(this._UI.TOOL_TRACE_MILLISECONDS, duration)
+      : formatString(this._UI.TOOL_TRACE_SECONDS, (duration / 1000).toFixed(1));
+  }
+
+  /**
+   * Ask whether a tool call may run, with a card showing the tool and its
+   * arguments. Text streamed after the question goes into a new bubble
+   * below the card.
+   * @param {object} request - Tool call ({ name, arguments, policy, forced })
+   * @param {Function} callback - Called once with whether the call may run
+   * @param {Gio.Cancellable} cancellable - Cancellable that withdraws the
+   *   question, which counts as a denial
+   */
+  displayToolApproval(request, callback, cancellable = null) {
+    const streaming = Boolean(this._streamingLabel);
+    this.cancelStreamingMessage();
+
+    const card = new St.BoxLayout({
+      vertical: true,
+      style_class: CSS.TOOL_APPROVAL,
+    });
+    const addLabel = (text, styleClass) =>
+      card.add_child(createWrappedLabel(text, styleClass));
+
+    addLabel(formatString(this._UI.TOOL_APPROVAL_QUESTION, request.name));
+    if (Object.keys(request.arguments || {}).length > 0) {
+      addLabel(JSON.stringify(request.arguments, null, 2), CSS.TOOL_CODE);
+    }
+    if (request.forced) {
+      addLabel(this._UI.TOOL_APPROVAL_REQUIRED, CSS.NOTICE);
+    } else if (request.policy === ToolPolicies.ASK_ONCE) {
+      addLabel(this._UI.TOOL_APPROVAL_ONCE, CSS.NOTICE);
+    }
+
+    const buttons = new St.BoxLayout({
+      style_class: CSS.TOOL_APPROVAL_BUTTONS,
+    });
+    const denyButton = new St.Button({
+      label: this._UI.TOOL_DENY,
+      style_class: "button",
+      can_focus: true,
+    });
+    const allowButton = new St.Button({
+      label: this._UI.TOOL_ALLOW,
+      style_class: "button",
+      can_focus: true,
+    });
+    buttons.add_child(denyButton);
+    buttons.add_child(allowButton);
+    card.add_child(buttons);
+
+    this._container.add_child(card);
+    this._scrollToBottom();
+
+    let decided = false;
+    let cancelId = 0;
+    const decide = (approved, status) => {
+      if (decided) {
+        return;
+      }
+      decided = true;
+
+      if (cancelId) {
+        cancellable.disconnect(cancelId);
+      }
+      buttons.destroy();
+      addLabel(status, CSS.NOTICE);
+      if (streaming) {
+        this.beginStreamingMessage();
+      }
+      callback(approved);
+    };
+
+    allowButton.connect("clicked", () =>
+      decide(true, formatString(this._UI.TOOL_APPROVED, request.name)),
+    );
+    denyButton.connect("clicked", () =>
+      decide(false, formatString(this._UI.TOOL_DENIED, request.name)),
+    );
+    if (cancellable) {
+      cancelId = cancellable.connect("cancelled", () => {
+        // Cancellable.disconnect() deadlocks inside a "cancelled" handler
+        GObject.signal_handler_disconnect(cancellable, cancelId);
+        cancelId = 0;
+        decide(false, this._UI.TOOL_APPROVAL_STOPPED);
+      });
+      if (cancellable.is_cancelled()) {
+        decide(false, this._UI.TOOL_APPROVAL_STOPPED);
+      }
+    }
+  }
+
+  /**
+   * Display a short centered notice between the messages
+   * @param {string} text - Notice text
+   */
+  displayNotice(text) {
+    const label = new St.Label({
+      text,
+      style_class: CSS.NOTICE,
+      x_align: Clutter.ActorAlign.CENTER,
+    });
+    label.clutter_text.line_wrap = true;
+    label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+
+    this._container.add_child(label);
     this._scrollToBottom();
   }
 
@@ -101,6 +457,7 @@ export class ChatMessageDisplay {
    * @param {string} text - Message content
    * @param {string} backgroundColor - Background color
    * @param {string} textColor - Text color
+   * @param {Array} images - Attached images ({ path, mimeType }), if any
    * @private
    */
   _createMessageBox(
@@ -109,6 +466,7 @@ export class ChatMessageDisplay {
     text,
     backgroundColor,
     textColor,
+    images = [],
   ) {
     const box = new St.BoxLayout({
       vertical: true,
@@ -127,7 +485,36 @@ export class ChatMessageDisplay {
     label.clutter_text.line_wrap_mode = Pango.WrapMode.WORD_CHAR;
     label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
 
-    box.add_child(label);
+    if (images.length > 0) {
+      const thumbnails = new St.BoxLayout({
+        vertical: false,
+        style_class: CSS.THUMBNAILS,
+      });
+      images.forEach((image) => {
+        const button = new St.Button({
+          child: createThumbnail(image, THUMBNAIL_SIZE),
+          can_focus: true,
+        });
+        // Open the full image in the default viewer
+        button.connect("clicked", () => {
+          try {
+            Gio.AppInfo.launch_default_for_uri(
+              Gio.File.new_for_path(image.path).get_uri(),
+              null,
+            );
+          } catch (e) {
+            logError(e, "Failed to open image");
+          }
+        });
+        thumbnails.add_child(button);
+      });
+      box.add_child(thumbnails);
+    }
+
+    // Image-only messages have no text to show
+    if (text || images.length === 0) {
+      box.add_child(label);
+    }
 
     // For non-human messages, add copy capability
     if (messageType !== CSS.HUMAN_MESSAGE) {
@@ -136,6 +523,135 @@ export class ChatMessageDisplay {
 
     label.clutter_text.set_markup(text);
     this._container.add_child(box);
+
+    return label;
+  }
+
+  /**
+   * Create an empty assistant bubble that is filled while a response streams in
+   */
+  beginStreamingMessage() {
+    this._streamingText = "";
+    this._streamingLabel = this._createMessageBox(
+      CSS.LLM_MESSAGE,
+      CSS.LLM_MESSAGE_BOX,
+      "",
+      this._styleSettings.llmMessageColor,
+      this._styleSettings.llmMessageTextColor,
+    );
+    this._scrollToBottom();
+  }
+
+  /**
+   * Append a streamed chunk to the current assistant bubble
+   * @param {string} delta - Newly received text
+   */
+  appendToStreamingMessage(delta) {
+    if (!this._streamingLabel) {
+      this.beginStreamingMessage();
+    }
+
+    this._streamingText += delta;
+    this._renderStreamingMessage(this._streamingText, true);
+    this._scrollToBottom();
+  }
+
+  /**
+   * Get the text streamed into the current assistant bubble so far
+   * @returns {string} - Streamed text
+   */
+  getStreamingText() {
+    return this._streamingText || "";
+  }
+
+  /**
+   * Render the final text into the streaming bubble and release it
+   * @param {string} text - Complete response text
+   * @param {object} notices - Optional notices appended to the response
+   * @param {boolean} notices.stopped - Whether the response was stopped by the user
+   * @param {string} notices.answeredBy - Fallback profile that answered
+   * @param {object} notices.usage - Tokens used ({ inputTokens, outputTokens })
+   */
+  finishStreamingMessage(text, notices = {}) {
+    const finalText = this._withNotices(text, notices);
+
+    if (!this._streamingLabel) {
+      this.displayMessage(MessageRoles.ASSISTANT, finalText);
+      return;
+    }
+
+    this._renderStreamingMessage(finalText || "", false);
+    this._streamingLabel = null;
+    this._streamingText = "";
+    this._scrollToBottom();
+  }
+
+  /**
+   * Drop the streaming bubble, removing it if nothing was received
+   */
+  cancelStreamingMessage() {
+    if (this._streamingLabel && !this._streamingText) {
+      this._streamingLabel.get_parent()?.destroy();
+    }
+
+    this._streamingLabel = null;
+    this._streamingText = "";
+  }
+
+  /**
+   * Append the "stopped", "answered by" and token count notices to a response
+   * @param {string} text - Response text
+   * @param {object} notices - Notices ({ stopped, answeredBy, usage })
+   * @returns {string} - Text with notices
+   * @private
+   */
+  _withNotices(
+    text,
+    { stopped = false, answeredBy = null, usage = null } = {},
+  ) {
+    const notices = [];
+    if (stopped) {
+      notices.push(this._UI.RESPONSE_STOPPED);
+    }
+    if (answeredBy) {
+      notices.push(formatString(this._UI.ANSWERED_BY, answeredBy));
+    }
+    if (usage) {
+      notices.push(
+        formatString(
+          this._UI.TOKEN_USAGE,
+          usage.inputTokens.toLocaleString(),
+          usage.outputTokens.toLocaleString(),
+        ),
+      );
+    }
+
+    if (notices.length === 0) {
+      return text;
+    }
+    return `${text || ""}\n\n${notices.map((notice) => `*${notice}*`).join(" ")}`;
+  }
+
+  /**
+   * Re-render the markup of the streaming bubble
+   * @param {string} text - Text received so far
+   * @param {boolean} partial - Whether more text is still expected
+   * @private
+   */
+  _renderStreamingMessage(text, partial) {
+    // Close a code fence that is still open so the markup stays balanced
+    const fences = text.split("\n").filter((line) => /^```/.test(line));
+    const source =
+      partial && fences.length % 2 === 1 ? `${text}\n\`\`\`` : text;
+    const markup = convertMD(source);
+
+    try {
+      Pango.parse_markup(markup, -1, "\0");
+      this._streamingLabel.clutter_text.set_markup(markup);
+    } catch (e) {
+      // Half-received markdown can produce invalid markup; show it raw
+      this._streamingLabel.clutter_text.set_text(text);
+    }
   }
 
   /**
@@ -188,6 +704,8 @@ export class ChatMessageDisplay {
    */
   clear() {
     this._container.destroy_all_children();
+    this._streamingLabel = null;
+    this._streamingText = "";
   }
 
   /**
@@ -198,8 +716,37 @@ export class ChatMessageDisplay {
     this.clear();
 
     if (Array.isArray(history)) {
-      history.forEach((message) => {
-        this.displayMessage(message.role, message.content);
+      history.forEach((message, index) => {
+        if (message.role === MessageRoles.CONTEXT) {
+          this.displayContextMarker(message);
+          return;
+        }
+        if (message.role === MessageRoles.TOOL) {
+          // Shown together with the calls they answer
+          return;
+        }
+
+        const text = getMessageText(message);
+        const images = getMessageImages(message);
+        const calls = getMessageParts(message, PartTypes.TOOL_CALL);
+
+        // Tool call turns without text need no bubble of their own
+        if (text || images.length > 0 || calls.length === 0) {
+          this.displayMessage(
+            message.role,
+            this._withNotices(text, message),
+            images,
+          );
+        }
+        if (calls.length > 0) {
+          const next = history[index + 1];
+          this.displayToolTrace(
+            calls,
+            next?.role === MessageRoles.TOOL
+              ? getMessageParts(next, PartTypes.TOOL_RESULT)
+              : [],
+          );
+        }
       });
     }
 
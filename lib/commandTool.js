@@ -0,0 +1,264 @@
+/**
+ * The run_command tool, which runs a single program without a shell.
+ * Commands matching the user's allowlist run according to the tool's
+ * policy; any other command needs the user's approval every time.
+ */
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import { ToolExecutorTypes, ToolPolicies } from "./constants.js";
+
+// Bytes of standard output and standard error kept for the assistant
+const MAX_OUTPUT_BYTES = 16 * 1024;
+
+const READ_CHUNK_SIZE = 8192;
+
+// Seconds the tool waits beyond the command timeout before giving up on
+// output still being read
+const TIMEOUT_GRACE = 5;
+
+/**
+ * Create the run_command tool
+ * @param {Array} allowlist - Command patterns that need no extra approval
+ * @param {number} timeout - Seconds a command may run before it is stopped
+ * @returns {object} - Tool for ToolRegistry.register()
+ */
+export function createCommandTool(allowlist, timeout) {
+  return {
+    name: "run_command",
+    description: `Run a command on the user's computer and get its exit code, standard output and standard error, for example "df -h", "systemctl --user status" or "journalctl -n 50". The command is a single program with arguments, started in the home folder without a shell, so pipes, redirection, variables and wildcards do not work. Commands are stopped after ${timeout} seconds and output is cut after ${MAX_OUTPUT_BYTES / 1024} KB.`,
+    parameters: {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          description:
+            "Program and arguments, quoted like in a shell, e.g. journalctl --user -n 50",
+        },
+      },
+      required: ["command"],
+    },
+    executor: {
+      type: ToolExecutorTypes.FUNCTION,
+      run: (args, callback, cancellable) =>
+        runCommand(args.command, timeout, callback, cancellable),
+    },
+    timeout: timeout + TIMEOUT_GRACE,
+    policy: ToolPolicies.ALLOW,
+    enabled: false,
+    mustAsk: (args) => !isCommandAllowed(args.command, allowlist),
+  };
+}
+
+/**
+ * Check a command against an allowlist. Each pattern is a command whose
+ * words are matched one by one, with * and ? matching within a word; a
+ * trailing lone * matches any further arguments, including none. Options
+ * are never matched by wildcards: an argument starting with "-" only
+ * matches a pattern word that starts with "-" itself, so
+ * "journalctl -n ?*" allows "journalctl -n 50" but not
+ * "journalctl -n 50 -f" or "journalctl -n --rotate", and
+ * "systemctl status *" allows unit names but not "-H host".
+ * @param {string} command - Command as given by the assistant
+ * @param {Array} allowlist - Command patterns
+ * @returns {boolean} - Whether the command matches a pattern
+ */
+export function isCommandAllowed(command, allowlist) {
+  const argv = parseCommand(command);
+  if (!argv) {
+    return false;
+  }
+
+  return allowlist.some((pattern) => {
+    const words = parseCommand(pattern);
+    if (!words) {
+      return false;
+    }
+
+    const rest = words.length > 1 && words[words.length - 1] === "*";
+    const fixed = rest ? words.slice(0, -1) : words;
+    if (argv.length < fixed.length || (!rest && argv.length > fixed.length)) {
+      return false;
+    }
+    return (
+      fixed.every((word, index) => matchWord(word, argv[index])) &&
+      argv.slice(fixed.length).every((arg) => !isOption(arg))
+    );
+  });
+}
+
+/**
+ * Match one argument against one word of an allowlist pattern
+ * @param {string} word - Pattern word, possibly with * and ? wildcards
+ * @param {string} arg - Argument
+ * @returns {boolean} - Whether the argument matches
+ */
+function matchWord(word, arg) {
+  if (isOption(arg) && !isOption(word)) {
+    return false;
+  }
+  return GLib.pattern_match_simple(word, arg);
+}
+
+/**
+ * Tell whether an argument is an option, such as -f or --rotate
+ * @param {string} arg - Argument
+ * @returns {boolean} - Whether the argument starts with "-"
+ */
+function isOption(arg) {
+  return arg.startsWith("-");
+}
+
+/**
+ * Split a command into program and arguments the way a shell would
+ * @param {string} command - Command
+ * @returns {Array|null} - Arguments, null if the command is empty or
+ *   cannot be parsed
+ */
+function parseCommand(command) {
+  try {
+    const [, argv] = GLib.shell_parse_argv(String(command ?? "").trim());
+    return argv;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Run a command without a shell, stopping it after a timeout
+ * @param {string} command - Command
+ * @param {number} timeout - Seconds the command may run
+ * @param {Function} callback - Callback with (error, result) where result is
+ *   { command, exit_code, signal, timed_out, stdout, stderr,
+ *   stdout_truncated, stderr_truncated }
+ * @param {Gio.Cancellable} cancellable - Cancellable that stops the command
+ */
+function runCommand(command, timeout, callback, cancellable) {
+  const argv = parseCommand(command);
+  if (!argv) {
+    callback(new Error(`Cannot read the command: ${command}`), null);
+    return;
+  }
+
+  const launcher = new Gio.SubprocessLauncher({
+    flags:
+      Gio.SubprocessFlags.STDIN_PIPE |
+      Gio.SubprocessFlags.STDOUT_PIPE |
+      Gio.SubprocessFlags.STDERR_PIPE,
+  });
+  launcher.set_cwd(GLib.get_home_dir());
+  const proc = launcher.spawnv(argv);
+
+  // Commands waiting for input get none
+  proc.get_stdin_pipe().close(null);
+
+  let timedOut = false;
+  let timeoutId = GLib.timeout_add_seconds(
+    GLib.PRIORITY_DEFAULT,
+    timeout,
+    () => {
+      timeoutId = 0;
+      timedOut = true;
+      proc.force_exit();
+      return GLib.SOURCE_REMOVE;
+    },
+  );
+  const cancelId = cancellable.connect("cancelled", () => proc.force_exit());
+  const finish = () => {
+    if (timeoutId) {
+      GLib.Source.remove(timeoutId);
+      timeoutId = 0;
+    }
+    cancellable.disconnect(cancelId);
+  };
+
+  Promise.all([
+    readLimited(proc.get_stdout_pipe(), cancellable),
+    readLimited(proc.get_stderr_pipe(), cancellable),
+    waitForExit(proc, cancellable),
+  ]).then(
+    ([stdout, stderr]) => {
+      finish();
+      callback(null, {
+        command: argv.join(" "),
+        exit_code: proc.get_if_exited() ? proc.get_exit_status() : null,
+        signal: proc.get_if_signaled() ? proc.get_term_sig() : null,
+        timed_out: timedOut,
+        stdout: stdout.text,
+        stderr: stderr.text,
+        stdout_truncated: stdout.truncated,
+        stderr_truncated: stderr.truncated,
+      });
+    },
+    (error) => {
+      finish();
+      proc.force_exit();
+      callback(error, null);
+    },
+  );
+}
+
+/**
+ * Read a stream to its end, keeping only the start of it
+ * @param {Gio.InputStream} stream - Stream
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<object>} - Output ({ text, truncated })
+ */
+function readLimited(stream, cancellable) {
+  const kept = new Uint8Array(MAX_OUTPUT_BYTES);
+  let length = 0;
+  let truncated = false;
+
+  return new Promise((resolve, reject) => {
+    const readNext = () =>
+      stream.read_bytes_async(
+        READ_CHUNK_SIZE,
+        GLib.PRIORITY_DEFAULT,
+        cancellable,
+        (source, result) => {
+          let data;
+          try {
+            data = source.read_bytes_finish(result).get_data();
+          } catch (e) {
+            reject(e);
+            return;
+          }
+
+          if (!data || data.length === 0) {
+            resolve({
+              text: new TextDecoder("utf-8").decode(kept.subarray(0, length)),
+              truncated,
+            });
+            return;
+          }
+
+          // Anything beyond the limit is read and dropped, so that the
+          // command is not blocked on a full pipe
+          const part = data.subarray(0, MAX_OUTPUT_BYTES - length);
+          kept.set(part, length);
+          length += part.length;
+          truncated ||= part.length < data.length;
+          readNext();
+        },
+      );
+    readNext();
+  });
+}
+
+/**
+ * Wait for a process to end
+ * @param {Gio.Subprocess} proc - Process
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop waiting
+ * @returns {Promise} - Resolved once the process has ended
+ */
+function waitForExit(proc, cancellable) {
+  return new Promise((resolve, reject) =>
+    proc.wait_async(cancellable, (source, result) => {
+      try {
+        source.wait_finish(result);
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    }),
+  );
+}
@@ -7,8 +7,213 @@ export const LLMProviders = {
   OPENAI: "openai",
   GEMINI: "gemini",
   OPENROUTER: "openrouter",
+  LOCAL: "local",
 };
 
+// Default API base URL and model for each provider
+export const ProviderDefaults = {
+  [LLMProviders.ANTHROPIC]: {
+    baseUrl: "https://api.anthropic.com/v1",
+    model: "claude-3-sonnet-20240229",
+  },
+  [LLMProviders.OPENAI]: {
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o",
+  },
+  [LLMProviders.GEMINI]: {
+    baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    model: "gemini-2.0-flash",
+  },
+  [LLMProviders.OPENROUTER]: {
+    baseUrl: "https://openrouter.ai/api/v1",
+    model: "meta-llama/llama-3.3-70b-instruct:free",
+  },
+  [LLMProviders.LOCAL]: {
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.2",
+  },
+};
+
+// Default generation parameters for each provider. Only the listed
+// parameters are supported by a provider; null means the provider's own
+// default is used and the parameter is left out of requests.
+export const GenerationDefaults = {
+  [LLMProviders.ANTHROPIC]: {
+    temperature: 1,
+    maxTokens: 4096,
+    topP: null,
+    topK: null,
+  },
+  [LLMProviders.OPENAI]: {
+    temperature: 1,
+    maxTokens: 4096,
+    topP: 1,
+    frequencyPenalty: 0,
+    presencePenalty: 0,
+  },
+  [LLMProviders.GEMINI]: {
+    temperature: 1,
+    maxTokens: 8192,
+    topP: 0.95,
+    topK: 40,
+    frequencyPenalty: null,
+    presencePenalty: null,
+  },
+  [LLMProviders.OPENROUTER]: {
+    temperature: null,
+    maxTokens: null,
+    topP: null,
+    topK: null,
+    frequencyPenalty: null,
+    presencePenalty: null,
+  },
+  [LLMProviders.LOCAL]: {
+    temperature: null,
+    maxTokens: null,
+    topP: null,
+    frequencyPenalty: null,
+    presencePenalty: null,
+  },
+};
+
+// Valid ranges of the generation parameters
+export const GenerationParamLimits = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 1, max: 1000000, integer: true },
+  topP: { min: 0, max: 1 },
+  topK: { min: 1, max: 1000, integer: true },
+  frequencyPenalty: { min: -2, max: 2 },
+  presencePenalty: { min: -2, max: 2 },
+};
+
+// Provider-specific ranges that are narrower than GenerationParamLimits
+export const ProviderParamLimits = {
+  [LLMProviders.ANTHROPIC]: {
+    temperature: { min: 0, max: 1 },
+  },
+};
+
+// Ways of keeping a conversation within the model's context window
+export const ContextStrategies = {
+  TRUNCATE: "truncate", // Drop the oldest messages that do not fit
+  SLIDING_WINDOW: "sliding-window", // Only send the most recent messages
+  SUMMARIZE: "summarize", // Replace older messages with a summary
+};
+
+// Context window sizes in tokens, matched against the model name in order
+export const ModelContextLimits = [
+  { pattern: /claude/i, tokens: 200000 },
+  { pattern: /gpt-4\.1/i, tokens: 1047576 },
+  { pattern: /gpt-4o|gpt-4-turbo|gpt-5/i, tokens: 128000 },
+  { pattern: /gpt-4/i, tokens: 8192 },
+  { pattern: /gpt-3\.5/i, tokens: 16385 },
+  { pattern: /^o\d/i, tokens: 200000 },
+  { pattern: /gemini-(1\.5|2|3)/i, tokens: 1048576 },
+  { pattern: /gemini/i, tokens: 32768 },
+  { pattern: /llama-?3\.[1-9]|mistral|mixtral|qwen|deepseek/i, tokens: 128000 },
+];
+
+// Context window assumed for unknown models, and for local servers,
+// which usually run with a small window unless configured otherwise
+export const DEFAULT_CONTEXT_LIMIT = 8192;
+export const LOCAL_CONTEXT_LIMIT = 4096;
+
+// Rough number of tokens an attached image takes up
+export const IMAGE_TOKEN_ESTIMATE = 1600;
+
+// Image types that can be attached, supported by all vision APIs
+export const ImageMimeTypes = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+];
+
+// Largest image that can be attached; Anthropic's limit is the lowest
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Longest edge screenshots are scaled down to; larger images cost more
+// tokens without helping most vision models
+export const MAX_SCREENSHOT_EDGE = 1568;
+
+// Directory below the user data directory that holds the extension's files
+export const DATA_DIR_NAME = "penguin-ai-chatbot";
+
+// Tokens kept free for the response when no maximum is configured
+export const DEFAULT_RESPONSE_TOKENS = 1024;
+
+// Prices in US dollars per million tokens, matched against the start of the
+// model name (the longest match wins). Check the providers' pricing pages,
+// prices change over time.
+export const DefaultModelPrices = [
+  { model: "claude-opus-4-5", input: 5, output: 25 },
+  { model: "claude-opus-4", input: 15, output: 75 },
+  { model: "claude-sonnet-4", input: 3, output: 15 },
+  { model: "claude-haiku-4-5", input: 1, output: 5 },
+  { model: "claude-3-5-haiku", input: 0.8, output: 4 },
+  { model: "gpt-5", input: 1.25, output: 10 },
+  { model: "gpt-5-mini", input: 0.25, output: 2 },
+  { model: "gpt-5-nano", input: 0.05, output: 0.4 },
+  { model: "gpt-4.1", input: 2, output: 8 },
+  { model: "gpt-4.1-mini", input: 0.4, output: 1.6 },
+  { model: "gpt-4.1-nano", input: 0.1, output: 0.4 },
+  { model: "gpt-4o", input: 2.5, output: 10 },
+  { model: "gpt-4o-mini", input: 0.15, output: 0.6 },
+  { model: "o3", input: 2, output: 8 },
+  { model: "o4-mini", input: 1.1, output: 4.4 },
+  { model: "gemini-2.5-pro", input: 1.25, output: 10 },
+  { model: "gemini-2.5-flash", input: 0.3, output: 2.5 },
+  { model: "gemini-2.5-flash-lite", input: 0.1, output: 0.4 },
+  { model: "gemini-2.0-flash", input: 0.1, output: 0.4 },
+];
+
+// What happens once a usage budget is used up
+export const BudgetActions = {
+  WARN: "warn", // Tell the user, but keep sending
+  BLOCK: "block", // Refuse to send until the period ends
+};
+
+// Days of usage statistics that are kept
+export const USAGE_RETENTION_DAYS = 400;
+
+// Ways a tool can be run (see tools.js)
+export const ToolExecutorTypes = {
+  FUNCTION: "function", // JavaScript function, only for tools built into the extension
+  HTTP: "http", // HTTP request with templated URL, headers and body
+  SUBPROCESS: "subprocess", // Program started without a shell
+};
+
+// Seconds a tool may run before it is given up on
+export const DEFAULT_TOOL_TIMEOUT = 30;
+
+// When a tool call may run
+export const ToolPolicies = {
+  ALLOW: "allow", // Always, without asking
+  ASK: "ask", // After the user approves each call
+  ASK_ONCE: "ask-once", // After the user approves the first call of a conversation
+  DENY: "deny", // Never
+};
+
+// How a tool call came to run or not, recorded with its result
+export const ToolApprovals = {
+  ALLOWED: "allowed", // Allowed by its policy, or approved earlier in the conversation
+  APPROVED: "approved", // Approved by the user
+  DENIED: "denied", // Denied by the user
+  BLOCKED: "blocked", // Denied by its policy
+};
+
+// Ways of talking to a Model Context Protocol server
+export const McpTransports = {
+  STDIO: "stdio", // Program started by the extension, JSON-RPC over stdin/stdout
+  HTTP: "http", // Streamable HTTP endpoint
+};
+
+// Model Context Protocol revision the client speaks
+export const MCP_PROTOCOL_VERSION = "2025-06-18";
+
+// Seconds an MCP server may take to answer anything but a tool call
+export const MCP_REQUEST_TIMEOUT = 30;
+
 // Settings keys
 export const SettingsKeys = {
   LLM_PROVIDER: "llm-provider",
@@ -16,19 +221,60 @@ export const SettingsKeys = {
   OPENAI_API_KEY: "openai-api-key",
   GEMINI_API_KEY: "gemini-api-key",
   OPENROUTER_API_KEY: "openrouter-api-key",
+  LOCAL_API_KEY: "local-api-key",
   ANTHROPIC_MODEL: "anthropic-model",
   OPENAI_MODEL: "openai-model",
   GEMINI_MODEL: "gemini-model",
   OPENROUTER_MODEL: "openrouter-model",
+  LOCAL_MODEL: "local-model",
+  LOCAL_BASE_URL: "local-base-url",
   HUMAN_MESSAGE_COLOR: "human-message-color",
   LLM_MESSAGE_COLOR: "llm-message-color",
   HUMAN_MESSAGE_TEXT_COLOR: "human-message-text-color",
   LLM_MESSAGE_TEXT_COLOR: "llm-message-text-color",
   HISTORY: "history",
   OPEN_CHAT_SHORTCUT: "open-chat-shortcut",
+  SCREENSHOT_SHORTCUT: "screenshot-shortcut",
   TOOL_SERVER_URL: "tool-server-url",
   WEATHER_LATITUDE: "weather-latitude",
   WEATHER_LONGITUDE: "weather-longitude",
+  PROFILES: "profiles",
+  ACTIVE_PROFILE: "active-profile",
+  PROFILES_MIGRATED: "profiles-migrated",
+  RETRY_MAX_ATTEMPTS: "retry-max-attempts",
+  GENERATION_PARAMS: "generation-params",
+  SYSTEM_PROMPT: "system-prompt",
+  PERSONAS: "personas",
+  ACTIVE_PERSONA: "active-persona",
+  FALLBACK_PROFILES: "fallback-profiles",
+  MODEL_CACHE: "model-cache",
+  CONTEXT_STRATEGY: "context-strategy",
+  CONTEXT_LIMIT: "context-limit",
+  CONTEXT_WINDOW_MESSAGES: "context-window-messages",
+  USAGE_STATS: "usage-stats",
+  MODEL_PRICES: "model-prices",
+  USAGE_BUDGET_DAILY: "usage-budget-daily",
+  USAGE_BUDGET_MONTHLY: "usage-budget-monthly",
+  USAGE_BUDGET_ACTION: "usage-budget-action",
+  TOOL_STATES: "tool-states",
+  TOOL_POLICIES: "tool-policies",
+  FILE_TOOL_FOLDERS: "file-tool-folders",
+  COMMAND_ALLOWLIST: "command-allowlist",
+  COMMAND_TIMEOUT: "command-timeout",
+  MCP_SERVERS: "mcp-servers",
+};
+
+// Provider error categories
+export const ErrorTypes = {
+  AUTH: "auth",
+  QUOTA: "quota",
+  RATE_LIMIT: "rate-limit",
+  MODEL_NOT_FOUND: "model-not-found",
+  CONTEXT_TOO_LONG: "context-too-long",
+  SAFETY_BLOCK: "safety-block",
+  NETWORK: "network",
+  SERVER: "server",
+  UNKNOWN: "unknown",
 };
 
 // Message role identifiers
@@ -36,6 +282,17 @@ export const MessageRoles = {
   USER: "user",
   ASSISTANT: "assistant",
   MODEL: "model", // Used for Gemini
+  SYSTEM: "system", // Used for OpenAI-compatible system messages
+  CONTEXT: "context", // History marker where compacted context ends, never sent
+  TOOL: "tool", // Results of the tool calls requested by the previous message
+};
+
+// Types of the parts a chat message is made of (see messages.js)
+export const PartTypes = {
+  TEXT: "text",
+  IMAGE: "image",
+  TOOL_CALL: "tool-call",
+  TOOL_RESULT: "tool-result",
 };
 
 // CSS class names
@@ -47,4 +304,13 @@ export const CSS = {
   MESSAGE_INPUT: "messageInput",
   POPUP_MENU_BOX: "popup-menu-box",
   CHAT_SCROLLING: "chat-scrolling",
+  NOTICE: "chat-notice",
+  THUMBNAILS: "message-thumbnails",
+  ATTACHMENTS: "attachment-bar",
+  TOOL_APPROVAL: "tool-approval",
+  TOOL_APPROVAL_BUTTONS: "tool-approval-buttons",
+  TOOL_CODE: "tool-code",
+  TOOL_TRACE: "tool-trace",
+  TOOL_TRACE_HEADER: "tool-trace-header",
+  TOOL_TRACE_DETAILS: "tool-trace-details",
 };
@@ -0,0 +1,288 @@
+import {
+  ContextStrategies,
+  DEFAULT_CONTEXT_LIMIT,
+  IMAGE_TOKEN_ESTIMATE,
+  LLMProviders,
+  LOCAL_CONTEXT_LIMIT,
+  MessageRoles,
+  ModelContextLimits,
+  PartTypes,
+} from "./constants.js";
+import {
+  createMessage,
+  createTextMessage,
+  getMessageImages,
+  getMessageParts,
+  getMessageText,
+} from "./messages.js";
+
+// Rough per-message overhead of role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a text. Uses the common rule of thumb
+ * of four characters per token, which is close enough for English text
+ * and errs on the safe side for code.
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Estimate the number of tokens a list of messages takes up
+ * @param {Array} messages - Chat messages
+ * @returns {number} - Estimated token count
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce(
+    (total, message) =>
+      (message.parts || []).reduce(
+        (sum, part) => sum + estimatePartTokens(part),
+        total + MESSAGE_OVERHEAD_TOKENS,
+      ),
+    0,
+  );
+}
+
+/**
+ * Estimate the number of tokens a single message part takes up
+ * @param {object} part - Message part
+ * @returns {number} - Estimated token count
+ */
+function estimatePartTokens(part) {
+  switch (part.type) {
+    case PartTypes.TEXT:
+      return estimateTokens(part.text);
+    case PartTypes.IMAGE:
+      return IMAGE_TOKEN_ESTIMATE;
+    case PartTypes.TOOL_CALL:
+      return estimateTokens(part.name + JSON.stringify(part.arguments));
+    case PartTypes.TOOL_RESULT:
+      return estimateTokens(part.content);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the context window size of a model
+ * @param {string} provider - Provider type
+ * @param {string} model - Model name
+ * @returns {number} - Context window size in tokens
+ */
+export function getContextLimit(provider, model) {
+  if (provider === LLMProviders.LOCAL) {
+    return LOCAL_CONTEXT_LIMIT;
+  }
+
+  const match = ModelContextLimits.find(({ pattern }) => pattern.test(model));
+  return match?.tokens ?? DEFAULT_CONTEXT_LIMIT;
+}
+
+/**
+ * Keeps the conversation sent to the provider within the context window.
+ *
+ * The chat history keeps every message for display. The point up to which
+ * messages are no longer sent is recorded with a single marker entry
+ * ({ role: MessageRoles.CONTEXT, strategy, summary, count }) that is moved
+ * forward as the conversation grows.
+ */
+export class ContextManager {
+  /**
+   * Create a context manager
+   * @param {object} options - Options
+   * @param {string} options.strategy - Strategy (see ContextStrategies)
+   * @param {number} options.contextLimit - Context window size in tokens
+   * @param {number} options.windowMessages - Messages kept by the sliding window
+   * @param {Function} options.summarize - Called with (previousSummary, messages,
+   *   callback) to summarize messages; callback takes (error, summary)
+   */
+  constructor({ strategy, contextLimit, windowMessages, summarize = null }) {
+    this._strategy = strategy;
+    this._contextLimit = contextLimit;
+    this._windowMessages = windowMessages;
+    this._summarize = summarize;
+  }
+
+  /**
+   * Work out what to send for the next request
+   * @param {Array} history - Full chat history, possibly with a marker
+   * @param {number} reservedTokens - Tokens kept free for the system prompt
+   *   and the response
+   * @param {Function} callback - Callback with (error, result) where result is
+   *   { history, messages, summary, compacted }: the history with the marker
+   *   moved, the messages to send, the summary of earlier messages (if any)
+   *   and whether the marker moved
+   */
+  prepare(history, reservedTokens, callback) {
+    const markerIndex = history.findLastIndex(
+      (message) => message.role === MessageRoles.CONTEXT,
+    );
+    const marker = history[markerIndex];
+    const active = history.slice(markerIndex + 1);
+    const previousSummary = marker?.summary || "";
+
+    const budget =
+      this._contextLimit - reservedTokens - estimateTokens(previousSummary);
+
+    let keepFrom = 0;
+    if (this._strategy === ContextStrategies.SLIDING_WINDOW) {
+      keepFrom = Math.max(0, active.length - this._windowMessages);
+    }
+    if (estimateMessageTokens(active.slice(keepFrom)) > budget) {
+      // Summaries leave room to grow so that they are not redone every turn
+      const target =
+        this._strategy === ContextStrategies.SUMMARIZE ? budget / 2 : budget;
+      keepFrom = this._fitFrom(active, keepFrom, target);
+    }
+    keepFrom = this._alignToUserMessage(active, keepFrom);
+
+    const kept = active.slice(keepFrom);
+    if (keepFrom === 0) {
+      callback(null, {
+        history,
+        messages: kept,
+        summary: previousSummary,
+        compacted: false,
+      });
+      return;
+    }
+
+    const dropped = active.slice(0, keepFrom);
+    const finish = (summary) => {
+      const newMarker = createMessage(MessageRoles.CONTEXT, [], {
+        strategy: this._strategy,
+        summary: summary || undefined,
+        count: (marker?.count || 0) + dropped.length,
+      });
+      callback(null, {
+        history: [
+          ...history.slice(0, Math.max(markerIndex, 0)),
+          ...dropped,
+          newMarker,
+          ...kept,
+        ],
+        messages: kept,
+        summary,
+        compacted: true,
+      });
+    };
+
+    if (this._strategy !== ContextStrategies.SUMMARIZE || !this._summarize) {
+      finish(previousSummary);
+      return;
+    }
+
+    this._summarize(previousSummary, dropped, (error, summary) => {
+      if (error) {
+        callback(error, null);
+        return;
+      }
+      finish(summary);
+    });
+  }
+
+  /**
+   * Find the first message from which the rest fits into a token budget
+   * @param {Array} messages - Messages, oldest first
+   * @param {number} start - Index to start searching from
+   * @param {number} budget - Token budget
+   * @returns {number} - Index of the first message to keep
+   * @private
+   */
+  _fitFrom(messages, start, budget) {
+    let index = start;
+    let tokens = estimateMessageTokens(messages.slice(index));
+
+    // Always keep the latest message, even if it alone is too long
+    while (index < messages.length - 1 && tokens > budget) {
+      tokens -= estimateMessageTokens([messages[index]]);
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Move a cut forward to the next user message, since providers expect
+   * the conversation to start with one
+   * @param {Array} messages - Messages, oldest first
+   * @param {number} index - Proposed first message to keep
+   * @returns {number} - Index of the first message to keep
+   * @private
+   */
+  _alignToUserMessage(messages, index) {
+    if (index === 0) {
+      return 0;
+    }
+
+    let aligned = index;
+    while (
+      aligned < messages.length - 1 &&
+      messages[aligned].role !== MessageRoles.USER
+    ) {
+      aligned++;
+    }
+    return aligned;
+  }
+}
+
+/**
+ * Build the request that asks a provider to summarize messages
+ * @param {string} previousSummary - Summary of even earlier messages, if any
+ * @param {Array} messages - Messages to summarize, oldest first
+ * @returns {Array} - Chat history with a single user message
+ */
+export function buildSummaryRequest(previousSummary, messages) {
+  const transcript = messages
+    .map((message) => {
+      if (message.role === MessageRoles.TOOL) {
+        const results = getMessageParts(message, PartTypes.TOOL_RESULT);
+        return results
+          .map(({ name, content }) => `Tool ${name}: ${content}`)
+          .join("\n");
+      }
+
+      const speaker = message.role === MessageRoles.USER ? "User" : "Assistant";
+      // The summary only needs to know that images were shown
+      const images = getMessageImages(message);
+      const imageNote = images.length
+        ? ` [${images.length} image(s) attached]`
+        : "";
+      const calls = getMessageParts(message, PartTypes.TOOL_CALL);
+      const callNote = calls.length
+        ? ` [called ${calls.map(({ name }) => name).join(", ")}]`
+        : "";
+      return `${speaker}: ${getMessageText(message)}${imageNote}${callNote}`;
+    })
+    .join("\n\n");
+
+  const parts = [
+    "Summarize the following conversation between a user and an assistant so that the assistant can continue it without the original messages. Keep facts, decisions, names, numbers and open questions; leave out small talk. Answer with the summary only.",
+  ];
+  if (previousSummary) {
+    parts.push(
+      `Summary of the conversation before these messages:\n${previousSummary}`,
+    );
+  }
+  parts.push(`Messages:\n${transcript}`);
+
+  return [createTextMessage(MessageRoles.USER, parts.join("\n\n"))];
+}
+
+/**
+ * Add the summary of earlier messages to a system prompt
+ * @param {string} systemPrompt - System prompt
+ * @param {string} summary - Summary of earlier messages, if any
+ * @returns {string} - System prompt including the summary
+ */
+export function withSummary(systemPrompt, summary) {
+  if (!summary) {
+    return systemPrompt;
+  }
+
+  return [systemPrompt, `Summary of the earlier conversation:\n${summary}`]
+    .filter(Boolean)
+    .join("\n\n");
+}
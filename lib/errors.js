@@ -0,0 +1,109 @@
+import GLib from "gi://GLib";
+import { ErrorTypes } from "./constants.js";
+
+/**
+ * Error reported by an LLM provider, tagged with one of ErrorTypes
+ */
+export class ProviderError extends Error {
+  /**
+   * Create a provider error
+   * @param {string} type - Error type (see ErrorTypes)
+   * @param {string} message - Message reported by the provider
+   * @param {number} status - HTTP status, undefined for errors inside a stream
+   */
+  constructor(type, message, status = undefined) {
+    super(message);
+    this.name = "ProviderError";
+    this.type = type;
+    this.status = status;
+    this.retryAfter = null;
+
+    // Retrying will not bring back an exhausted quota, even though
+    // some providers report it with the rate limit status
+    this.noRetry = type === ErrorTypes.QUOTA;
+  }
+}
+
+/**
+ * Guess the error type from an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {string} - Error type (see ErrorTypes)
+ */
+export function errorTypeFromStatus(status) {
+  switch (status) {
+    case 401:
+    case 403:
+      return ErrorTypes.AUTH;
+    case 402:
+      return ErrorTypes.QUOTA;
+    case 404:
+      return ErrorTypes.MODEL_NOT_FOUND;
+    case 413:
+      return ErrorTypes.CONTEXT_TOO_LONG;
+    case 408:
+    case 429:
+      return ErrorTypes.RATE_LIMIT;
+    default:
+      return status >= 500 ? ErrorTypes.SERVER : ErrorTypes.UNKNOWN;
+  }
+}
+
+/**
+ * Guess the error type from a provider message, for providers that
+ * report several problems with the same status and no error code
+ * @param {string} message - Error message
+ * @returns {string|null} - Error type, or null if nothing matched
+ */
+export function errorTypeFromMessage(message) {
+  if (
+    /context (length|window)|too many tokens|prompt is too long|maximum number of tokens/i.test(
+      message,
+    )
+  ) {
+    return ErrorTypes.CONTEXT_TOO_LONG;
+  }
+  if (/model .*(not found|does not exist)|unknown model/i.test(message)) {
+    return ErrorTypes.MODEL_NOT_FOUND;
+  }
+  if (/api key|unauthori[sz]ed/i.test(message)) {
+    return ErrorTypes.AUTH;
+  }
+  if (/quota|credit|billing/i.test(message)) {
+    return ErrorTypes.QUOTA;
+  }
+  return null;
+}
+
+/**
+ * Check whether another provider might succeed where this one failed.
+ * Configuration problems (key, model, prompt) would fail everywhere or
+ * need fixing first.
+ * @param {Error} error - Error the request ended with
+ * @returns {boolean} - Whether to fall back to the next provider
+ */
+export function isFallbackError(error) {
+  return [
+    ErrorTypes.SERVER,
+    ErrorTypes.RATE_LIMIT,
+    ErrorTypes.NETWORK,
+    ErrorTypes.QUOTA,
+  ].includes(getErrorType(error));
+}
+
+/**
+ * Get the type of any error a request can end with
+ * @param {Error} error - Error passed to the request callback
+ * @returns {string} - Error type (see ErrorTypes)
+ */
+export function getErrorType(error) {
+  if (error instanceof ProviderError) {
+    return error.type;
+  }
+
+  // Soup and Gio report resolver, TLS and connection problems as GLib errors
+  if (error instanceof GLib.Error) {
+    return ErrorTypes.NETWORK;
+  }
+
+  return ErrorTypes.UNKNOWN;
+}
@@ -0,0 +1,731 @@
+/**
+ * Built-in tools that read files in the folders the user allowed:
+ * read_file, list_directory and search_files. Paths outside those folders,
+ * paths containing ".." and paths that pass through a symbolic link are
+ * refused, and binary or very large files are not read.
+ */
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import { ToolExecutorTypes, ToolPolicies } from "./constants.js";
+
+// Largest file that is read, in bytes
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Most characters of file content returned at once
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+const DEFAULT_LINE_COUNT = 400;
+const MAX_LINE_COUNT = 2000;
+const MAX_DIRECTORY_ENTRIES = 500;
+const DEFAULT_SEARCH_RESULTS = 50;
+const MAX_SEARCH_RESULTS = 200;
+const MAX_SEARCHED_FILES = 5000;
+const MAX_SEARCH_DEPTH = 12;
+
+// Longest matching line returned by search_files
+const MAX_MATCH_LENGTH = 200;
+
+// Bytes looked at to tell text from binary files
+const BINARY_CHECK_LENGTH = 8192;
+
+const FILE_ATTRIBUTES =
+  "standard::name,standard::type,standard::size,standard::is-symlink,time::modified,unix::device,unix::inode";
+
+/**
+ * Create the file tools for a set of allowed folders
+ * @param {Array} folders - Absolute paths of the allowed folders
+ * @returns {Array} - Tools for ToolRegistry.register()
+ */
+export function createFileTools(folders) {
+  const roots = folders
+    .filter(Boolean)
+    .map((folder) => Gio.File.new_for_path(folder).get_path());
+  const run = (implementation) => (args, callback, cancellable) =>
+    implementation(args, roots, cancellable).then(
+      (result) => callback(null, result),
+      (error) => callback(error, null),
+    );
+  const allowed = roots.join(", ");
+
+  return [
+    {
+      name: "read_file",
+      description: `Read a text file in the folders the user allowed (${allowed}). Returns up to ${MAX_LINE_COUNT} lines at a time; use start_line to read further or a negative start_line to read the end of a log.`,
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description:
+              "Absolute path, a path starting with ~, or a path relative to the first allowed folder",
+          },
+          start_line: {
+            type: "integer",
+            description:
+              "First line to return, starting at 1. Negative numbers count from the end, so -100 returns the last 100 lines.",
+          },
+          line_count: {
+            type: "integer",
+            description: `Number of lines to return (default ${DEFAULT_LINE_COUNT})`,
+          },
+        },
+        required: ["path"],
+      },
+      executor: { type: ToolExecutorTypes.FUNCTION, run: run(readFile) },
+      requires: ["fileFolders"],
+      policy: ToolPolicies.ASK_ONCE,
+    },
+    {
+      name: "list_directory",
+      description: `List the files and folders in a folder the user allowed (${allowed}), with their type, size and modification time. Without a path, lists the allowed folders.`,
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description:
+              "Absolute path, a path starting with ~, or a path relative to the first allowed folder",
+          },
+        },
+        required: [],
+      },
+      executor: { type: ToolExecutorTypes.FUNCTION, run: run(listDirectory) },
+      requires: ["fileFolders"],
+      policy: ToolPolicies.ASK_ONCE,
+    },
+    {
+      name: "search_files",
+      description: `Search the folders the user allowed (${allowed}) for files by name, by content, or both. Returns matching files, with the matching lines when searching by content.`,
+      parameters: {
+        type: "object",
+        properties: {
+          path: {
+            type: "string",
+            description: "Folder to search in; all allowed folders if left out",
+          },
+          name: {
+            type: "string",
+            description:
+              "Part of the file name, or a pattern with * and ?, ignoring case",
+          },
+          text: {
+            type: "string",
+            description: "Text the file must contain, ignoring case",
+          },
+          max_results: {
+            type: "integer",
+            description: `Most results to return (default ${DEFAULT_SEARCH_RESULTS})`,
+          },
+        },
+        required: [],
+      },
+      executor: { type: ToolExecutorTypes.FUNCTION, run: run(searchFiles) },
+      requires: ["fileFolders"],
+      policy: ToolPolicies.ASK_ONCE,
+    },
+  ];
+}
+
+/**
+ * Resolve a path given by the assistant within the allowed folders
+ * @param {string} path - Absolute path, a path starting with ~, or a path
+ *   relative to the first allowed folder
+ * @param {Array} roots - Allowed folders
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop the checks
+ * @returns {Promise<object>} - Absolute path and what it points to
+ *   ({ path, info, isRoot }), info taken without following links unless
+ *   the path is an allowed folder itself
+ * @throws {Error} - If the path is outside the allowed folders, contains
+ *   "..", passes through a symbolic link or does not exist
+ */
+async function resolveAllowedPath(path, roots, cancellable) {
+  if (roots.length === 0) {
+    throw new Error("No folders are allowed for the file tools");
+  }
+
+  let expanded = String(path ?? "").trim();
+  if (expanded === "~" || expanded.startsWith("~/")) {
+    expanded = GLib.get_home_dir() + expanded.slice(1);
+  }
+  if (expanded.split("/").includes("..")) {
+    throw new Error(`Paths containing ".." are not allowed: ${path}`);
+  }
+
+  const absolute = Gio.File.new_for_path(
+    GLib.path_is_absolute(expanded)
+      ? expanded
+      : GLib.build_filenamev([roots[0], expanded]),
+  ).get_path();
+  const root = roots.find(
+    (folder) =>
+      absolute === folder ||
+      absolute.startsWith(folder.endsWith("/") ? folder : `${folder}/`),
+  );
+  if (!root) {
+    throw new Error(
+      `${path} is outside the allowed folders (${roots.join(", ")})`,
+    );
+  }
+
+  // The allowed folders may be links themselves, but a link below one
+  // could lead anywhere
+  let current = Gio.File.new_for_path(root);
+  let info = await queryPath(current, path, cancellable, true);
+  for (const segment of absolute.slice(root.length).split("/")) {
+    if (!segment) {
+      continue;
+    }
+
+    current = current.get_child(segment);
+    info = await queryPath(current, path, cancellable);
+    if (info.get_is_symlink()) {
+      throw new Error(
+        `${path} passes through a symbolic link, which is not allowed`,
+      );
+    }
+  }
+
+  return { path: absolute, info, isRoot: absolute === root };
+}
+
+/**
+ * Query one step of a path given by the assistant
+ * @param {Gio.File} file - File or folder on the path
+ * @param {string} path - Path as given, for error messages
+ * @param {Gio.Cancellable} cancellable - Cancellable
+ * @param {boolean} followLinks - Whether to follow a link
+ * @returns {Promise<Gio.FileInfo>} - File info
+ * @throws {Error} - If the file does not exist
+ */
+async function queryPath(file, path, cancellable, followLinks = false) {
+  try {
+    return await queryInfo(file, cancellable, followLinks);
+  } catch (e) {
+    if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+      throw new Error(`${path} does not exist`);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Tell whether two file infos describe the same file
+ * @param {Gio.FileInfo} a - File info
+ * @param {Gio.FileInfo} b - File info
+ * @returns {boolean} - Whether device and inode match
+ */
+function isSameFile(a, b) {
+  return (
+    a.get_attribute_uint32("unix::device") ===
+      b.get_attribute_uint32("unix::device") &&
+    a.get_attribute_uint64("unix::inode") ===
+      b.get_attribute_uint64("unix::inode")
+  );
+}
+
+/**
+ * Make sure a folder was not replaced, for example by a symbolic link,
+ * while it was listed
+ * @param {Gio.File} file - Folder
+ * @param {Gio.FileInfo} expected - Info of the folder taken before listing
+ * @param {Gio.Cancellable} cancellable - Cancellable
+ * @param {boolean} isRoot - Whether the folder is an allowed folder, which
+ *   may be a link
+ * @throws {Error} - If the folder changed
+ */
+async function checkUnchanged(file, expected, cancellable, isRoot) {
+  const info = await queryInfo(file, cancellable, isRoot);
+  if (info.get_is_symlink() || !isSameFile(info, expected)) {
+    throw new Error(`${file.get_path()} changed while it was read`);
+  }
+}
+
+/**
+ * Read lines of a text file
+ * @param {object} args - Tool arguments ({ path, start_line, line_count })
+ * @param {Array} roots - Allowed folders
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<object>} - The lines read and where they are in the file
+ */
+async function readFile(args, roots, cancellable) {
+  const { path, info } = await resolveAllowedPath(
+    args.path,
+    roots,
+    cancellable,
+  );
+  if (info.get_file_type() !== Gio.FileType.REGULAR) {
+    throw new Error(`${args.path} is not a file`);
+  }
+  checkFileSize(args.path, info.get_size());
+
+  const text = decodeText(
+    await loadContents(Gio.File.new_for_path(path), info, cancellable),
+  );
+  if (text === null) {
+    throw new Error(`${args.path} is a binary file and cannot be read`);
+  }
+
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+
+  const lineCount = readInteger(
+    args.line_count,
+    "line_count",
+    DEFAULT_LINE_COUNT,
+    1,
+    MAX_LINE_COUNT,
+  );
+  const startLine = readInteger(
+    args.start_line,
+    "start_line",
+    1,
+    -lines.length,
+    lines.length + 1,
+  );
+  const start =
+    startLine < 0
+      ? Math.max(lines.length + startLine, 0)
+      : Math.max(startLine - 1, 0);
+
+  let content = lines.slice(start, start + lineCount).join("\n");
+  let truncated = start + lineCount < lines.length;
+  if (content.length > MAX_OUTPUT_LENGTH) {
+    content = content.slice(0, MAX_OUTPUT_LENGTH);
+    truncated = true;
+  }
+
+  return {
+    path,
+    size: info.get_size(),
+    total_lines: lines.length,
+    first_line: start + 1,
+    last_line: start + (content ? content.split("\n").length : 0),
+    truncated,
+    content,
+  };
+}
+
+/**
+ * List the entries of a folder
+ * @param {object} args - Tool arguments ({ path })
+ * @param {Array} roots - Allowed folders
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop listing
+ * @returns {Promise<object>} - Entries ({ name, type, size, modified })
+ */
+async function listDirectory(args, roots, cancellable) {
+  if (!args.path) {
+    return { allowed_folders: roots };
+  }
+
+  const { path, info, isRoot } = await resolveAllowedPath(
+    args.path,
+    roots,
+    cancellable,
+  );
+  if (info.get_file_type() !== Gio.FileType.DIRECTORY) {
+    throw new Error(`${args.path} is not a folder`);
+  }
+
+  const file = Gio.File.new_for_path(path);
+  const children = await listChildren(
+    file,
+    cancellable,
+    MAX_DIRECTORY_ENTRIES + 1,
+  );
+  await checkUnchanged(file, info, cancellable, isRoot);
+  const entries = children
+    .slice(0, MAX_DIRECTORY_ENTRIES)
+    .map((child) => ({
+      name: child.get_name(),
+      type: describeType(child),
+      size:
+        child.get_file_type() === Gio.FileType.REGULAR
+          ? child.get_size()
+          : undefined,
+      modified: child.get_modification_date_time()?.format_iso8601(),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    path,
+    entries,
+    truncated: children.length > MAX_DIRECTORY_ENTRIES,
+  };
+}
+
+/**
+ * Search folders for files by name and content, without following links
+ * @param {object} args - Tool arguments ({ path, name, text, max_results })
+ * @param {Array} roots - Allowed folders
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop searching
+ * @returns {Promise<object>} - Matches ({ path, line, text }), with line
+ *   and text only when searching by content
+ */
+async function searchFiles(args, roots, cancellable) {
+  if (!args.name && !args.text) {
+    throw new Error("Give a name, a text or both to search for");
+  }
+
+  const maxResults = readInteger(
+    args.max_results,
+    "max_results",
+    DEFAULT_SEARCH_RESULTS,
+    1,
+    MAX_SEARCH_RESULTS,
+  );
+  const matchesName = createNameMatcher(args.name);
+  const text = args.text?.toLowerCase();
+
+  const matches = [];
+  let filesSearched = 0;
+  let truncated = false;
+
+  // Breadth first, so that shallow files are found before deep ones
+  const starts = args.path
+    ? [await resolveAllowedPath(args.path, roots, cancellable)]
+    : await Promise.all(
+        roots.map(async (path) => ({
+          path,
+          info: await queryInfo(Gio.File.new_for_path(path), cancellable, true),
+          isRoot: true,
+        })),
+      );
+  const queue = starts.map(({ path, info, isRoot }) => ({
+    file: Gio.File.new_for_path(path),
+    info,
+    isRoot,
+    depth: 0,
+  }));
+  while (queue.length > 0 && !truncated) {
+    const { file, info, isRoot, depth } = queue.shift();
+    let children;
+    try {
+      children = await listChildren(file, cancellable);
+      await checkUnchanged(file, info, cancellable, isRoot);
+    } catch (e) {
+      if (cancellable?.is_cancelled()) {
+        throw e;
+      }
+      // Folders that cannot be read are skipped
+      continue;
+    }
+
+    for (const child of children) {
+      const childFile = file.get_child(child.get_name());
+      const type = child.get_file_type();
+      if (child.get_is_symlink()) {
+        continue;
+      }
+      if (type === Gio.FileType.DIRECTORY) {
+        if (depth < MAX_SEARCH_DEPTH) {
+          queue.push({
+            file: childFile,
+            info: child,
+            isRoot: false,
+            depth: depth + 1,
+          });
+        }
+        continue;
+      }
+      if (type !== Gio.FileType.REGULAR || !matchesName(child.get_name())) {
+        continue;
+      }
+
+      if (filesSearched >= MAX_SEARCHED_FILES || matches.length >= maxResults) {
+        truncated = true;
+        break;
+      }
+      filesSearched++;
+
+      if (!text) {
+        matches.push({ path: childFile.get_path() });
+        continue;
+      }
+      if (child.get_size() > MAX_FILE_SIZE) {
+        continue;
+      }
+
+      let contents;
+      try {
+        contents = decodeText(
+          await loadContents(childFile, child, cancellable),
+        );
+      } catch (e) {
+        if (cancellable?.is_cancelled()) {
+          throw e;
+        }
+        continue;
+      }
+      if (contents === null) {
+        continue;
+      }
+
+      const lines = contents.split("\n");
+      for (let index = 0; index < lines.length; index++) {
+        if (!lines[index].toLowerCase().includes(text)) {
+          continue;
+        }
+        if (matches.length >= maxResults) {
+          truncated = true;
+          break;
+        }
+        matches.push({
+          path: childFile.get_path(),
+          line: index + 1,
+          text: lines[index].trim().slice(0, MAX_MATCH_LENGTH),
+        });
+      }
+    }
+  }
+
+  return { matches, files_searched: filesSearched, truncated };
+}
+
+/**
+ * Create a case-insensitive file name test
+ * @param {string} pattern - Part of the name, or a pattern with * and ?
+ * @returns {Function} - Test taking a file name
+ */
+function createNameMatcher(pattern) {
+  if (!pattern) {
+    return () => true;
+  }
+
+  const lowered = pattern.toLowerCase();
+  if (/[*?]/.test(lowered)) {
+    return (name) => GLib.pattern_match_simple(lowered, name.toLowerCase());
+  }
+  return (name) => name.toLowerCase().includes(lowered);
+}
+
+/**
+ * Refuse files that are too large to read
+ * @param {string} path - Path as given
+ * @param {number} size - File size in bytes
+ * @throws {Error} - If the file is too large
+ */
+function checkFileSize(path, size) {
+  if (size > MAX_FILE_SIZE) {
+    throw new Error(
+      `${path} is ${GLib.format_size(size)}, larger than the ${GLib.format_size(MAX_FILE_SIZE)} that can be read`,
+    );
+  }
+}
+
+/**
+ * Decode file contents as UTF-8 text. Invalid bytes, common in logs,
+ * become replacement characters; files with NUL bytes are binary.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} - Text, null for binary files
+ */
+function decodeText(bytes) {
+  if (bytes.subarray(0, BINARY_CHECK_LENGTH).includes(0)) {
+    return null;
+  }
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+/**
+ * Describe the type of a folder entry
+ * @param {Gio.FileInfo} info - Entry
+ * @returns {string} - "file", "folder", "symlink" or "other"
+ */
+function describeType(info) {
+  if (info.get_is_symlink()) {
+    return "symlink";
+  }
+  switch (info.get_file_type()) {
+    case Gio.FileType.REGULAR:
+      return "file";
+    case Gio.FileType.DIRECTORY:
+      return "folder";
+    default:
+      return "other";
+  }
+}
+
+/**
+ * Read a whole-number tool argument and keep it within bounds
+ * @param {*} value - Argument as given, a number or a numeric string
+ * @param {string} name - Argument name, for the error message
+ * @param {number} fallback - Value when the argument is left out
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Whole number within the bounds
+ * @throws {Error} - If the argument is not a number
+ */
+function readInteger(value, name, fallback, min, max) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  const number =
+    typeof value === "number" || typeof value === "string"
+      ? Number(value)
+      : NaN;
+  if (!Number.isFinite(number) || String(value).trim() === "") {
+    throw new Error(`${name} must be a whole number`);
+  }
+  return Math.min(Math.max(Math.trunc(number), min), max);
+}
+
+/**
+ * Query a file, by default without following symbolic links
+ * @param {Gio.File} file - File
+ * @param {Gio.Cancellable} cancellable - Cancellable
+ * @param {boolean} followLinks - Whether to follow a link
+ * @returns {Promise<Gio.FileInfo>} - File info
+ */
+function queryInfo(file, cancellable, followLinks = false) {
+  return new Promise((resolve, reject) =>
+    file.query_info_async(
+      FILE_ATTRIBUTES,
+      followLinks
+        ? Gio.FileQueryInfoFlags.NONE
+        : Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+      GLib.PRIORITY_DEFAULT,
+      cancellable,
+      (source, result) => {
+        try {
+          resolve(source.query_info_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+}
+
+/**
+ * Read a whole file, making sure it is the file that was checked. Opening
+ * follows symbolic links, so a link swapped in after the check would lead
+ * to another file, which is refused.
+ * @param {Gio.File} file - File
+ * @param {Gio.FileInfo} expected - Info of the file taken without
+ *   following links
+ * @param {Gio.Cancellable} cancellable - Cancellable
+ * @returns {Promise<Uint8Array>} - Contents
+ * @throws {Error} - If the file opened is not the one checked, or grew
+ *   beyond the size that can be read
+ */
+async function loadContents(file, expected, cancellable) {
+  const stream = await new Promise((resolve, reject) =>
+    file.read_async(GLib.PRIORITY_DEFAULT, cancellable, (source, result) => {
+      try {
+        resolve(source.read_finish(result));
+      } catch (e) {
+        reject(e);
+      }
+    }),
+  );
+
+  try {
+    const opened = await new Promise((resolve, reject) =>
+      stream.query_info_async(
+        "unix::device,unix::inode",
+        GLib.PRIORITY_DEFAULT,
+        cancellable,
+        (source, result) => {
+          try {
+            resolve(source.query_info_finish(result));
+          } catch (e) {
+            reject(e);
+          }
+        },
+      ),
+    );
+    if (!isSameFile(opened, expected)) {
+      throw new Error(`${file.get_path()} changed while it was read`);
+    }
+
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+      const bytes = await new Promise((resolve, reject) =>
+        stream.read_bytes_async(
+          64 * 1024,
+          GLib.PRIORITY_DEFAULT,
+          cancellable,
+          (source, result) => {
+            try {
+              resolve(source.read_bytes_finish(result));
+            } catch (e) {
+              reject(e);
+            }
+          },
+        ),
+      );
+      const data = bytes.get_data();
+      if (!data || data.length === 0) {
+        break;
+      }
+      length += data.length;
+      checkFileSize(file.get_path(), length);
+      chunks.push(data);
+    }
+
+    const contents = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      contents.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return contents;
+  } finally {
+    stream.close(null);
+  }
+}
+
+/**
+ * List the entries of a folder without following symbolic links
+ * @param {Gio.File} file - Folder
+ * @param {Gio.Cancellable} cancellable - Cancellable
+ * @param {number} limit - Most entries to list
+ * @returns {Promise<Array>} - Entries (Gio.FileInfo)
+ */
+async function listChildren(file, cancellable, limit = Infinity) {
+  const enumerator = await new Promise((resolve, reject) =>
+    file.enumerate_children_async(
+      FILE_ATTRIBUTES,
+      Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+      GLib.PRIORITY_DEFAULT,
+      cancellable,
+      (source, result) => {
+        try {
+          resolve(source.enumerate_children_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+
+  const infos = [];
+  try {
+    while (infos.length < limit) {
+      const batch = await new Promise((resolve, reject) =>
+        enumerator.next_files_async(
+          100,
+          GLib.PRIORITY_DEFAULT,
+          cancellable,
+          (source, result) => {
+            try {
+              resolve(source.next_files_finish(result));
+            } catch (e) {
+              reject(e);
+            }
+          },
+        ),
+      );
+      if (batch.length === 0) {
+        break;
+      }
+      infos.push(...batch);
+    }
+  } finally {
+    enumerator.close(null);
+  }
+  return infos;
+}
@@ -1,7 +1,51 @@
 import Soup from "gi://Soup";
 import GLib from "gi://GLib";
-import { LLMProviders, MessageRoles } from "./constants.js";
-import { TOOL_DEFINITIONS, ToolExecutor } from "./tools.js";
+import Gio from "gi://Gio";
+import {
+  ErrorTypes,
+  GenerationDefaults,
+  LLMProviders,
+  MessageRoles,
+  ProviderDefaults,
+} from "./constants.js";
+import { RetryPolicy, parseRetryAfter } from "./retry.js";
+import { createToolCallId, createToolTurnMessages } from "./messages.js";
+import {
+  loadImages,
+  toAnthropicMessages,
+  toGeminiContents,
+  toOpenAIMessages,
+} from "./translators.js";
+import {
+  ProviderError,
+  errorTypeFromMessage,
+  errorTypeFromStatus,
+  isFallbackError,
+} from "./errors.js";
+
+// Schema keywords Gemini function declarations accept
+const GEMINI_SCHEMA_KEYS = [
+  "type",
+  "format",
+  "title",
+  "description",
+  "nullable",
+  "enum",
+  "default",
+  "example",
+  "properties",
+  "required",
+  "propertyOrdering",
+  "items",
+  "minItems",
+  "maxItems",
+  "minimum",
+  "maximum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "anyOf",
+];
 
 /**
  * Base class for LLM providers
@@ -11,470 +55,1771 @@ class LLMProvider {
    * Create a base LLM provider
    * @param {string} apiKey - API key for the provider
    * @param {string} model - Model name to use
+   * @param {string} baseUrl - API base URL
+   * @param {ToolRegistry} toolRegistry - Tools offered to the model (optional)
+   */
+  constructor(apiKey, model, baseUrl, toolRegistry = null) {
+    this._apiKey = apiKey;
+    this._model = model;
+    this._baseUrl = (baseUrl || "").replace(/\/+$/, "");
+    this._params = {};
+    this._systemPrompt = "";
+    this._cancellable = null;
+    this._imageData = new Map();
+    this._httpSession = new Soup.Session();
+    this._retryPolicy = new RetryPolicy();
+    this._usageListener = null;
+    this._toolListener = null;
+    this._initTools(toolRegistry);
+  }
+
+  /**
+   * Set the generation parameters sent with each request
+   * @param {object} params - Parameters (temperature, maxTokens, topP, topK,
+   *   frequencyPenalty, presencePenalty); null or missing ones are left out
+   */
+  setGenerationParams(params) {
+    this._params = params || {};
+  }
+
+  /**
+   * Set the standing instructions sent with each request
+   * @param {string} prompt - System prompt with variables already expanded
+   */
+  setSystemPrompt(prompt) {
+    this._systemPrompt = prompt?.trim() || "";
+  }
+
+  /**
+   * Get the request field name of each supported generation parameter
+   * @returns {object} - Field names keyed by parameter name
+   */
+  _getParamFields() {
+    // Implemented by subclasses
+    return {};
+  }
+
+  /**
+   * Copy the set generation parameters into a request object
+   * @param {object} target - Request body or generation config to fill
+   * @returns {object} - The target
+   */
+  _applyGenerationParams(target) {
+    for (const [key, field] of Object.entries(this._getParamFields())) {
+      const value = this._params[key];
+      if (value !== undefined && value !== null) {
+        target[field] = value;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Set the policy used to retry failed requests, including tool calls
+   * @param {RetryPolicy} policy - Retry policy
+   */
+  setRetryPolicy(policy) {
+    this._retryPolicy = policy;
+    this._toolRegistry?.setRetryPolicy(policy);
+  }
+
+  /**
+   * Set the listener told about the tokens each request uses
+   * @param {Function} listener - Called with ({ inputTokens, outputTokens })
+   *   for every assistant turn, including the turns that call tools
+   */
+  setUsageListener(listener) {
+    this._usageListener = listener;
+  }
+
+  /**
+   * Set the listener told about the tools each assistant turn ran
+   * @param {Function} listener - Called with (calls, results) once the tool
+   *   calls of a turn have finished, before the next turn is requested
+   */
+  setToolListener(listener) {
+    this._toolListener = listener;
+  }
+
+  /**
+   * Extract the token usage from an API response or stream event
+   * @param {object} response - Parsed API response or event payload
+   * @returns {object|null} - Usage ({ inputTokens, outputTokens }), either of
+   *   which may be missing, or null if the payload carries none
+   */
+  _extractUsage(response) {
+    // Implemented by subclasses
+    return null;
+  }
+
+  /**
+   * Pass the usage of a turn on to the usage listener
+   * @param {object} usage - Usage ({ inputTokens, outputTokens }), may be null
+   * @private
+   */
+  _reportUsage(usage) {
+    if (!usage || !this._usageListener) {
+      return;
+    }
+
+    this._usageListener({
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+    });
+  }
+
+  /**
+   * Prepare HTTP message for the API request
+   * @param {string} url - API endpoint URL
+   * @param {object} requestBody - Request body object
+   * @returns {Soup.Message} - Configured message object
+   */
+  _prepareRequest(url, requestBody) {
+    const message = Soup.Message.new("POST", url);
+    message.request_headers.append("content-type", "application/json");
+
+    // Add provider-specific headers in subclasses
+    this._addRequestHeaders(message);
+
+    const body = JSON.stringify(requestBody);
+    const bytes = GLib.Bytes.new(body);
+    message.set_request_body_from_bytes("application/json", bytes);
+
+    return message;
+  }
+
+  /**
+   * Add provider-specific headers to the request
+   * @param {Soup.Message} message - Message to modify
+   */
+  _addRequestHeaders(message) {
+    // Implemented by subclasses
+  }
+
+  /**
+   * Classify an error payload returned by the API
+   * @param {number} status - HTTP status, undefined for errors inside a stream
+   * @param {object} body - Parsed error payload, null if it was not JSON
+   * @returns {object} - Classification ({ type, message })
+   */
+  _parseError(status, body) {
+    // OpenAI-style { error: { message } }; some servers send a bare string
+    const error = body?.error;
+    const message =
+      (typeof error === "string" ? error : error?.message) ||
+      (status ? `HTTP error ${status}` : "Unknown error");
+
+    let type = errorTypeFromStatus(status);
+    if (type === ErrorTypes.UNKNOWN || type === ErrorTypes.MODEL_NOT_FOUND) {
+      type = errorTypeFromMessage(message) ?? type;
+    }
+
+    return { type, message };
+  }
+
+  /**
+   * Create a typed error for a failed request
+   * @param {Soup.Message} message - Failed message, null for errors inside a stream
+   * @param {object} body - Parsed error payload, null if it was not JSON
+   * @returns {ProviderError} - Typed error
+   */
+  _createError(message, body) {
+    const status = message?.get_status();
+    const parsed = this._parseError(status, body);
+    const error = new ProviderError(parsed.type, parsed.message, status);
+
+    if (message) {
+      error.retryAfter = parseRetryAfter(
+        message.response_headers.get_one("retry-after"),
+      );
+    }
+
+    return error;
+  }
+
+  /**
+   * Create the error for a response the provider refused to give
+   * @param {string} reason - Block or finish reason reported by the provider
+   * @returns {ProviderError} - Safety block error
+   */
+  _createSafetyError(reason) {
+    return new ProviderError(
+      ErrorTypes.SAFETY_BLOCK,
+      `The response was blocked (${reason})`,
+    );
+  }
+
+  /**
+   * Parse the body of a failed response
+   * @param {GLib.Bytes} bytes - Response body
+   * @returns {object|null} - Parsed payload, null if it was not JSON
+   * @private
+   */
+  _parseErrorBody(bytes) {
+    try {
+      const decoder = new TextDecoder("utf-8");
+      return JSON.parse(decoder.decode(bytes.get_data()));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract the response text from API response
+   * @param {object} response - Parsed API response
+   * @returns {string} - Extracted text
+   */
+  _extractResponseText(response) {
+    // Implemented by subclasses
+    return "";
+  }
+
+  /**
+   * Format the chat history for the provider's API
+   * @param {Array} history - Chat history of provider-neutral messages
+   * @returns {object} - Formatted messages for the API
+   */
+  _formatMessages(history) {
+    // Implemented by subclasses
+    return [];
+  }
+
+  /**
+   * Generate the request body for the API call
+   * @param {Array} history - Chat history
+   * @returns {object} - Request body object
+   */
+  _generateRequestBody(history) {
+    // Implemented by subclasses
+    return {};
+  }
+
+  /**
+   * Get the tool definitions in the provider's format
+   * @returns {Array} - Tool definitions
+   */
+  _getToolDefinitions() {
+    // OpenAI-style function definitions unless overridden
+    return this._tools.map((tool) => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+
+  /**
+   * Get the streaming API endpoint URL
+   * @returns {string} - Endpoint URL
+   */
+  _getStreamEndpointUrl() {
+    // Most providers stream from the same endpoint
+    return this._getEndpointUrl();
+  }
+
+  /**
+   * Generate the request body for a streaming API call
+   * @param {Array} history - Chat history
+   * @returns {object} - Request body object
+   */
+  _generateStreamRequestBody(history) {
+    return { ...this._generateRequestBody(history), stream: true };
+  }
+
+  /**
+   * Create the state accumulated while a response streams in
+   * @returns {object} - Stream state
+   */
+  _createStreamState() {
+    return { text: "", usage: null };
+  }
+
+  /**
+   * Extract the text delta from a single server-sent event
+   * @param {object} event - Parsed event payload
+   * @param {object} state - Accumulated stream state
+   * @returns {string} - Text delta (empty if the event carries no text)
+   */
+  _extractStreamDelta(event, state) {
+    // Implemented by subclasses
+    return "";
+  }
+
+  /**
+   * Build an assistant turn from a complete API response
+   * @param {object} response - Parsed API response
+   * @returns {object} - Turn ({ text, toolCalls, raw })
+   */
+  _turnFromResponse(response) {
+    return { text: this._extractResponseText(response) || "", toolCalls: [] };
+  }
+
+  /**
+   * Build an assistant turn from an accumulated stream state
+   * @param {object} state - Stream state
+   * @returns {object} - Turn ({ text, toolCalls, raw })
+   */
+  _turnFromStreamState(state) {
+    return { text: state.text, toolCalls: [] };
+  }
+
+  /**
+   * Get the part of an assistant turn that must be sent back verbatim
+   * @param {object} turn - Assistant turn ({ text, toolCalls, raw })
+   * @returns {object|null} - Native turn ({ provider, content }), null if the
+   *   provider-neutral parts are enough
+   */
+  _getNativeTurn(turn) {
+    return null;
+  }
+
+  /**
+   * Append an assistant tool call turn and its results to the conversation
+   * @param {Array} conversation - Working copy of the conversation
+   * @param {object} turn - Assistant turn that requested the tools
+   * @param {Array} results - Tool results ({ id, name, content, isError,
+   *   approval, duration })
+   */
+  _appendToolTurn(conversation, turn, results) {
+    conversation.push(
+      ...createToolTurnMessages(turn, results, this._getNativeTurn(turn)),
+    );
+  }
+
+  /**
+   * Send a request to the LLM API
+   * @param {Array} history - Chat history of provider-neutral messages
+   * @param {Function} callback - Callback with (error, response, turns) where
+   *   turns are the tool call messages that led to the response, or on error
+   *   those completed before it
+   * @param {Function} onChunk - Optional callback with (delta, fullText) for streamed text
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop the request
+   */
+  sendRequest(history, callback, onChunk = null, cancellable = null) {
+    this._cancellable = cancellable;
+
+    // Attached images are read once for all requests of the response;
+    // tool turns never add any
+    loadImages(history, cancellable).then(
+      (imageData) => {
+        this._imageData = imageData;
+
+        // Tool turns are kept in a working copy and only handed back once
+        // the response is complete
+        const conversation = [...history];
+        this._sendRequestInternal(
+          conversation,
+          (error, response) =>
+            callback(error, response, conversation.slice(history.length)),
+          0,
+          onChunk,
+        );
+      },
+      (error) => callback(error, null, []),
+    );
+  }
+
+  /**
+   * Internal recursive method for handling tool calls
+   * @param {Array} conversation - Working copy of the conversation
+   * @param {Function} finalCallback - Final callback
+   * @param {number} depth - Recursion depth (max 5)
+   * @param {Function} onChunk - Optional callback with (delta, fullText)
+   */
+  _sendRequestInternal(conversation, finalCallback, depth, onChunk = null) {
+    if (depth > 5) {
+      finalCallback(new Error("Too many tool call iterations"), null);
+      return;
+    }
+
+    if (this._cancellable?.is_cancelled()) {
+      finalCallback(new Error("Request cancelled"), null);
+      return;
+    }
+
+    this._retryPolicy.run(
+      (done) => this._requestAssistantTurn(conversation, done, onChunk),
+      (error, turn) => {
+        if (error) {
+          finalCallback(error, null);
+          return;
+        }
+
+        if (turn.toolCalls.length === 0) {
+          // No tool calls, return final text
+          finalCallback(null, turn.text);
+          return;
+        }
+
+        // Only names and sizes: arguments and results may hold file contents
+        // and command output that do not belong in the system log
+        console.log(
+          "[Penguin] Tool calls detected: " +
+            turn.toolCalls.map(({ name }) => name).join(", "),
+        );
+
+        this._runToolCalls(turn.toolCalls, (error, results) => {
+          if (error) {
+            finalCallback(error, null);
+            return;
+          }
+
+          console.log(
+            "[Penguin] Tool results: " +
+              results
+                .map(
+                  ({ name, content, isError }) =>
+                    `${name} (${isError ? "error, " : ""}${content.length} characters)`,
+                )
+                .join(", "),
+          );
+          this._toolListener?.(turn.toolCalls, results);
+          this._appendToolTurn(conversation, turn, results);
+
+          // Make another request with tool results
+          this._sendRequestInternal(
+            conversation,
+            finalCallback,
+            depth + 1,
+            onChunk,
+          );
+        });
+      },
+      this._cancellable,
+    );
+  }
+
+  /**
+   * Request the next assistant turn, streamed or in one piece
+   * @param {Array} conversation - Current conversation
+   * @param {Function} callback - Callback with (error, turn)
+   * @param {Function} onChunk - Optional callback with (delta, fullText)
+   */
+  _requestAssistantTurn(conversation, callback, onChunk) {
+    if (onChunk) {
+      const state = this._createStreamState();
+
+      this._streamEvents(
+        this._getStreamEndpointUrl(),
+        this._generateStreamRequestBody(conversation),
+        (event) => {
+          // Usage arrives spread over the stream, later values win
+          const usage = this._extractUsage(event);
+          if (usage) {
+            state.usage ??= {};
+            for (const [key, value] of Object.entries(usage)) {
+              if (value !== undefined) {
+                state.usage[key] = value;
+              }
+            }
+          }
+
+          const delta = this._extractStreamDelta(event, state);
+          if (delta) {
+            state.text += delta;
+            onChunk(delta, state.text);
+          }
+        },
+        (error) => {
+          // Tokens are billed even when the stream breaks off
+          this._reportUsage(state.usage);
+
+          if (error) {
+            // Text already shown cannot be taken back, so a retry
+            // would repeat it
+            if (state.text) {
+              error.noRetry = true;
+            }
+            callback(error, null);
+            return;
+          }
+
+          let turn;
+          try {
+            turn = this._turnFromStreamState(state);
+          } catch (turnError) {
+            callback(turnError, null);
+            return;
+          }
+          callback(null, turn);
+        },
+      );
+      return;
+    }
+
+    const requestBody = this._generateRequestBody(conversation);
+    const url = this._getEndpointUrl();
+    const message = this._prepareRequest(url, requestBody);
+
+    this._httpSession.send_and_read_async(
+      message,
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (session, result) => {
+        try {
+          // Finish first so that cancellation surfaces as an error
+          const bytes = session.send_and_read_finish(result);
+          if (message.get_status() === Soup.Status.OK) {
+            const decoder = new TextDecoder("utf-8");
+            const response = JSON.parse(decoder.decode(bytes.get_data()));
+            this._reportUsage(this._extractUsage(response));
+            callback(null, this._turnFromResponse(response));
+          } else {
+            callback(
+              this._createError(message, this._parseErrorBody(bytes)),
+              null,
+            );
+          }
+        } catch (error) {
+          callback(error, null);
+        }
+      },
+    );
+  }
+
+  /**
+   * Get the URL listing the available models
+   * @returns {string} - Models endpoint URL
+   */
+  _getModelsUrl() {
+    // OpenAI-style APIs list models next to the chat endpoint
+    return `${this._baseUrl}/models`;
+  }
+
+  /**
+   * Extract model names from a models listing
+   * @param {object} response - Parsed API response
+   * @returns {Array} - Model names
+   */
+  _parseModelList(response) {
+    return (response.data || []).map((model) => model.id);
+  }
+
+  /**
+   * Fetch the models available to this provider
+   * @param {Function} callback - Callback with (error, models) where models
+   *   is a sorted list of model names
+   * @param {Gio.Cancellable} cancellable - Optional cancellable
+   */
+  listModels(callback, cancellable = null) {
+    this._fetchJson(
+      this._getModelsUrl(),
+      (error, response) => {
+        if (error) {
+          callback(error, null);
+          return;
+        }
+
+        try {
+          const models = [...new Set(this._parseModelList(response))];
+          callback(
+            null,
+            models.sort((a, b) => a.localeCompare(b)),
+          );
+        } catch (parseError) {
+          callback(parseError, null);
+        }
+      },
+      cancellable,
+    );
+  }
+
+  /**
+   * Send an authenticated GET request and parse the JSON response
+   * @param {string} url - URL to fetch
+   * @param {Function} callback - Callback with (error, response)
+   * @param {Gio.Cancellable} cancellable - Optional cancellable
+   */
+  _fetchJson(url, callback, cancellable = null) {
+    const message = Soup.Message.new("GET", url);
+    this._addRequestHeaders(message);
+
+    this._httpSession.send_and_read_async(
+      message,
+      GLib.PRIORITY_DEFAULT,
+      cancellable,
+      (session, result) => {
+        try {
+          const bytes = session.send_and_read_finish(result);
+          if (message.get_status() === Soup.Status.OK) {
+            const decoder = new TextDecoder("utf-8");
+            callback(null, JSON.parse(decoder.decode(bytes.get_data())));
+          } else {
+            callback(
+              this._createError(message, this._parseErrorBody(bytes)),
+              null,
+            );
+          }
+        } catch (error) {
+          callback(error, null);
+        }
+      },
+    );
+  }
+
+  /**
+   * Get the API endpoint URL
+   * @returns {string} - Endpoint URL
+   */
+  _getEndpointUrl() {
+    // Implemented by subclasses
+    return "";
+  }
+
+  /**
+   * Open a server-sent events stream and dispatch each parsed event
+   * @param {string} url - API endpoint URL
+   * @param {object} requestBody - Request body object
+   * @param {Function} onEvent - Called with each parsed event payload
+   * @param {Function} callback - Callback with (error) once the stream ends
+   */
+  _streamEvents(url, requestBody, onEvent, callback) {
+    const message = this._prepareRequest(url, requestBody);
+    message.request_headers.append("accept", "text/event-stream");
+
+    this._httpSession.send_async(
+      message,
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (session, result) => {
+        let stream;
+        try {
+          stream = session.send_finish(result);
+        } catch (error) {
+          callback(error);
+          return;
+        }
+
+        if (message.get_status() !== Soup.Status.OK) {
+          this._readErrorBody(stream, (body) =>
+            callback(this._createError(message, body)),
+          );
+          return;
+        }
+
+        const dataStream = new Gio.DataInputStream({
+          base_stream: stream,
+          close_base_stream: true,
+        });
+        this._readStreamLines(dataStream, onEvent, callback);
+      },
+    );
+  }
+
+  /**
+   * Read the error payload of a failed streaming request
+   * @param {Gio.InputStream} stream - Response body stream
+   * @param {Function} callback - Called with the parsed payload, or null
+   * @private
+   */
+  _readErrorBody(stream, callback) {
+    const output = Gio.MemoryOutputStream.new_resizable();
+
+    output.splice_async(
+      stream,
+      Gio.OutputStreamSpliceFlags.CLOSE_SOURCE |
+        Gio.OutputStreamSpliceFlags.CLOSE_TARGET,
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (source, result) => {
+        try {
+          source.splice_finish(result);
+          callback(this._parseErrorBody(source.steal_as_bytes()));
+        } catch (error) {
+          callback(null);
+        }
+      },
+    );
+  }
+
+  /**
+   * Read a server-sent events stream line by line
+   * @param {Gio.DataInputStream} dataStream - Stream to read from
+   * @param {Function} onEvent - Called with each parsed event payload
+   * @param {Function} callback - Callback with (error) once the stream ends
+   * @private
+   */
+  _readStreamLines(dataStream, onEvent, callback) {
+    dataStream.read_line_async(
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (stream, result) => {
+        let line;
+        try {
+          [line] = stream.read_line_finish_utf8(result);
+        } catch (error) {
+          stream.close(null);
+          callback(error);
+          return;
+        }
+
+        // End of stream
+        if (line === null) {
+          stream.close(null);
+          callback(null);
+          return;
+        }
+
+        // Only "data:" fields carry payloads; comments, event names and
+        // keep-alive blank lines are skipped
+        line = line.trim();
+        if (line.startsWith("data:")) {
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") {
+            stream.close(null);
+            callback(null);
+            return;
+          }
+
+          try {
+            const event = JSON.parse(data);
+            if (event.error) {
+              throw this._createError(null, event);
+            }
+            onEvent(event);
+          } catch (error) {
+            stream.close(null);
+            callback(error);
+            return;
+          }
+        }
+
+        this._readStreamLines(stream, onEvent, callback);
+      },
+    );
+  }
+
+  /**
+   * Pick up the tools to offer to the model
+   * @param {ToolRegistry} toolRegistry - Tool registry, null for no tools
+   */
+  _initTools(toolRegistry) {
+    this._toolRegistry = toolRegistry;
+    this._tools = toolRegistry?.getEnabledTools() ?? [];
+    this._toolRegistry?.setRetryPolicy(this._retryPolicy);
+  }
+
+  /**
+   * Execute tool calls and collect their results in call order
+   * @param {Array} calls - Tool calls ({ id, name, arguments })
+   * @param {Function} callback - Callback with (error, results) where each
+   *   result is { id, name, content, isError, approval, duration }
+   */
+  _runToolCalls(calls, callback) {
+    if (!this._toolRegistry) {
+      callback(new Error("Tool executor not configured"), null);
+      return;
+    }
+
+    const results = new Array(calls.length);
+    let completed = 0;
+
+    calls.forEach((call, index) => {
+      this._toolRegistry.executeTool(
+        call.name,
+        call.arguments || {},
+        (error, result, { approval, duration }) => {
+          results[index] = {
+            id: call.id,
+            name: call.name,
+            content: error ? `Error: ${error.message}` : JSON.stringify(result),
+            isError: Boolean(error),
+            approval,
+            duration,
+          };
+
+          completed++;
+          if (completed === calls.length) {
+            callback(null, results);
+          }
+        },
+        this._cancellable,
+      );
+    });
+  }
+
+  /**
+   * Abort any ongoing requests
+   */
+  abort() {
+    if (this._httpSession) {
+      this._httpSession.abort();
+    }
+  }
+}
+
+/**
+ * Anthropic Claude API provider
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @inheritdoc
+   */
+  _addRequestHeaders(message) {
+    message.request_headers.append("x-api-key", this._apiKey);
+    message.request_headers.append("anthropic-version", "2023-06-01");
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getParamFields() {
+    return {
+      temperature: "temperature",
+      maxTokens: "max_tokens",
+      topP: "top_p",
+      topK: "top_k",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _parseError(status, body) {
+    const parsed = super._parseError(status, body);
+
+    switch (body?.error?.type) {
+      case "authentication_error":
+      case "permission_error":
+        parsed.type = ErrorTypes.AUTH;
+        break;
+      case "not_found_error":
+        parsed.type = ErrorTypes.MODEL_NOT_FOUND;
+        break;
+      case "rate_limit_error":
+        parsed.type = ErrorTypes.RATE_LIMIT;
+        break;
+      case "request_too_large":
+        parsed.type = ErrorTypes.CONTEXT_TOO_LONG;
+        break;
+      case "overloaded_error":
+      case "api_error":
+        parsed.type = ErrorTypes.SERVER;
+        break;
+      case "invalid_request_error":
+        // Used for long prompts and low credit balances alike
+        parsed.type = errorTypeFromMessage(parsed.message) ?? parsed.type;
+        break;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getEndpointUrl() {
+    return `${this._baseUrl}/messages`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getModelsUrl() {
+    return `${this._baseUrl}/models?limit=1000`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _formatMessages(history) {
+    return toAnthropicMessages(history, this._imageData);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getToolDefinitions() {
+    return this._tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters,
+    }));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _generateRequestBody(history) {
+    const body = this._applyGenerationParams({
+      model: this._model,
+      messages: this._formatMessages(history),
+    });
+
+    if (this._systemPrompt) {
+      body.system = this._systemPrompt;
+    }
+
+    // max_tokens is required by the Messages API
+    body.max_tokens ??= GenerationDefaults[LLMProviders.ANTHROPIC].maxTokens;
+
+    if (this._tools.length > 0) {
+      body.tools = this._getToolDefinitions();
+    }
+
+    return body;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractResponseText(response) {
+    return response.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractUsage(response) {
+    // Stream events carry usage in message_start and message_delta
+    const usage = response.usage ?? response.message?.usage;
+    if (!usage) {
+      return null;
+    }
+
+    // Cached prompt tokens are counted separately from input_tokens
+    const inputTokens =
+      usage.input_tokens === undefined
+        ? undefined
+        : usage.input_tokens +
+          (usage.cache_creation_input_tokens || 0) +
+          (usage.cache_read_input_tokens || 0);
+    return { inputTokens, outputTokens: usage.output_tokens };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _createStreamState() {
+    return { text: "", usage: null, blocks: [] };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractStreamDelta(event, state) {
+    const block = state.blocks[event.index];
+
+    switch (event.type) {
+      case "content_block_start":
+        state.blocks[event.index] = {
+          ...event.content_block,
+          partialJson: "",
+        };
+        return "";
+      case "content_block_delta":
+        if (event.delta?.type === "text_delta") {
+          block.text += event.delta.text;
+          return event.delta.text;
+        }
+        if (event.delta?.type === "input_json_delta") {
+          block.partialJson += event.delta.partial_json;
+        }
+        // Thinking blocks are sent back with the tool results, so their
+        // text and signature are kept even though they are not shown
+        if (event.delta?.type === "thinking_delta") {
+          block.thinking += event.delta.thinking;
+        }
+        if (event.delta?.type === "signature_delta") {
+          block.signature = (block.signature || "") + event.delta.signature;
+        }
+        return "";
+      case "content_block_stop":
+        if (block.type === "tool_use") {
+          block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+        }
+        delete block.partialJson;
+        return "";
+      case "message_delta":
+        state.stopReason = event.delta?.stop_reason;
+        return "";
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _turnFromResponse(response) {
+    if (response.stop_reason === "refusal") {
+      throw this._createSafetyError(response.stop_reason);
+    }
+    return this._turnFromBlocks(response.content);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _turnFromStreamState(state) {
+    if (state.stopReason === "refusal") {
+      throw this._createSafetyError(state.stopReason);
+    }
+    // A text block may be opened and closed without any text before a
+    // tool call, and empty text blocks are rejected when sent back
+    return this._turnFromBlocks(
+      state.blocks.filter(
+        (block) => block && (block.type !== "text" || block.text),
+      ),
+    );
+  }
+
+  /**
+   * Build an assistant turn from Anthropic content blocks
+   * @param {Array} blocks - Content blocks
+   * @returns {object} - Turn ({ text, toolCalls, raw })
+   * @private
+   */
+  _turnFromBlocks(blocks) {
+    return {
+      text: this._extractResponseText({ content: blocks }),
+      toolCalls: blocks
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input || {},
+        })),
+      raw: blocks,
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getNativeTurn(turn) {
+    // Thinking blocks must be echoed back verbatim
+    return { provider: LLMProviders.ANTHROPIC, content: turn.raw };
+  }
+}
+
+/**
+ * OpenAI API provider
+ */
+class OpenAIProvider extends LLMProvider {
+  /**
+   * @inheritdoc
+   */
+  _addRequestHeaders(message) {
+    message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getParamFields() {
+    return {
+      temperature: "temperature",
+      maxTokens: "max_completion_tokens",
+      topP: "top_p",
+      frequencyPenalty: "frequency_penalty",
+      presencePenalty: "presence_penalty",
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _parseError(status, body) {
+    const parsed = super._parseError(status, body);
+
+    switch (body?.error?.code || body?.error?.type) {
+      case "invalid_api_key":
+        parsed.type = ErrorTypes.AUTH;
+        break;
+      case "insufficient_quota":
+        parsed.type = ErrorTypes.QUOTA;
+        break;
+      case "model_not_found":
+        parsed.type = ErrorTypes.MODEL_NOT_FOUND;
+        break;
+      case "context_length_exceeded":
+      case "string_above_max_length":
+        parsed.type = ErrorTypes.CONTEXT_TOO_LONG;
+        break;
+      case "rate_limit_exceeded":
+        parsed.type = ErrorTypes.RATE_LIMIT;
+        break;
+      case "content_filter":
+      case "content_policy_violation":
+        parsed.type = ErrorTypes.SAFETY_BLOCK;
+        break;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getEndpointUrl() {
+    return `${this._baseUrl}/chat/completions`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _formatMessages(history) {
+    return toOpenAIMessages(history, this._imageData);
+  }
+
+  /**
+   * Format the conversation, led by the system prompt if one is set
+   * @param {Array} history - Conversation
+   * @returns {Array} - Chat completion messages
+   */
+  _buildMessages(history) {
+    const messages = this._formatMessages(history);
+    if (this._systemPrompt) {
+      messages.unshift({
+        role: MessageRoles.SYSTEM,
+        content: this._systemPrompt,
+      });
+    }
+    return messages;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _generateRequestBody(history) {
+    const body = this._applyGenerationParams({
+      model: this._model,
+      messages: this._buildMessages(history),
+      response_format: {
+        type: "text",
+      },
+    });
+
+    if (this._tools.length > 0) {
+      body.tools = this._getToolDefinitions();
+    }
+
+    return body;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractResponseText(response) {
+    return response.choices[0].message.content;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _generateStreamRequestBody(history) {
+    // Usage is only sent with streams on request, in a final event
+    return {
+      ...super._generateStreamRequestBody(history),
+      stream_options: { include_usage: true },
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractUsage(response) {
+    const usage = response.usage;
+    if (!usage) {
+      return null;
+    }
+    return {
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens,
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _createStreamState() {
+    return { text: "", usage: null, toolCalls: [] };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _extractStreamDelta(event, state) {
+    const choice = event.choices?.[0];
+    if (choice?.finish_reason) {
+      state.finishReason = choice.finish_reason;
+    }
+
+    const delta = choice?.delta;
+    if (!delta) {
+      return "";
+    }
+
+    // Tool call fragments arrive spread over several events, keyed by index
+    (delta.tool_calls || []).forEach((fragment) => {
+      const index = fragment.index ?? state.toolCalls.length;
+      if (!state.toolCalls[index]) {
+        state.toolCalls[index] = {
+          id: "",
+          type: "function",
+          function: { name: "", arguments: "" },
+        };
+      }
+
+      const toolCall = state.toolCalls[index];
+      if (fragment.id) {
+        toolCall.id = fragment.id;
+      }
+      if (fragment.function?.name) {
+        toolCall.function.name += fragment.function.name;
+      }
+      if (fragment.function?.arguments) {
+        toolCall.function.arguments += fragment.function.arguments;
+      }
+    });
+
+    return delta.content || "";
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _turnFromResponse(response) {
+    const { message, finish_reason: finishReason } = response.choices[0];
+    if (finishReason === "content_filter" && !message.content) {
+      throw this._createSafetyError(finishReason);
+    }
+    return {
+      text: message.content || "",
+      toolCalls: this._parseToolCalls(message.tool_calls),
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _turnFromStreamState(state) {
+    if (state.finishReason === "content_filter" && !state.text) {
+      throw this._createSafetyError(state.finishReason);
+    }
+    return {
+      text: state.text,
+      toolCalls: this._parseToolCalls(state.toolCalls.filter(Boolean)),
+    };
+  }
+
+  /**
+   * Convert OpenAI-style tool calls into provider-neutral calls
+   * @param {Array} toolCalls - Tool calls from the API
+   * @returns {Array} - Calls ({ id, name, arguments })
+   * @private
+   */
+  _parseToolCalls(toolCalls) {
+    return (toolCalls || []).map((toolCall) => {
+      const args = toolCall.function.arguments;
+      return {
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: args ? JSON.parse(args) : {},
+      };
+    });
+  }
+}
+
+/**
+ * Local or self-hosted OpenAI-compatible provider (Ollama, llama.cpp, vLLM)
+ */
+class LocalProvider extends OpenAIProvider {
+  /**
+   * Offer no tools: support for them varies between local models and
+   * servers reject tools for models without it, so the tool registry is
+   * ignored and local servers are always queried without tools
    */
-  constructor(apiKey, model) {
-    this._apiKey = apiKey;
-    this._model = model;
-    this._httpSession = new Soup.Session();
+  _initTools() {
+    super._initTools(null);
   }
 
   /**
-   * Prepare HTTP message for the API request
-   * @param {string} url - API endpoint URL
-   * @param {object} requestBody - Request body object
-   * @returns {Soup.Message} - Configured message object
+   * @inheritdoc
    */
-  _prepareRequest(url, requestBody) {
-    const message = Soup.Message.new("POST", url);
-    message.request_headers.append("content-type", "application/json");
-
-    // Add provider-specific headers in subclasses
-    this._addRequestHeaders(message);
+  listModels(callback, cancellable = null) {
+    super.listModels((error, models) => {
+      if (!error || cancellable?.is_cancelled()) {
+        callback(error, models);
+        return;
+      }
 
-    const body = JSON.stringify(requestBody);
-    const bytes = GLib.Bytes.new(body);
-    message.set_request_body_from_bytes("application/json", bytes);
+      // Older Ollama versions only list models through their native API
+      const ollamaUrl = `${this._baseUrl.replace(/\/v1$/, "")}/api/tags`;
+      this._fetchJson(
+        ollamaUrl,
+        (tagsError, response) => {
+          if (tagsError) {
+            callback(error, null);
+            return;
+          }
+          const models = (response.models || []).map((model) => model.name);
+          callback(
+            null,
+            models.sort((a, b) => a.localeCompare(b)),
+          );
+        },
+        cancellable,
+      );
+    }, cancellable);
+  }
 
-    return message;
+  /**
+   * @inheritdoc
+   */
+  _getParamFields() {
+    // Most OpenAI-compatible servers only know the older max_tokens
+    return { ...super._getParamFields(), maxTokens: "max_tokens" };
   }
 
   /**
-   * Add provider-specific headers to the request
-   * @param {Soup.Message} message - Message to modify
+   * @inheritdoc
    */
   _addRequestHeaders(message) {
-    // Implemented by subclasses
+    if (this._apiKey) {
+      super._addRequestHeaders(message);
+    }
   }
+}
 
+/**
+ * Google Gemini API provider
+ */
+class GeminiProvider extends LLMProvider {
   /**
-   * Extract the response text from API response
-   * @param {object} response - Parsed API response
-   * @returns {string} - Extracted text
+   * @inheritdoc
    */
-  _extractResponseText(response) {
-    // Implemented by subclasses
-    return "";
+  _getEndpointUrl() {
+    return `${this._baseUrl}/models/${this._model}:generateContent?key=${this._apiKey}`;
   }
 
   /**
-   * Format the chat history for the provider's API
-   * @param {Array} history - Chat history array
-   * @returns {object} - Formatted messages for the API
+   * @inheritdoc
    */
-  _formatMessages(history) {
-    // Implemented by subclasses
-    return [];
+  _getModelsUrl() {
+    return `${this._baseUrl}/models?pageSize=1000&key=${this._apiKey}`;
   }
 
   /**
-   * Generate the request body for the API call
-   * @param {Array} history - Chat history
-   * @returns {object} - Request body object
+   * @inheritdoc
    */
-  _generateRequestBody(history) {
-    // Implemented by subclasses
-    return {};
+  _parseModelList(response) {
+    // Embedding and other models cannot be chatted with
+    return (response.models || [])
+      .filter((model) =>
+        model.supportedGenerationMethods?.includes("generateContent"),
+      )
+      .map((model) => model.name.replace(/^models\//, ""));
   }
 
   /**
-   * Send a request to the LLM API
-   * @param {Array} history - Chat history
-   * @param {Function} callback - Callback function for the response
+   * @inheritdoc
    */
-  sendRequest(history, callback) {
-    const requestBody = this._generateRequestBody(history);
-    const url = this._getEndpointUrl();
-    const message = this._prepareRequest(url, requestBody);
+  _parseError(status, body) {
+    const parsed = super._parseError(status, body);
+    const error = body?.error;
 
-    this._httpSession.send_and_read_async(
-      message,
-      GLib.PRIORITY_DEFAULT,
-      null,
-      (session, result) => {
-        try {
-          if (message.get_status() === Soup.Status.OK) {
-            const bytes = session.send_and_read_finish(result);
-            const decoder = new TextDecoder("utf-8");
-            const response = JSON.parse(decoder.decode(bytes.get_data()));
-            const text = this._extractResponseText(response);
-            callback(null, text);
-          } else {
-            callback(new Error(`HTTP error ${message.get_status()}`), null);
-          }
-        } catch (error) {
-          callback(error, null);
-        }
-      },
-    );
+    // An invalid key is reported as a plain INVALID_ARGUMENT
+    if (error?.details?.some((detail) => detail.reason === "API_KEY_INVALID")) {
+      parsed.type = ErrorTypes.AUTH;
+      return parsed;
+    }
+
+    switch (error?.status) {
+      case "UNAUTHENTICATED":
+      case "PERMISSION_DENIED":
+        parsed.type = ErrorTypes.AUTH;
+        break;
+      case "NOT_FOUND":
+        parsed.type = ErrorTypes.MODEL_NOT_FOUND;
+        break;
+      case "RESOURCE_EXHAUSTED":
+        parsed.type = ErrorTypes.RATE_LIMIT;
+        break;
+      case "UNAVAILABLE":
+      case "INTERNAL":
+        parsed.type = ErrorTypes.SERVER;
+        break;
+    }
+
+    return parsed;
   }
 
   /**
-   * Get the API endpoint URL
-   * @returns {string} - Endpoint URL
+   * @inheritdoc
    */
-  _getEndpointUrl() {
-    // Implemented by subclasses
-    return "";
+  _getParamFields() {
+    return {
+      temperature: "temperature",
+      maxTokens: "maxOutputTokens",
+      topP: "topP",
+      topK: "topK",
+      frequencyPenalty: "frequencyPenalty",
+      presencePenalty: "presencePenalty",
+    };
   }
 
   /**
-   * Abort any ongoing requests
+   * Throw if the prompt or the candidate was blocked by a safety filter
+   * @param {object} response - Parsed response or stream chunk
+   * @private
    */
-  abort() {
-    if (this._httpSession) {
-      this._httpSession.abort();
+  _checkBlocked(response) {
+    const blockReason = response.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw this._createSafetyError(blockReason);
+    }
+
+    const finishReason = response.candidates?.[0]?.finishReason;
+    if (
+      [
+        "SAFETY",
+        "RECITATION",
+        "BLOCKLIST",
+        "PROHIBITED_CONTENT",
+        "SPII",
+      ].includes(finishReason)
+    ) {
+      throw this._createSafetyError(finishReason);
     }
   }
-}
 
-/**
- * Anthropic Claude API provider
- */
-class AnthropicProvider extends LLMProvider {
   /**
    * @inheritdoc
    */
-  _addRequestHeaders(message) {
-    message.request_headers.append("x-api-key", this._apiKey);
-    message.request_headers.append("anthropic-version", "2023-06-01");
+  _formatMessages(history) {
+    return toGeminiContents(history, this._imageData);
   }
 
   /**
    * @inheritdoc
    */
-  _getEndpointUrl() {
-    return "https://api.anthropic.com/v1/messages";
+  _getToolDefinitions() {
+    return [
+      {
+        functionDeclarations: this._tools.map((tool) => {
+          const declaration = {
+            name: tool.name,
+            description: tool.description,
+          };
+
+          // Gemini rejects object schemas without properties
+          const parameters = tool.parameters;
+          if (Object.keys(parameters?.properties || {}).length > 0) {
+            declaration.parameters = this._toGeminiSchema(parameters);
+          }
+          return declaration;
+        }),
+      },
+    ];
+  }
+
+  /**
+   * Reduce a JSON schema to the subset Gemini accepts, since tools from
+   * manifests and MCP servers often use keywords such as $schema or
+   * additionalProperties that make the request fail
+   * @param {object} schema - JSON schema
+   * @returns {object} - Gemini schema
+   * @private
+   */
+  _toGeminiSchema(schema) {
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (!GEMINI_SCHEMA_KEYS.includes(key)) {
+        continue;
+      }
+
+      if (key === "properties") {
+        result.properties = Object.fromEntries(
+          Object.entries(value).map(([name, property]) => [
+            name,
+            this._toGeminiSchema(property),
+          ]),
+        );
+      } else if (key === "items") {
+        result.items = this._toGeminiSchema(value);
+      } else if (key === "anyOf") {
+        result.anyOf = value.map((option) => this._toGeminiSchema(option));
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
   }
 
   /**
    * @inheritdoc
    */
   _generateRequestBody(history) {
-    return {
-      model: this._model,
-      messages: history.map((msg) => ({
-        role:
-          msg.role === MessageRoles.USER
-            ? MessageRoles.USER
-            : MessageRoles.ASSISTANT,
-        content: msg.content,
-      })),
-      max_tokens: 1024,
+    const body = {
+      contents: this._formatMessages(history),
+      generationConfig: this._applyGenerationParams({
+        responseMimeType: "text/plain",
+      }),
     };
+
+    if (this._systemPrompt) {
+      body.systemInstruction = { parts: [{ text: this._systemPrompt }] };
+    }
+
+    if (this._tools.length > 0) {
+      body.tools = this._getToolDefinitions();
+    }
+
+    return body;
   }
 
   /**
    * @inheritdoc
    */
   _extractResponseText(response) {
-    return response.content[0].text;
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    return parts.map((part) => part.text || "").join("");
   }
-}
 
-/**
- * OpenAI API provider
- */
-class OpenAIProvider extends LLMProvider {
   /**
    * @inheritdoc
    */
-  _addRequestHeaders(message) {
-    message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
+  _getStreamEndpointUrl() {
+    return `${this._baseUrl}/models/${this._model}:streamGenerateContent?alt=sse&key=${this._apiKey}`;
   }
 
   /**
    * @inheritdoc
    */
-  _getEndpointUrl() {
-    return "https://api.openai.com/v1/chat/completions";
+  _generateStreamRequestBody(history) {
+    // Gemini selects streaming through the endpoint, not the body
+    return this._generateRequestBody(history);
   }
 
   /**
    * @inheritdoc
    */
-  _generateRequestBody(history) {
+  _extractUsage(response) {
+    const usage = response.usageMetadata;
+    if (!usage) {
+      return null;
+    }
+
+    // Thinking models bill their thoughts as output
     return {
-      model: this._model,
-      messages: history.map((msg) => ({
-        role:
-          msg.role === MessageRoles.USER
-            ? MessageRoles.USER
-            : MessageRoles.ASSISTANT,
-        content: msg.content,
-      })),
-      response_format: {
-        type: "text",
-      },
-      temperature: 1,
-      max_completion_tokens: 4096,
-      top_p: 1,
-      frequency_penalty: 0,
-      presence_penalty: 0,
+      inputTokens: usage.promptTokenCount,
+      outputTokens:
+        (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
     };
   }
 
   /**
    * @inheritdoc
    */
-  _extractResponseText(response) {
-    return response.choices[0].message.content;
+  _createStreamState() {
+    return { text: "", usage: null, parts: [] };
   }
-}
 
-/**
- * Google Gemini API provider
- */
-class GeminiProvider extends LLMProvider {
   /**
    * @inheritdoc
    */
-  _getEndpointUrl() {
-    return `https://generativelanguage.googleapis.com/v1beta/models/${this._model}:generateContent?key=${this._apiKey}`;
+  _extractStreamDelta(event, state) {
+    this._checkBlocked(event);
+    const parts = event.candidates?.[0]?.content?.parts || [];
+    state.parts.push(...parts);
+    return parts.map((part) => part.text || "").join("");
   }
 
   /**
    * @inheritdoc
    */
-  _generateRequestBody(history) {
+  _turnFromResponse(response) {
+    this._checkBlocked(response);
+    return this._turnFromParts(response.candidates?.[0]?.content?.parts || []);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _turnFromStreamState(state) {
+    return this._turnFromParts(state.parts);
+  }
+
+  /**
+   * Build an assistant turn from Gemini content parts
+   * @param {Array} parts - Content parts
+   * @returns {object} - Turn ({ text, toolCalls, raw })
+   * @private
+   */
+  _turnFromParts(parts) {
     return {
-      contents: history.map((msg) => ({
-        role: msg.role === MessageRoles.USER ? MessageRoles.USER : "model",
-        parts: [{ text: msg.content }],
-      })),
-      generationConfig: {
-        temperature: 1,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-        responseMimeType: "text/plain",
-      },
+      text: parts.map((part) => part.text || "").join(""),
+      toolCalls: parts
+        .filter((part) => part.functionCall)
+        .map((part) => ({
+          id: part.functionCall.id || createToolCallId(),
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {},
+        })),
+      raw: parts,
     };
   }
 
   /**
    * @inheritdoc
    */
-  _extractResponseText(response) {
-    return response.candidates[0].content.parts[0].text;
+  _getNativeTurn(turn) {
+    // The model turn is echoed back verbatim to keep thought signatures
+    return { provider: LLMProviders.GEMINI, content: turn.raw };
   }
 }
 
 /**
  * OpenRouter API provider with Function Calling support
  */
-class OpenRouterProvider extends LLMProvider {
-  /**
-   * Create OpenRouter provider with tool support
-   * @param {string} apiKey - API key
-   * @param {string} model - Model name
-   * @param {object} toolConfig - Tool configuration (server URL, weather coords)
-   */
-  constructor(apiKey, model, toolConfig = {}) {
-    super(apiKey, model);
-    this._toolConfig = toolConfig;
-    this._toolExecutor = null;
-
-    if (toolConfig.serverUrl) {
-      this._toolExecutor = new ToolExecutor(toolConfig.serverUrl);
-      if (toolConfig.weatherLat && toolConfig.weatherLon) {
-        this._toolExecutor.setWeatherParams(
-          toolConfig.weatherLat,
-          toolConfig.weatherLon,
-        );
-      }
-    }
-  }
-
+class OpenRouterProvider extends OpenAIProvider {
   /**
    * @inheritdoc
    */
-  _addRequestHeaders(message) {
-    message.request_headers.append("Authorization", `Bearer ${this._apiKey}`);
+  _getParamFields() {
+    return {
+      temperature: "temperature",
+      maxTokens: "max_tokens",
+      topP: "top_p",
+      topK: "top_k",
+      frequencyPenalty: "frequency_penalty",
+      presencePenalty: "presence_penalty",
+    };
   }
 
   /**
    * @inheritdoc
    */
-  _getEndpointUrl() {
-    return "https://openrouter.ai/api/v1/chat/completions";
+  _parseError(status, body) {
+    const parsed = super._parseError(status, body);
+
+    // Moderation rejections come with the flagged reasons attached
+    if (body?.error?.metadata?.reasons) {
+      parsed.type = ErrorTypes.SAFETY_BLOCK;
+    }
+
+    // The upstream provider's own message is more telling than
+    // "Provider returned error"
+    const raw = body?.error?.metadata?.raw;
+    if (typeof raw === "string" && raw) {
+      parsed.message = `${parsed.message}: ${raw}`;
+    }
+
+    return parsed;
   }
 
   /**
    * @inheritdoc
    */
   _generateRequestBody(history) {
-    const body = {
-      messages: history,
+    const body = this._applyGenerationParams({
+      messages: this._buildMessages(history),
       model: this._model,
-    };
+    });
 
     // Add tool definitions if tool executor is configured
-    if (this._toolExecutor) {
-      body.tools = TOOL_DEFINITIONS;
-      console.log(
-        "[Penguin] Sending request with tools: " +
-          JSON.stringify(body, null, 2),
-      );
+    if (this._tools.length > 0) {
+      body.tools = this._getToolDefinitions();
     }
 
     return body;
   }
+}
 
+/**
+ * Ordered list of providers that are tried one after another until one
+ * answers. Offers the same request interface as a single provider.
+ */
+class ProviderChain {
   /**
-   * @inheritdoc
+   * Create a provider chain
+   * @param {Array} entries - Providers in order ({ provider, label })
+   * @param {Function} onFallback - Optional, called with (failedLabel, nextLabel, error)
+   *   before the next provider is tried
    */
-  _extractResponseText(response) {
-    return response.choices[0].message.content;
+  constructor(entries, onFallback = null) {
+    this._entries = entries;
+    this._onFallback = onFallback;
+    this._current = null;
   }
 
   /**
-   * Check if response contains tool calls
-   * @param {object} response - API response
-   * @returns {Array|null} - Tool calls array or null
+   * Set the retry policy of every provider in the chain
+   * @param {RetryPolicy} policy - Retry policy
    */
-  _extractToolCalls(response) {
-    const message = response.choices?.[0]?.message;
-    return message?.tool_calls || null;
+  setRetryPolicy(policy) {
+    this._entries.forEach(({ provider }) => provider.setRetryPolicy(policy));
   }
 
   /**
-   * Handle tool calls and execute them
-   * @param {Array} toolCalls - Array of tool calls from LLM
-   * @param {Function} callback - Callback with (error, results)
+   * Send a request, falling back along the chain on transient failures that
+   * happen before any text was streamed or any tool ran
+   * @param {Array} history - Chat history
+   * @param {Function} callback - Callback with (error, response, label, turns)
+   *   where label names the provider that answered or failed last and turns
+   *   are the tool call messages that led to the response, or on error those
+   *   completed before it
+   * @param {Function} onChunk - Optional callback with (delta, fullText)
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop the request
    */
-  _handleToolCalls(toolCalls, callback) {
-    if (!this._toolExecutor) {
-      callback(new Error("Tool executor not configured"), null);
-      return;
-    }
-
-    const results = [];
-    let completed = 0;
+  sendRequest(history, callback, onChunk = null, cancellable = null) {
+    // Once text was shown, another provider would start the answer over,
+    // and once tools ran, it would run them again
+    let streamed = false;
+    const trackChunk = onChunk
+      ? (delta, fullText) => {
+          streamed = true;
+          onChunk(delta, fullText);
+        }
+      : null;
 
-    toolCalls.forEach((toolCall) => {
-      const toolName = toolCall.function.name;
-      //const parameters = JSON.parse(toolCall.function.arguments || "{}");
-      const args = toolCall.function.arguments;
-      const parameters = args ? JSON.parse(args) : {};
+    const attempt = (index) => {
+      const entry = this._entries[index];
+      this._current = entry.provider;
 
-      this._toolExecutor.executeTool(toolName, parameters, (error, result) => {
-        if (error) {
-          results.push({
-            tool_call_id: toolCall.id,
-            role: "tool",
-            content: `Error: ${error.message}`,
-          });
-        } else {
-          results.push({
-            tool_call_id: toolCall.id,
-            role: "tool",
-            content: JSON.stringify(result),
-          });
-        }
+      entry.provider.sendRequest(
+        history,
+        (error, response, turns) => {
+          const next = this._entries[index + 1];
+          if (
+            error &&
+            next &&
+            !streamed &&
+            turns.length === 0 &&
+            !cancellable?.is_cancelled() &&
+            isFallbackError(error)
+          ) {
+            console.log(
+              `[Penguin] ${entry.label} failed (${error.message}), falling back to ${next.label}`,
+            );
+            this._onFallback?.(entry.label, next.label, error);
+            attempt(index + 1);
+            return;
+          }
 
-        completed++;
-        if (completed === toolCalls.length) {
-          callback(null, results);
-        }
-      });
-    });
-  }
+          this._current = null;
+          callback(error, response, entry.label, turns);
+        },
+        trackChunk,
+        cancellable,
+      );
+    };
 
-  /**
-   * Send request with tool calling support
-   * @param {Array} history - Chat history
-   * @param {Function} callback - Callback function
-   */
-  sendRequest(history, callback) {
-    this._sendRequestInternal(history, callback, 0);
+    attempt(0);
   }
 
   /**
-   * Internal recursive method for handling tool calls
-   * @param {Array} history - Current conversation history
-   * @param {Function} finalCallback - Final callback
-   * @param {number} depth - Recursion depth (max 5)
+   * Abort the request of the provider currently answering
    */
-  _sendRequestInternal(history, finalCallback, depth) {
-    if (depth > 5) {
-      finalCallback(new Error("Too many tool call iterations"), null);
-      return;
-    }
-
-    const requestBody = this._generateRequestBody(history);
-    const url = this._getEndpointUrl();
-    const message = this._prepareRequest(url, requestBody);
-
-    this._httpSession.send_and_read_async(
-      message,
-      GLib.PRIORITY_DEFAULT,
-      null,
-      (session, result) => {
-        try {
-          if (message.get_status() === Soup.Status.OK) {
-            const bytes = session.send_and_read_finish(result);
-            const decoder = new TextDecoder("utf-8");
-            const response = JSON.parse(decoder.decode(bytes.get_data()));
-
-            // Check for tool calls
-            const toolCalls = this._extractToolCalls(response);
-
-            console.log(
-              "[OpenRouter] Tool calls detected: " +
-                JSON.stringify(toolCalls, null, 2),
-            );
-
-            if (toolCalls && toolCalls.length > 0) {
-              // Add assistant's tool call message to history
-              // Normalize tool_calls: ensure each has an 'arguments' field
-              const normalizedToolCalls = toolCalls.map((tc) => ({
-                ...tc,
-                function: {
-                  ...tc.function,
-                  arguments: tc.function.arguments || "{}",
-                },
-              }));
-
-              const assistantMessage = {
-                role: "assistant",
-                content: response.choices[0].message.content || null,
-                tool_calls: normalizedToolCalls,
-              };
-              history.push(assistantMessage);
-
-              // Execute tools
-              this._handleToolCalls(toolCalls, (error, toolResults) => {
-                if (error) {
-                  finalCallback(error, null);
-                  return;
-                }
-
-                // Add tool results to history
-                console.log(
-                  "[OpenRouter] Tool results: " +
-                    JSON.stringify(toolResults, null, 2),
-                );
-                toolResults.forEach((result) => history.push(result));
-
-                // Make another request with tool results
-                this._sendRequestInternal(history, finalCallback, depth + 1);
-              });
-            } else {
-              // No tool calls, return final text
-              const text = this._extractResponseText(response);
-              finalCallback(null, text);
-            }
-          } else {
-            finalCallback(
-              new Error(`HTTP error ${message.get_status()}`),
-              null,
-            );
-          }
-        } catch (error) {
-          finalCallback(error, null);
-        }
-      },
-    );
+  abort() {
+    this._current?.abort();
   }
 }
 
@@ -487,22 +1832,73 @@ export class LLMProviderFactory {
    * @param {string} providerType - Provider type identifier
    * @param {string} apiKey - API key for the provider
    * @param {string} model - Model to use
-   * @param {object} toolConfig - Tool configuration (optional)
+   * @param {ToolRegistry} toolRegistry - Tools offered to the model (optional)
+   * @param {string} baseUrl - API base URL, defaults to the provider's (optional)
    * @returns {LLMProvider} - Provider instance
    */
-  static createProvider(providerType, apiKey, model, toolConfig = {}) {
+  static createProvider(
+    providerType,
+    apiKey,
+    model,
+    toolRegistry = null,
+    baseUrl = "",
+  ) {
+    const url =
+      baseUrl ||
+      (
+        ProviderDefaults[providerType] ||
+        ProviderDefaults[LLMProviders.ANTHROPIC]
+      ).baseUrl;
+
     switch (providerType) {
       case LLMProviders.ANTHROPIC:
-        return new AnthropicProvider(apiKey, model);
+        return new AnthropicProvider(apiKey, model, url, toolRegistry);
       case LLMProviders.OPENAI:
-        return new OpenAIProvider(apiKey, model);
+        return new OpenAIProvider(apiKey, model, url, toolRegistry);
       case LLMProviders.GEMINI:
-        return new GeminiProvider(apiKey, model);
+        return new GeminiProvider(apiKey, model, url, toolRegistry);
       case LLMProviders.OPENROUTER:
-        return new OpenRouterProvider(apiKey, model, toolConfig);
+        return new OpenRouterProvider(apiKey, model, url, toolRegistry);
+      case LLMProviders.LOCAL:
+        return new LocalProvider(apiKey, model, url, toolRegistry);
       default:
         // Default to Anthropic if type is unknown
-        return new AnthropicProvider(apiKey, model);
+        return new AnthropicProvider(apiKey, model, url, toolRegistry);
     }
   }
+
+  /**
+   * Create a provider from a named endpoint profile
+   * @param {object} profile - Profile (provider, baseUrl, apiKey, model, params)
+   * @param {ToolRegistry} toolRegistry - Tools offered to the model (optional)
+   * @param {object} generationParams - Generation parameters (optional,
+   *   defaults to the profile's own parameters)
+   * @returns {LLMProvider} - Provider instance
+   */
+  static createProviderFromProfile(
+    profile,
+    toolRegistry = null,
+    generationParams = profile.params,
+  ) {
+    const provider = LLMProviderFactory.createProvider(
+      profile.provider,
+      profile.apiKey,
+      profile.model,
+      toolRegistry,
+      profile.baseUrl,
+    );
+    provider.setGenerationParams(generationParams);
+    return provider;
+  }
+
+  /**
+   * Combine providers into a chain that falls back to the next provider
+   * when one fails with a server error, timeout, rate limit or exhausted quota
+   * @param {Array} entries - Providers in order ({ provider, label })
+   * @param {Function} onFallback - Optional, called with (failedLabel, nextLabel, error)
+   * @returns {ProviderChain} - Chain with the same request interface as a provider
+   */
+  static createProviderChain(entries, onFallback = null) {
+    return new ProviderChain(entries, onFallback);
+  }
 }
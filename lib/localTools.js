@@ -0,0 +1,431 @@
+/**
+ * Built-in tools that run inside the extension, reading the clock, /proc and
+ * the file system directly and asynchronously. They are function executors (see tools.js) and
+ * need no tool server.
+ */
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import GObject from "gi://GObject";
+
+// How long CPU usage is measured over
+const CPU_SAMPLE_INTERVAL_MS = 500;
+
+const TOP_PROCESS_COUNT = 5;
+const FLATPAK_APP_LIST_LIMIT = 10;
+
+const BYTES_PER_GB = 1024 ** 3;
+
+/**
+ * Tell the current date and time
+ * @param {object} args - Tool arguments (none)
+ * @param {Function} callback - Callback with (error, result)
+ */
+export function getCurrentTime(args, callback) {
+  const now = GLib.DateTime.new_now_local();
+  callback(null, {
+    datetime: now.format_iso8601(),
+    date: now.format("%Y-%m-%d"),
+    time: now.format("%H:%M:%S"),
+    weekday: now.format("%A"),
+    timezone: now.get_timezone_abbreviation(),
+    timezone_id: now.get_timezone().get_identifier(),
+  });
+}
+
+/**
+ * Describe the system: host, OS, CPU, memory, disk, installed apps and the
+ * busiest processes. CPU usage is measured over a short interval.
+ * @param {object} args - Tool arguments (none)
+ * @param {Function} callback - Callback with (error, result)
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop the measurement
+ */
+export function getSystemInfo(args, callback, cancellable) {
+  collectSystemInfo(cancellable).then(
+    (info) => callback(null, info),
+    (error) => callback(error, null),
+  );
+}
+
+/**
+ * Gather the system information, reading files asynchronously so that the
+ * shell is not held up
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop the measurement
+ * @returns {Promise<object>} - System information
+ */
+async function collectSystemInfo(cancellable) {
+  const before = await readCpuSample(cancellable);
+  await wait(CPU_SAMPLE_INTERVAL_MS, cancellable);
+  if (cancellable?.is_cancelled()) {
+    throw new Error("Tool cancelled");
+  }
+  const after = await readCpuSample(cancellable);
+
+  const [
+    kernel,
+    architecture,
+    memory,
+    disk,
+    flatpakApps,
+    gnomeVersion,
+    packageCount,
+  ] = await Promise.all([
+    readProcFile("sys/kernel/osrelease", cancellable),
+    readProcFile("sys/kernel/arch", cancellable),
+    readMemory(cancellable),
+    readDisk("/", cancellable),
+    readFlatpakApps(cancellable),
+    getShellVersion(),
+    countDebianPackages(cancellable),
+  ]);
+
+  const info = {
+    hostname: GLib.get_host_name(),
+    os: GLib.get_os_info("PRETTY_NAME") || "Linux",
+    kernel,
+    architecture,
+    ...measureCpu(before, after),
+    ...memory,
+    ...disk,
+    ...flatpakApps,
+    gnome_version: gnomeVersion ?? "unknown",
+  };
+  if (packageCount !== null) {
+    info.apt_packages_count = packageCount;
+  }
+  return info;
+}
+
+/**
+ * Wait without blocking the main loop
+ * @param {number} milliseconds - Time to wait
+ * @param {Gio.Cancellable} cancellable - Optional cancellable that ends the
+ *   wait early
+ * @returns {Promise} - Resolved once the time has passed or the wait was
+ *   cancelled
+ */
+function wait(milliseconds, cancellable) {
+  return new Promise((resolve) => {
+    if (cancellable?.is_cancelled()) {
+      resolve();
+      return;
+    }
+
+    let cancelId = 0;
+    const sourceId = GLib.timeout_add(
+      GLib.PRIORITY_DEFAULT,
+      milliseconds,
+      () => {
+        if (cancelId) {
+          cancellable.disconnect(cancelId);
+        }
+        resolve();
+        return GLib.SOURCE_REMOVE;
+      },
+    );
+
+    if (cancellable) {
+      cancelId = cancellable.connect("cancelled", () => {
+        GLib.Source.remove(sourceId);
+        // Not Cancellable.disconnect(), which deadlocks in this handler
+        GObject.signal_handler_disconnect(cancellable, cancelId);
+        resolve();
+      });
+    }
+  });
+}
+
+/**
+ * Read a whole file
+ * @param {Gio.File} file - File
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<string>} - Contents
+ */
+function loadText(file, cancellable) {
+  return new Promise((resolve, reject) =>
+    file.load_contents_async(cancellable, (source, result) => {
+      try {
+        const [, contents] = source.load_contents_finish(result);
+        resolve(new TextDecoder("utf-8").decode(contents));
+      } catch (e) {
+        reject(e);
+      }
+    }),
+  );
+}
+
+/**
+ * Read a small text file below /proc
+ * @param {string} path - Path relative to /proc
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<string|null>} - Trimmed contents, null if it cannot be
+ *   read
+ */
+async function readProcFile(path, cancellable) {
+  try {
+    const text = await loadText(
+      Gio.File.new_for_path(`/proc/${path}`),
+      cancellable,
+    );
+    return text.trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * List the names in a folder
+ * @param {string} path - Folder path
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop listing
+ * @returns {Promise<Array>} - Entry names
+ */
+async function listNames(path, cancellable) {
+  const enumerator = await new Promise((resolve, reject) =>
+    Gio.File.new_for_path(path).enumerate_children_async(
+      "standard::name",
+      Gio.FileQueryInfoFlags.NONE,
+      GLib.PRIORITY_DEFAULT,
+      cancellable,
+      (source, result) => {
+        try {
+          resolve(source.enumerate_children_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+
+  const names = [];
+  try {
+    for (;;) {
+      const batch = await new Promise((resolve, reject) =>
+        enumerator.next_files_async(
+          100,
+          GLib.PRIORITY_DEFAULT,
+          cancellable,
+          (source, result) => {
+            try {
+              resolve(source.next_files_finish(result));
+            } catch (e) {
+              reject(e);
+            }
+          },
+        ),
+      );
+      if (batch.length === 0) {
+        break;
+      }
+      names.push(...batch.map((info) => info.get_name()));
+    }
+  } finally {
+    enumerator.close(null);
+  }
+  return names;
+}
+
+/**
+ * Take a snapshot of the CPU time spent by the system and every process
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<object>} - Snapshot ({ total, idle, processes }) in
+ *   clock ticks, processes mapping each pid to { name, ticks }
+ */
+async function readCpuSample(cancellable) {
+  // cpu user nice system idle iowait irq softirq steal ...
+  const times = ((await readProcFile("stat", cancellable)) || "")
+    .split("\n")[0]
+    .trim()
+    .split(/\s+/)
+    .slice(1, 9)
+    .map(Number);
+  const total = times.reduce((sum, time) => sum + time, 0);
+  const idle = (times[3] || 0) + (times[4] || 0);
+
+  const pids = (await listNames("/proc", cancellable)).filter((name) =>
+    /^\d+$/.test(name),
+  );
+  // Processes may have exited since the directory was listed
+  const stats = await Promise.all(
+    pids.map((pid) => readProcFile(`${pid}/stat`, cancellable)),
+  );
+
+  const processes = new Map();
+  pids.forEach((pid, index) => {
+    const stat = stats[index];
+    if (!stat) {
+      return;
+    }
+
+    // The name is in parentheses and may itself contain spaces
+    const nameEnd = stat.lastIndexOf(")");
+    const fields = stat
+      .slice(nameEnd + 2)
+      .split(" ")
+      .map(Number);
+    processes.set(pid, {
+      name: stat.slice(stat.indexOf("(") + 1, nameEnd),
+      // utime + stime
+      ticks: fields[11] + fields[12],
+    });
+  });
+
+  return { total, idle, processes };
+}
+
+/**
+ * Work out CPU usage between two snapshots
+ * @param {object} before - Earlier snapshot
+ * @param {object} after - Later snapshot
+ * @returns {object} - Overall usage and the busiest processes
+ */
+function measureCpu(before, after) {
+  const cpuCount = GLib.get_num_processors();
+  const elapsed = after.total - before.total;
+  if (elapsed <= 0) {
+    return { cpu_count: cpuCount };
+  }
+
+  // Like top, a process using two full cores counts as 200 %
+  const topProcesses = [...after.processes]
+    .filter(([pid]) => before.processes.has(pid))
+    .map(([pid, { name, ticks }]) => ({
+      name,
+      pid: Number(pid),
+      cpu_percent: round(
+        ((ticks - before.processes.get(pid).ticks) / elapsed) * cpuCount * 100,
+      ),
+    }))
+    .sort((a, b) => b.cpu_percent - a.cpu_percent)
+    .slice(0, TOP_PROCESS_COUNT);
+
+  return {
+    cpu_count: cpuCount,
+    cpu_percent: round((1 - (after.idle - before.idle) / elapsed) * 100),
+    top_processes: topProcesses,
+  };
+}
+
+/**
+ * Read memory usage from /proc/meminfo
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<object>} - Total and used memory
+ */
+async function readMemory(cancellable) {
+  const values = {};
+  ((await readProcFile("meminfo", cancellable)) || "")
+    .split("\n")
+    .forEach((line) => {
+      const match = line.match(/^(\w+):\s+(\d+) kB/);
+      if (match) {
+        values[match[1]] = Number(match[2]) * 1024;
+      }
+    });
+  if (!values.MemTotal) {
+    return {};
+  }
+
+  const used = values.MemTotal - (values.MemAvailable ?? values.MemFree);
+  return {
+    memory_total_gb: round(values.MemTotal / BYTES_PER_GB),
+    memory_used_gb: round(used / BYTES_PER_GB),
+    memory_percent: round((used / values.MemTotal) * 100),
+  };
+}
+
+/**
+ * Read the size and usage of the file system holding a path
+ * @param {string} path - Path on the file system
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop the query
+ * @returns {Promise<object>} - Total and used disk space
+ */
+async function readDisk(path, cancellable) {
+  const info = await new Promise((resolve, reject) =>
+    Gio.File.new_for_path(path).query_filesystem_info_async(
+      "filesystem::size,filesystem::free",
+      GLib.PRIORITY_DEFAULT,
+      cancellable,
+      (source, result) => {
+        try {
+          resolve(source.query_filesystem_info_finish(result));
+        } catch (e) {
+          reject(e);
+        }
+      },
+    ),
+  );
+  const size = info.get_attribute_uint64("filesystem::size");
+  const used = size - info.get_attribute_uint64("filesystem::free");
+  if (!size) {
+    return {};
+  }
+
+  return {
+    disk_total_gb: round(size / BYTES_PER_GB),
+    disk_used_gb: round(used / BYTES_PER_GB),
+    disk_percent: round((used / size) * 100),
+  };
+}
+
+/**
+ * List the Flatpak apps installed system-wide and for the user
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop listing
+ * @returns {Promise<object>} - Number of apps and the first few app IDs
+ */
+async function readFlatpakApps(cancellable) {
+  const dirs = [
+    "/var/lib/flatpak/app",
+    GLib.build_filenamev([GLib.get_user_data_dir(), "flatpak", "app"]),
+  ];
+  const lists = await Promise.all(
+    dirs.map((path) =>
+      // Flatpak is not installed, or nothing was installed this way
+      listNames(path, cancellable).catch(() => []),
+    ),
+  );
+
+  const sorted = [...new Set(lists.flat())].sort();
+  return {
+    flatpak_count: sorted.length,
+    flatpak_apps: sorted.slice(0, FLATPAK_APP_LIST_LIMIT),
+  };
+}
+
+/**
+ * Count the packages dpkg reports as installed
+ * @param {Gio.Cancellable} cancellable - Cancellable to stop reading
+ * @returns {Promise<number|null>} - Package count, null on systems without
+ *   dpkg
+ */
+async function countDebianPackages(cancellable) {
+  try {
+    const text = await loadText(
+      Gio.File.new_for_path("/var/lib/dpkg/status"),
+      cancellable,
+    );
+    return text.match(/^Status: install ok installed$/gm)?.length ?? 0;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the version of the running GNOME Shell
+ * @returns {Promise<string|null>} - Version, null outside of GNOME Shell
+ */
+async function getShellVersion() {
+  try {
+    // Only importable inside GNOME Shell, not in the preferences
+    const Config = await import("resource:///org/gnome/shell/misc/config.js");
+    return `GNOME Shell ${Config.PACKAGE_VERSION}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,844 @@
+/**
+ * Model Context Protocol client. Connects to MCP servers over stdio or
+ * streamable HTTP, lists their tools and calls them on the assistant's
+ * behalf. See https://modelcontextprotocol.io/specification
+ */
+import Soup from "gi://Soup";
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import GObject from "gi://GObject";
+import {
+  DATA_DIR_NAME,
+  DEFAULT_TOOL_TIMEOUT,
+  MCP_PROTOCOL_VERSION,
+  MCP_REQUEST_TIMEOUT,
+  McpTransports,
+  ToolExecutorTypes,
+  ToolPolicies,
+} from "./constants.js";
+
+// JSON-RPC error code for requests the client does not handle
+const METHOD_NOT_FOUND = -32601;
+
+/**
+ * Transport that starts the server as a program and exchanges
+ * newline-delimited JSON-RPC messages over its standard input and output
+ */
+class StdioTransport {
+  /**
+   * Create a stdio transport
+   * @param {string} command - Command line, split like a shell would
+   */
+  constructor(command) {
+    this._command = command;
+    this._process = null;
+    this._cancellable = new Gio.Cancellable();
+    this._writeQueue = [];
+    this._writing = false;
+  }
+
+  /**
+   * Start the server
+   * @param {Function} onMessage - Called with each message from the server
+   * @param {Function} onClose - Called with (error) once the server is gone
+   * @throws {Error} - If the command cannot be started
+   */
+  start(onMessage, onClose) {
+    const [, argv] = GLib.shell_parse_argv(this._command);
+    // Server logs on stderr end up in the journal
+    this._process = Gio.Subprocess.new(
+      argv,
+      Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE,
+    );
+    this._stdin = this._process.get_stdin_pipe();
+
+    const stdout = new Gio.DataInputStream({
+      base_stream: this._process.get_stdout_pipe(),
+      close_base_stream: true,
+    });
+    this._readLines(stdout, onMessage, onClose);
+  }
+
+  /**
+   * Read messages until the server closes its output
+   * @param {Gio.DataInputStream} stream - Server output
+   * @param {Function} onMessage - Called with each message
+   * @param {Function} onClose - Called with (error) at the end
+   * @private
+   */
+  _readLines(stream, onMessage, onClose) {
+    stream.read_line_async(
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (source, result) => {
+        let line;
+        try {
+          [line] = source.read_line_finish_utf8(result);
+        } catch (error) {
+          onClose(error);
+          return;
+        }
+
+        if (line === null) {
+          onClose(new Error("The server exited"));
+          return;
+        }
+
+        line = line.trim();
+        if (line) {
+          try {
+            onMessage(JSON.parse(line));
+          } catch (error) {
+            // Only the size: the output may hold tool results or secrets
+            console.log(
+              `[Penguin] Ignoring ${line.length} characters of MCP output that is not JSON`,
+            );
+          }
+        }
+        this._readLines(source, onMessage, onClose);
+      },
+    );
+  }
+
+  /**
+   * Send a message to the server
+   * @param {object} message - JSON-RPC message
+   * @param {Function} callback - Callback with (error) once written
+   */
+  send(message, callback) {
+    // Writes may not overlap, so they are queued
+    this._writeQueue.push({
+      bytes: new TextEncoder().encode(`${JSON.stringify(message)}\n`),
+      callback,
+    });
+    this._writeNext();
+  }
+
+  /**
+   * Write the next queued message
+   * @private
+   */
+  _writeNext() {
+    if (this._writing || this._writeQueue.length === 0) {
+      return;
+    }
+
+    const { bytes, callback } = this._writeQueue.shift();
+    this._writing = true;
+    this._stdin.write_all_async(
+      bytes,
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (stream, result) => {
+        this._writing = false;
+        try {
+          stream.write_all_finish(result);
+          callback(null);
+        } catch (error) {
+          callback(error);
+        }
+        this._writeNext();
+      },
+    );
+  }
+
+  /**
+   * Stop the server
+   */
+  close() {
+    this._cancellable.cancel();
+    if (this._process) {
+      this._process.force_exit();
+      // Reap the server so that it does not linger as a zombie
+      this._process.wait_async(null, (proc, result) => {
+        try {
+          proc.wait_finish(result);
+        } catch (error) {
+          logError(error, "Failed to wait for an MCP server to exit");
+        }
+      });
+      this._process = null;
+    }
+  }
+}
+
+/**
+ * Transport that posts JSON-RPC messages to a streamable HTTP endpoint,
+ * which answers with JSON or a stream of server-sent events
+ */
+class HttpTransport {
+  /**
+   * Create a streamable HTTP transport
+   * @param {string} url - MCP endpoint URL
+   * @param {object} headers - Extra request headers, e.g. Authorization
+   */
+  constructor(url, headers = {}) {
+    this._url = url;
+    this._headers = headers;
+    this._sessionId = null;
+    this._protocolVersion = null;
+    this._httpSession = new Soup.Session();
+    this._cancellable = new Gio.Cancellable();
+  }
+
+  /**
+   * Start using the endpoint
+   * @param {Function} onMessage - Called with each message from the server
+   * @param {Function} onClose - Called with (error) once the session is gone
+   */
+  start(onMessage, onClose) {
+    this._onMessage = onMessage;
+    this._onClose = onClose;
+  }
+
+  /**
+   * Set the protocol revision agreed on during initialization
+   * @param {string} version - Protocol revision
+   */
+  setProtocolVersion(version) {
+    this._protocolVersion = version;
+  }
+
+  /**
+   * Send a message to the server; its answer arrives through onMessage
+   * @param {object} message - JSON-RPC message
+   * @param {Function} callback - Callback with (error) once the request was
+   *   accepted
+   */
+  send(message, callback) {
+    const request = this._createMessage("POST");
+    if (!request) {
+      callback(new Error(`Invalid MCP server URL: ${this._url}`));
+      return;
+    }
+    request.request_headers.append(
+      "accept",
+      "application/json, text/event-stream",
+    );
+    request.set_request_body_from_bytes(
+      "application/json",
+      new GLib.Bytes(new TextEncoder().encode(JSON.stringify(message))),
+    );
+
+    this._httpSession.send_async(
+      request,
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (session, result) => {
+        let stream;
+        try {
+          stream = session.send_finish(result);
+        } catch (error) {
+          callback(error);
+          return;
+        }
+
+        const status = request.get_status();
+        if (status === Soup.Status.NOT_FOUND && this._sessionId) {
+          // The server forgot the session
+          this._onClose(new Error("The server ended the session"));
+        }
+        if (status < 200 || status >= 300) {
+          stream.close(null);
+          callback(new Error(`HTTP ${status}: ${request.get_reason_phrase()}`));
+          return;
+        }
+
+        this._sessionId =
+          request.response_headers.get_one("mcp-session-id") ?? this._sessionId;
+        callback(null);
+
+        const contentType =
+          request.response_headers.get_content_type()[0] || "";
+        const dataStream = new Gio.DataInputStream({
+          base_stream: stream,
+          close_base_stream: true,
+        });
+        if (contentType === "text/event-stream") {
+          this._readEvents(dataStream, []);
+        } else {
+          this._readBody(dataStream, []);
+        }
+      },
+    );
+  }
+
+  /**
+   * Create a request with the session headers
+   * @param {string} method - HTTP method
+   * @returns {Soup.Message|null} - Request, null if the URL is invalid
+   * @private
+   */
+  _createMessage(method) {
+    const request = Soup.Message.new(method, this._url);
+    if (!request) {
+      return null;
+    }
+
+    Object.entries(this._headers).forEach(([name, value]) =>
+      request.request_headers.append(name, value),
+    );
+    if (this._sessionId) {
+      request.request_headers.append("mcp-session-id", this._sessionId);
+    }
+    if (this._protocolVersion) {
+      request.request_headers.append(
+        "mcp-protocol-version",
+        this._protocolVersion,
+      );
+    }
+    return request;
+  }
+
+  /**
+   * Read a JSON response body
+   * @param {Gio.DataInputStream} stream - Response body
+   * @param {Array} lines - Lines read so far
+   * @private
+   */
+  _readBody(stream, lines) {
+    stream.read_line_async(
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (source, result) => {
+        let line;
+        try {
+          [line] = source.read_line_finish_utf8(result);
+        } catch (error) {
+          source.close(null);
+          return;
+        }
+
+        if (line !== null) {
+          lines.push(line);
+          this._readBody(source, lines);
+          return;
+        }
+
+        source.close(null);
+        // Accepted notifications and responses come without a body
+        const body = lines.join("\n").trim();
+        if (body) {
+          this._dispatch(body);
+        }
+      },
+    );
+  }
+
+  /**
+   * Read a stream of server-sent events
+   * @param {Gio.DataInputStream} stream - Response body
+   * @param {Array} data - Data lines of the event being read
+   * @private
+   */
+  _readEvents(stream, data) {
+    stream.read_line_async(
+      GLib.PRIORITY_DEFAULT,
+      this._cancellable,
+      (source, result) => {
+        let line;
+        try {
+          [line] = source.read_line_finish_utf8(result);
+        } catch (error) {
+          source.close(null);
+          return;
+        }
+
+        // A blank line or the end of the stream completes an event
+        if (line === null || line.trim() === "") {
+          if (data.length > 0) {
+            this._dispatch(data.join("\n"));
+          }
+          if (line === null) {
+            source.close(null);
+            return;
+          }
+          this._readEvents(source, []);
+          return;
+        }
+
+        if (line.startsWith("data:")) {
+          data.push(line.slice(5).trim());
+        }
+        this._readEvents(source, data);
+      },
+    );
+  }
+
+  /**
+   * Hand the messages of a response to the client
+   * @param {string} text - JSON message or batch
+   * @private
+   */
+  _dispatch(text) {
+    try {
+      const parsed = JSON.parse(text);
+      (Array.isArray(parsed) ? parsed : [parsed]).forEach((message) =>
+        this._onMessage(message),
+      );
+    } catch (error) {
+      console.log(
+        `[Penguin] Ignoring an MCP response of ${text.length} characters that is not JSON`,
+      );
+    }
+  }
+
+  /**
+   * End the session
+   */
+  close() {
+    this._cancellable.cancel();
+
+    // Let the server free the session; the answer does not matter
+    const request = this._sessionId ? this._createMessage("DELETE") : null;
+    if (request) {
+      this._httpSession.send_async(
+        request,
+        GLib.PRIORITY_DEFAULT,
+        null,
+        (session, result) => {
+          try {
+            session.send_finish(result).close(null);
+          } catch (e) {
+            // The server may not support ending sessions
+          }
+        },
+      );
+    }
+  }
+}
+
+/**
+ * Connection to a single MCP server
+ */
+export class McpClient {
+  /**
+   * Create a client for a server
+   * @param {object} server - Server ({ name, transport, command, url, headers })
+   */
+  constructor(server) {
+    this._server = server;
+    this._transport =
+      server.transport === McpTransports.HTTP
+        ? new HttpTransport(server.url, server.headers)
+        : new StdioTransport(server.command);
+    this._nextId = 1;
+    this._pending = new Map();
+    this._closed = false;
+    this._onToolsChanged = null;
+  }
+
+  /**
+   * Set the listener told when the server's tools change
+   * @param {Function} listener - Called without arguments
+   */
+  setToolsChangedListener(listener) {
+    this._onToolsChanged = listener;
+  }
+
+  /**
+   * Start the server if needed and agree on the protocol
+   * @param {Function} callback - Callback with (error, serverInfo)
+   */
+  connect(callback) {
+    try {
+      this._transport.start(
+        (message) => this._handleMessage(message),
+        (error) => this._handleClose(error),
+      );
+    } catch (error) {
+      callback(error, null);
+      return;
+    }
+
+    this._request(
+      "initialize",
+      {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: DATA_DIR_NAME, version: "1.0" },
+      },
+      (error, result) => {
+        if (error) {
+          callback(error, null);
+          return;
+        }
+
+        this._transport.setProtocolVersion?.(result.protocolVersion);
+        this._notify("notifications/initialized");
+        callback(null, result.serverInfo || {});
+      },
+    );
+  }
+
+  /**
+   * List the tools the server offers
+   * @param {Function} callback - Callback with (error, tools) where each tool
+   *   is { name, description, inputSchema }
+   */
+  listTools(callback) {
+    const tools = [];
+    const fetchPage = (cursor) => {
+      this._request("tools/list", cursor ? { cursor } : {}, (error, result) => {
+        if (error) {
+          callback(error, null);
+          return;
+        }
+
+        tools.push(...(result.tools || []));
+        if (result.nextCursor) {
+          fetchPage(result.nextCursor);
+        } else {
+          callback(null, tools);
+        }
+      });
+    };
+    fetchPage(null);
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name as the server knows it
+   * @param {object} args - Tool arguments
+   * @param {Function} callback - Callback with (error, result) where result
+   *   is the structured result if the tool returns one, otherwise its text
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop the call
+   */
+  callTool(name, args, callback, cancellable = null) {
+    this._request(
+      "tools/call",
+      { name, arguments: args },
+      (error, result) => {
+        if (error) {
+          callback(error, null);
+          return;
+        }
+
+        const text = (result.content || [])
+          .map((item) => {
+            if (item.type === "text") {
+              return item.text;
+            }
+            if (item.type === "resource" && item.resource?.text) {
+              return item.resource.text;
+            }
+            return `[${item.type}]`;
+          })
+          .join("\n");
+
+        if (result.isError) {
+          callback(new Error(text || "The tool failed"), null);
+        } else {
+          callback(null, result.structuredContent ?? text);
+        }
+      },
+      cancellable,
+      0,
+    );
+  }
+
+  /**
+   * Disconnect from the server, stopping it if it was started by the client
+   */
+  close() {
+    this._closed = true;
+    this._transport.close();
+    this._failPending(new Error("The MCP client was closed"));
+  }
+
+  /**
+   * Send a request and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Parameters
+   * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop waiting
+   * @param {number} timeout - Seconds to wait, 0 to leave timing out to the
+   *   caller (default: MCP_REQUEST_TIMEOUT)
+   * @private
+   */
+  _request(
+    method,
+    params,
+    callback,
+    cancellable = null,
+    timeout = MCP_REQUEST_TIMEOUT,
+  ) {
+    if (this._closed) {
+      callback(new Error(`${this._server.name} is not connected`), null);
+      return;
+    }
+    if (cancellable?.is_cancelled()) {
+      callback(new Error("Request cancelled"), null);
+      return;
+    }
+
+    const id = this._nextId++;
+    let timeoutId = 0;
+    let cancelId = 0;
+
+    const finish = (error, result) => {
+      if (!this._pending.has(id)) {
+        return;
+      }
+      this._pending.delete(id);
+
+      if (timeoutId) {
+        GLib.Source.remove(timeoutId);
+      }
+      if (cancelId) {
+        cancellable.disconnect(cancelId);
+      }
+      callback(error, result);
+    };
+    this._pending.set(id, finish);
+
+    // Tell the server to stop working on requests that are given up on
+    const abandon = (reason) => {
+      this._notify("notifications/cancelled", { requestId: id, reason });
+      finish(new Error(`${this._server.name}: ${reason}`), null);
+    };
+    if (timeout > 0) {
+      timeoutId = GLib.timeout_add_seconds(
+        GLib.PRIORITY_DEFAULT,
+        timeout,
+        () => {
+          timeoutId = 0;
+          abandon(`${method} timed out after ${timeout} seconds`);
+          return GLib.SOURCE_REMOVE;
+        },
+      );
+    }
+    if (cancellable) {
+      cancelId = cancellable.connect("cancelled", () => {
+        // finish() must not call Cancellable.disconnect() from inside the
+        // handler, which deadlocks
+        GObject.signal_handler_disconnect(cancellable, cancelId);
+        cancelId = 0;
+        abandon("Request cancelled");
+      });
+    }
+
+    this._transport.send({ jsonrpc: "2.0", id, method, params }, (error) => {
+      if (error) {
+        finish(error, null);
+      }
+    });
+  }
+
+  /**
+   * Send a notification, which has no response
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Parameters (optional)
+   * @private
+   */
+  _notify(method, params = undefined) {
+    if (this._closed) {
+      return;
+    }
+
+    this._transport.send({ jsonrpc: "2.0", method, params }, (error) => {
+      if (error) {
+        console.log(
+          `[Penguin] Failed to notify ${this._server.name}: ${error.message}`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {object} message - JSON-RPC message
+   * @private
+   */
+  _handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const finish = this._pending.get(message.id);
+      if (message.error) {
+        finish?.(
+          new Error(`${this._server.name}: ${message.error.message}`),
+          null,
+        );
+      } else {
+        finish?.(null, message.result || {});
+      }
+      return;
+    }
+
+    if (message.method === "notifications/tools/list_changed") {
+      this._onToolsChanged?.();
+      return;
+    }
+
+    // Requests from the server: only pings are supported
+    if (message.id !== undefined) {
+      const reply =
+        message.method === "ping"
+          ? { result: {} }
+          : {
+              error: {
+                code: METHOD_NOT_FOUND,
+                message: `Unsupported method: ${message.method}`,
+              },
+            };
+      this._transport.send(
+        { jsonrpc: "2.0", id: message.id, ...reply },
+        () => {},
+      );
+    }
+  }
+
+  /**
+   * Handle the end of the connection
+   * @param {Error} error - Reason
+   * @private
+   */
+  _handleClose(error) {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    console.log(
+      `[Penguin] MCP server ${this._server.name} disconnected: ${error.message}`,
+    );
+    this._failPending(error);
+  }
+
+  /**
+   * Fail all requests still waiting for a response
+   * @param {Error} error - Reason
+   * @private
+   */
+  _failPending(error) {
+    [...this._pending.values()].forEach((finish) =>
+      finish(new Error(`${this._server.name}: ${error.message}`), null),
+    );
+  }
+}
+
+/**
+ * Turn a server and tool name into a tool name that is unique across
+ * servers and accepted by every provider
+ * @param {object} server - Server ({ name })
+ * @param {string} toolName - Tool name as the server knows it
+ * @returns {string} - Tool name for the registry
+ */
+export function getMcpToolName(server, toolName) {
+  const clean = (text) => text.replace(/[^a-zA-Z0-9_-]+/g, "_");
+  return `${clean(server.name).toLowerCase()}_${clean(toolName)}`.slice(0, 64);
+}
+
+/**
+ * Keeps the enabled MCP servers connected and offers their tools
+ */
+export class McpManager {
+  constructor() {
+    this._connections = [];
+  }
+
+  /**
+   * Connect to servers. Connections to servers whose settings did not
+   * change are kept, any others are closed.
+   * @param {Array} servers - Servers ({ id, name, transport, command, url,
+   *   headers, timeout, enabled })
+   */
+  start(servers) {
+    const previous = new Map(
+      this._connections.map((connection) => [
+        JSON.stringify(connection.server),
+        connection,
+      ]),
+    );
+
+    this._connections = servers
+      .filter((server) => server.enabled)
+      .map((server) => {
+        const key = JSON.stringify(server);
+        const kept = previous.get(key);
+        if (kept) {
+          previous.delete(key);
+          return kept;
+        }
+        return this._connect(server);
+      });
+
+    previous.forEach(({ client }) => client.close());
+  }
+
+  /**
+   * Connect to a server and list its tools
+   * @param {object} server - Server
+   * @returns {object} - Connection ({ server, client, tools })
+   * @private
+   */
+  _connect(server) {
+    const connection = {
+      server,
+      client: new McpClient(server),
+      tools: [],
+    };
+    connection.client.setToolsChangedListener(() =>
+      this._listTools(connection),
+    );
+    connection.client.connect((error) => {
+      if (error) {
+        console.log(
+          `[Penguin] Failed to connect to MCP server ${server.name}: ${error.message}`,
+        );
+        return;
+      }
+      this._listTools(connection);
+    });
+    return connection;
+  }
+
+  /**
+   * Refresh the tools of a connection
+   * @param {object} connection - Connection ({ server, client, tools })
+   * @private
+   */
+  _listTools(connection) {
+    connection.client.listTools((error, tools) => {
+      if (error) {
+        console.log(
+          `[Penguin] Failed to list the tools of ${connection.server.name}: ${error.message}`,
+        );
+        return;
+      }
+      connection.tools = tools;
+    });
+  }
+
+  /**
+   * Add the tools of the connected servers to a tool registry
+   * @param {ToolRegistry} registry - Tool registry
+   */
+  registerTools(registry) {
+    this._connections.forEach(({ server, client, tools }) =>
+      tools.forEach((tool) =>
+        registry.register({
+          name: getMcpToolName(server, tool.name),
+          description: tool.description || tool.title || tool.name,
+          parameters: tool.inputSchema,
+          timeout: server.timeout || DEFAULT_TOOL_TIMEOUT,
+          policy: server.policy || ToolPolicies.ASK,
+          source: `MCP: ${server.name}`,
+          executor: {
+            type: ToolExecutorTypes.FUNCTION,
+            run: (args, callback, cancellable) =>
+              client.callTool(tool.name, args, callback, cancellable),
+          },
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Disconnect from all servers
+   */
+  stop() {
+    this._connections.forEach(({ client }) => client.close());
+    this._connections = [];
+  }
+}
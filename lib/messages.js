@@ -0,0 +1,396 @@
+/**
+ * Provider-neutral chat messages.
+ *
+ * Every chat history entry is { role, parts, ...metadata } where role is one
+ * of MessageRoles and each part is one of:
+ *
+ *   { type: "text", text }
+ *   { type: "image", path, mimeType }
+ *   { type: "tool-call", id, name, arguments }
+ *   { type: "tool-result", id, name, content, isError, approval, duration }
+ *
+ * A tool result's optional approval records how the call came to run or
+ * not (see ToolApprovals), and its optional duration how many milliseconds
+ * the tool ran.
+ *
+ * Metadata such as persona, answeredBy, usage or stopped is kept next to
+ * the parts and never sent. An assistant message may also carry
+ * native ({ provider, content }), the turn in the answering provider's own
+ * format, which that provider gets back verbatim (see translators.js).
+ */
+import GLib from "gi://GLib";
+import { MessageRoles, PartTypes, ToolApprovals } from "./constants.js";
+
+const KNOWN_PART_TYPES = Object.values(PartTypes);
+
+/**
+ * Create a chat message
+ * @param {string} role - Message role
+ * @param {Array} parts - Message parts
+ * @param {object} metadata - Extra fields kept with the message
+ * @returns {object} - Message
+ */
+export function createMessage(role, parts, metadata = {}) {
+  return { role, parts, ...metadata };
+}
+
+/**
+ * Create a chat message from text and attached images
+ * @param {string} role - Message role
+ * @param {string} text - Message text, may be empty
+ * @param {Array} images - Attached images ({ path, mimeType })
+ * @param {object} metadata - Extra fields kept with the message
+ * @returns {object} - Message
+ */
+export function createTextMessage(role, text, images = [], metadata = {}) {
+  return createMessage(
+    role,
+    [
+      ...(text ? [{ type: PartTypes.TEXT, text }] : []),
+      ...images.map(({ path, mimeType }) => ({
+        type: PartTypes.IMAGE,
+        path,
+        mimeType,
+      })),
+    ],
+    metadata,
+  );
+}
+
+/**
+ * Create an id for a tool call that came without one. Gemini only names
+ * the function, so parallel calls of one tool would otherwise share an
+ * id, which other providers reject.
+ * @returns {string} - Tool call id
+ */
+export function createToolCallId() {
+  return `call_${GLib.uuid_string_random().replace(/-/g, "")}`;
+}
+
+/**
+ * Create the messages of an assistant turn that called tools
+ * @param {object} turn - Assistant turn ({ text, toolCalls })
+ * @param {Array} results - Tool results ({ id, name, content, isError,
+ *   approval, duration })
+ * @param {object} native - The turn in the provider's own format
+ *   ({ provider, content }), if it must be sent back verbatim
+ * @returns {Array} - Assistant message followed by the tool message
+ */
+export function createToolTurnMessages(turn, results, native = null) {
+  const call = createMessage(MessageRoles.ASSISTANT, [
+    ...(turn.text ? [{ type: PartTypes.TEXT, text: turn.text }] : []),
+    ...turn.toolCalls.map((toolCall) => ({
+      type: PartTypes.TOOL_CALL,
+      id: toolCall.id,
+      name: toolCall.name,
+      arguments: toolCall.arguments || {},
+    })),
+  ]);
+  if (native) {
+    call.native = native;
+  }
+
+  const result = createMessage(
+    MessageRoles.TOOL,
+    results.map((toolResult) => ({
+      type: PartTypes.TOOL_RESULT,
+      id: toolResult.id,
+      name: toolResult.name,
+      content: toolResult.content,
+      isError: toolResult.isError,
+      ...(toolResult.approval && { approval: toolResult.approval }),
+      ...(typeof toolResult.duration === "number" && {
+        duration: toolResult.duration,
+      }),
+    })),
+  );
+  return [call, result];
+}
+
+/**
+ * Get the parts of a message of one type
+ * @param {object} message - Message
+ * @param {string} type - Part type (see PartTypes)
+ * @returns {Array} - Matching parts
+ */
+export function getMessageParts(message, type) {
+  return (message.parts || []).filter((part) => part.type === type);
+}
+
+/**
+ * Get the text of a message
+ * @param {object} message - Message
+ * @returns {string} - Text of all text parts, empty if there are none
+ */
+export function getMessageText(message) {
+  return getMessageParts(message, PartTypes.TEXT)
+    .map((part) => part.text)
+    .join("");
+}
+
+/**
+ * Get the images attached to a message
+ * @param {object} message - Message
+ * @returns {Array} - Images ({ path, mimeType })
+ */
+export function getMessageImages(message) {
+  return getMessageParts(message, PartTypes.IMAGE).map(
+    ({ path, mimeType }) => ({ path, mimeType }),
+  );
+}
+
+/**
+ * Get the tools the user approved earlier in a conversation
+ * @param {Array} history - Chat history
+ * @returns {Array} - Names of the approved tools
+ */
+export function getApprovedTools(history) {
+  return history.flatMap((message) =>
+    getMessageParts(message, PartTypes.TOOL_RESULT)
+      .filter(({ approval }) => approval === ToolApprovals.APPROVED)
+      .map(({ name }) => name),
+  );
+}
+
+/**
+ * Check whether a history entry is already in the provider-neutral format
+ * @param {object} message - History entry
+ * @returns {boolean} - Whether the entry needs no migration
+ */
+export function isCanonicalMessage(message) {
+  return (
+    Array.isArray(message.parts) &&
+    message.parts.every((part) => KNOWN_PART_TYPES.includes(part.type))
+  );
+}
+
+/**
+ * Check whether a saved chat history needs migrateHistory()
+ * @param {Array} history - Saved chat history
+ * @returns {boolean} - Whether entries are in an older format or tool
+ *   calls share an id
+ */
+export function needsMigration(history) {
+  if (!history.every(isCanonicalMessage)) {
+    return true;
+  }
+
+  const ids = history.flatMap((message) =>
+    getMessageParts(message, PartTypes.TOOL_CALL).map(({ id }) => id),
+  );
+  return ids.some((id) => !id) || new Set(ids).size < ids.length;
+}
+
+/**
+ * Convert a saved chat history into the provider-neutral format. Entries
+ * may be plain { role, content, images } messages or the native messages of
+ * an API (OpenAI tool messages, Anthropic content blocks, Gemini parts).
+ * Inline base64 images of native messages have no file and are left out.
+ * @param {Array} history - Saved chat history
+ * @returns {Array} - Chat history of provider-neutral messages
+ */
+export function migrateHistory(history) {
+  const toolNames = new Map();
+  // Ids of the calls waiting for their results, by the id or, for Gemini
+  // calls without one, the name the results refer to them by
+  const unansweredIds = new Map();
+  const migrated = [];
+
+  for (const entry of history) {
+    const message = migrateMessage(entry);
+
+    // Gemini calls came without ids or with the tool name as id, so that
+    // parallel calls of one tool shared it
+    getMessageParts(message, PartTypes.TOOL_CALL).forEach((part) => {
+      const key = part.id || part.name;
+      if (!part.id || toolNames.has(part.id)) {
+        part.id = createToolCallId();
+      }
+      toolNames.set(part.id, part.name);
+      unansweredIds.set(key, [...(unansweredIds.get(key) || []), part.id]);
+    });
+
+    // Older tool results may only refer to their call by id
+    getMessageParts(message, PartTypes.TOOL_RESULT).forEach((part) => {
+      part.id =
+        unansweredIds.get(part.id || part.name)?.shift() ||
+        part.id ||
+        createToolCallId();
+      part.name ||= toolNames.get(part.id) || "";
+    });
+
+    // OpenAI stores one message per tool result
+    const previous = migrated[migrated.length - 1];
+    if (
+      message.role === MessageRoles.TOOL &&
+      previous?.role === MessageRoles.TOOL
+    ) {
+      previous.parts.push(...message.parts);
+      continue;
+    }
+    migrated.push(message);
+  }
+  return migrated;
+}
+
+/**
+ * Convert a single history entry into the provider-neutral format
+ * @param {object} entry - History entry
+ * @returns {object} - Message
+ */
+function migrateMessage(entry) {
+  if (isCanonicalMessage(entry)) {
+    return entry;
+  }
+
+  const {
+    role,
+    content,
+    images,
+    parts: nativeParts,
+    tool_calls: toolCalls,
+    tool_call_id: toolCallId,
+    name,
+    ...metadata
+  } = entry;
+
+  if (role === MessageRoles.CONTEXT) {
+    return createMessage(role, [], metadata);
+  }
+
+  let parts;
+  if (role === MessageRoles.TOOL) {
+    parts = [
+      {
+        type: PartTypes.TOOL_RESULT,
+        id: toolCallId,
+        name: name || "",
+        content: stringifyContent(content),
+        isError: false,
+      },
+    ];
+  } else if (Array.isArray(nativeParts)) {
+    parts = nativeParts.map(fromGeminiPart).filter(Boolean);
+  } else if (Array.isArray(content)) {
+    parts = content.map(fromAnthropicBlock).filter(Boolean);
+  } else {
+    parts = createTextMessage(role, content || "", images || []).parts;
+    (toolCalls || []).forEach((toolCall) =>
+      parts.push({
+        type: PartTypes.TOOL_CALL,
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: parseArguments(toolCall.function.arguments),
+      }),
+    );
+  }
+
+  return createMessage(migrateRole(role, parts), parts, metadata);
+}
+
+/**
+ * Work out the role of a migrated message
+ * @param {string} role - Original role
+ * @param {Array} parts - Migrated parts
+ * @returns {string} - Message role
+ */
+function migrateRole(role, parts) {
+  if (
+    parts.length > 0 &&
+    parts.every((part) => part.type === PartTypes.TOOL_RESULT)
+  ) {
+    return MessageRoles.TOOL;
+  }
+  return role === MessageRoles.USER
+    ? MessageRoles.USER
+    : MessageRoles.ASSISTANT;
+}
+
+/**
+ * Convert an Anthropic content block
+ * @param {object} block - Content block
+ * @returns {object|null} - Part, null for blocks that are not kept
+ */
+function fromAnthropicBlock(block) {
+  switch (block.type) {
+    case "text":
+      return block.text ? { type: PartTypes.TEXT, text: block.text } : null;
+    case "tool_use":
+      return {
+        type: PartTypes.TOOL_CALL,
+        id: block.id,
+        name: block.name,
+        arguments: block.input || {},
+      };
+    case "tool_result":
+      return {
+        type: PartTypes.TOOL_RESULT,
+        id: block.tool_use_id,
+        name: "",
+        content: Array.isArray(block.content)
+          ? block.content.map((item) => item.text || "").join("")
+          : stringifyContent(block.content),
+        isError: Boolean(block.is_error),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a Gemini content part
+ * @param {object} part - Content part
+ * @returns {object|null} - Part, null for parts that are not kept
+ */
+function fromGeminiPart(part) {
+  if (part.functionCall) {
+    return {
+      type: PartTypes.TOOL_CALL,
+      // Ids are given out in migrateHistory()
+      id: part.functionCall.id,
+      name: part.functionCall.name,
+      arguments: part.functionCall.args || {},
+    };
+  }
+  if (part.functionResponse) {
+    const { id, name, response } = part.functionResponse;
+    return {
+      type: PartTypes.TOOL_RESULT,
+      id,
+      name,
+      content: stringifyContent(
+        response?.error ?? response?.result ?? response,
+      ),
+      isError: response?.error !== undefined,
+    };
+  }
+  if (part.text && !part.thought) {
+    return { type: PartTypes.TEXT, text: part.text };
+  }
+  return null;
+}
+
+/**
+ * Turn tool output of any shape into text
+ * @param {*} content - Tool output
+ * @returns {string} - Text
+ */
+function stringifyContent(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  return content === undefined ? "" : JSON.stringify(content);
+}
+
+/**
+ * Parse the JSON arguments of an OpenAI tool call
+ * @param {string} args - JSON arguments
+ * @returns {object} - Arguments, empty if they cannot be parsed
+ */
+function parseArguments(args) {
+  try {
+    return args ? JSON.parse(args) : {};
+  } catch (e) {
+    return {};
+  }
+}
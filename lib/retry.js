@@ -0,0 +1,193 @@
+import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import GObject from "gi://GObject";
+import { ErrorTypes } from "./constants.js";
+import { ProviderError } from "./errors.js";
+
+// HTTP status codes worth retrying: timeouts, rate limits, server errors
+// and Anthropic's 529 "overloaded"
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+// Transport errors that usually go away on their own
+const RETRYABLE_IO_ERRORS = [
+  Gio.IOErrorEnum.TIMED_OUT,
+  Gio.IOErrorEnum.CONNECTION_CLOSED,
+  Gio.IOErrorEnum.BROKEN_PIPE,
+  Gio.IOErrorEnum.NETWORK_UNREACHABLE,
+  Gio.IOErrorEnum.HOST_UNREACHABLE,
+];
+
+// Provider error types worth retrying when the error has no HTTP status,
+// such as an "overloaded_error" event in the middle of a stream
+const RETRYABLE_ERROR_TYPES = [ErrorTypes.RATE_LIMIT, ErrorTypes.SERVER];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (seconds or an HTTP date)
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create an error for a failed HTTP response
+ * @param {Soup.Message} message - Message with a non-OK status
+ * @returns {Error} - Error carrying `status` and `retryAfter` (ms)
+ */
+export function createHttpError(message) {
+  const status = message.get_status();
+  const error = new Error(`HTTP error ${status}`);
+  error.status = status;
+  error.retryAfter = parseRetryAfter(
+    message.response_headers.get_one("retry-after"),
+  );
+  return error;
+}
+
+/**
+ * Retry policy with exponential backoff and jitter
+ */
+export class RetryPolicy {
+  /**
+   * Create a retry policy
+   * @param {object} options - Policy options
+   * @param {number} options.maxAttempts - Total attempts including the first
+   * @param {number} options.baseDelay - Delay before the first retry in ms
+   * @param {number} options.maxDelay - Upper bound for a single delay in ms
+   * @param {Function} options.onRetry - Called with ({ attempt, maxAttempts, delay, error })
+   *   before each retry
+   */
+  constructor({
+    maxAttempts = 1,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    onRetry = null,
+  } = {}) {
+    this._maxAttempts = Math.max(1, maxAttempts);
+    this._baseDelay = baseDelay;
+    this._maxDelay = maxDelay;
+    this._onRetry = onRetry;
+  }
+
+  /**
+   * Check whether an error is transient
+   * @param {Error} error - Error from an attempt
+   * @returns {boolean} - Whether the attempt may be retried
+   */
+  isRetryable(error) {
+    if (!error || error.noRetry) {
+      return false;
+    }
+
+    if (error.status !== undefined) {
+      return RETRYABLE_STATUSES.includes(error.status);
+    }
+
+    if (error instanceof ProviderError) {
+      return RETRYABLE_ERROR_TYPES.includes(error.type);
+    }
+
+    return (
+      error instanceof GLib.Error &&
+      RETRYABLE_IO_ERRORS.some((code) => error.matches(Gio.IOErrorEnum, code))
+    );
+  }
+
+  /**
+   * Get the delay before the given retry
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @param {Error} error - Error from that attempt
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt, error) {
+    // The server knows best
+    if (error?.retryAfter !== null && error?.retryAfter !== undefined) {
+      return Math.min(error.retryAfter, this._maxDelay);
+    }
+
+    // Exponential backoff with "equal jitter": half fixed, half random
+    const backoff = Math.min(
+      this._baseDelay * 2 ** (attempt - 1),
+      this._maxDelay,
+    );
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Run an operation, retrying transient failures
+   * @param {Function} operation - Called with (done) where done is (error, result)
+   * @param {Function} callback - Callback with (error, result) of the last attempt
+   * @param {Gio.Cancellable} cancellable - Optional cancellable that stops waiting
+   */
+  run(operation, callback, cancellable = null) {
+    const attempt = (number) => {
+      operation((error, result) => {
+        if (
+          !error ||
+          number >= this._maxAttempts ||
+          cancellable?.is_cancelled() ||
+          !this.isRetryable(error)
+        ) {
+          callback(error, result);
+          return;
+        }
+
+        const delay = this.getDelay(number, error);
+        this._onRetry?.({
+          attempt: number + 1,
+          maxAttempts: this._maxAttempts,
+          delay,
+          error,
+        });
+        this._wait(delay, cancellable, (cancelled) => {
+          if (cancelled) {
+            callback(new Error("Request cancelled"), null);
+          } else {
+            attempt(number + 1);
+          }
+        });
+      });
+    };
+
+    attempt(1);
+  }
+
+  /**
+   * Wait for a delay unless cancelled first
+   * @param {number} delay - Delay in milliseconds
+   * @param {Gio.Cancellable} cancellable - Optional cancellable
+   * @param {Function} callback - Called with (cancelled)
+   * @private
+   */
+  _wait(delay, cancellable, callback) {
+    let cancelledId = 0;
+
+    const sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+      if (cancelledId) {
+        cancellable.disconnect(cancelledId);
+      }
+      callback(false);
+      return GLib.SOURCE_REMOVE;
+    });
+
+    if (cancellable) {
+      cancelledId = cancellable.connect("cancelled", () => {
+        GLib.Source.remove(sourceId);
+        // Cancellable.disconnect() would deadlock here, inside the handler
+        GObject.signal_handler_disconnect(cancellable, cancelledId);
+        callback(true);
+      });
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import GLib from "gi://GLib";
+import * as Main from "resource:///org/gnome/shell/ui/main.js";
+
+// Seconds to wait for the screenshot to be saved after the UI closed
+const SAVE_TIMEOUT = 5;
+
+/**
+ * Open the Shell's screenshot UI, where the user picks an area, a window or
+ * the whole screen, and wait for the screenshot
+ * @param {Function} callback - Callback with (error, file) where file is the
+ *   saved screenshot, or null if the UI was closed without taking one
+ */
+export function captureScreenshot(callback) {
+  const ui = Main.screenshotUI;
+  let takenId = 0;
+  let visibleId = 0;
+  let timeoutId = 0;
+
+  const finish = (error, file) => {
+    ui.disconnect(takenId);
+    ui.disconnect(visibleId);
+    if (timeoutId) {
+      GLib.Source.remove(timeoutId);
+    }
+    callback(error, file);
+  };
+
+  takenId = ui.connect("screenshot-taken", (self, file) => finish(null, file));
+
+  // Saving finishes after the UI is gone, so give it a moment before
+  // treating the UI as closed without a screenshot
+  visibleId = ui.connect("notify::visible", () => {
+    if (ui.visible || timeoutId) {
+      return;
+    }
+    timeoutId = GLib.timeout_add_seconds(
+      GLib.PRIORITY_DEFAULT,
+      SAVE_TIMEOUT,
+      () => {
+        timeoutId = 0;
+        finish(null, null);
+        return GLib.SOURCE_REMOVE;
+      },
+    );
+  });
+
+  ui.open().catch((error) => finish(error, null));
+}
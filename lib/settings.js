@@ -1,4 +1,19 @@
-import { SettingsKeys, LLMProviders } from "./constants.js";
+import GLib from "gi://GLib";
+import {
+    SettingsKeys,
+    LLMProviders,
+    ProviderDefaults,
+    GenerationDefaults,
+    GenerationParamLimits,
+    ProviderParamLimits,
+    DefaultModelPrices,
+    USAGE_RETENTION_DAYS,
+    McpTransports,
+    DEFAULT_TOOL_TIMEOUT,
+    ToolPolicies,
+} from "./constants.js";
+import { addUsage, calculateCost, findModelPrice, getDayKey } from "./usage.js";
+import { migrateHistory, needsMigration } from "./messages.js";
 
 /**
  * Manages extension settings with a cleaner interface
@@ -69,6 +84,8 @@ export class SettingsManager {
                 return this._settings.get_string(SettingsKeys.GEMINI_API_KEY);
             case LLMProviders.OPENROUTER:
                 return this._settings.get_string(SettingsKeys.OPENROUTER_API_KEY);
+            case LLMProviders.LOCAL:
+                return this._settings.get_string(SettingsKeys.LOCAL_API_KEY);
             default:
                 return "";
         }
@@ -89,14 +106,429 @@ export class SettingsManager {
                 return this._settings.get_string(SettingsKeys.GEMINI_MODEL);
             case LLMProviders.OPENROUTER:
                 return this._settings.get_string(SettingsKeys.OPENROUTER_MODEL);
+            case LLMProviders.LOCAL:
+                return this._settings.get_string(SettingsKeys.LOCAL_MODEL);
             default:
                 return "";
         }
     }
 
+    /**
+     * Get the base URL of the local/self-hosted OpenAI-compatible server
+     * @returns {string} - Base URL (e.g. http://localhost:11434/v1)
+     */
+    getLocalBaseUrl() {
+        return this._settings.get_string(SettingsKeys.LOCAL_BASE_URL);
+    }
+
+    /**
+     * Get all endpoint profiles
+     * @returns {Array} - Profiles ({ id, name, provider, baseUrl, apiKey, model, params })
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.PROFILES) || "[]");
+        } catch (e) {
+            logError(e, "Failed to parse endpoint profiles");
+            return [];
+        }
+    }
+
+    /**
+     * Set all endpoint profiles
+     * @param {Array} profiles - Profiles to store
+     */
+    setProfiles(profiles) {
+        this._settings.set_string(SettingsKeys.PROFILES, JSON.stringify(profiles));
+    }
+
+    /**
+     * Get the identifier of the active profile
+     * @returns {string} - Profile ID
+     */
+    getActiveProfileId() {
+        return this._settings.get_string(SettingsKeys.ACTIVE_PROFILE);
+    }
+
+    /**
+     * Set the active profile
+     * @param {string} id - Profile ID
+     */
+    setActiveProfileId(id) {
+        this._settings.set_string(SettingsKeys.ACTIVE_PROFILE, id);
+    }
+
+    /**
+     * Get the active profile, falling back to the first one
+     * @returns {object|null} - Profile or null if none are configured
+     */
+    getActiveProfile() {
+        const profiles = this.getProfiles();
+        const id = this.getActiveProfileId();
+        return profiles.find((profile) => profile.id === id) || profiles[0] || null;
+    }
+
+    /**
+     * Get the identifiers of the fallback profiles in the order they are tried
+     * @returns {Array} - Profile IDs
+     */
+    getFallbackProfileIds() {
+        return this._settings.get_strv(SettingsKeys.FALLBACK_PROFILES);
+    }
+
+    /**
+     * Set the fallback profiles
+     * @param {Array} ids - Profile IDs in the order they are tried
+     */
+    setFallbackProfileIds(ids) {
+        this._settings.set_strv(SettingsKeys.FALLBACK_PROFILES, ids);
+    }
+
+    /**
+     * Get the fallback profiles for a request, skipping deleted profiles
+     * and the profile the request is sent with first
+     * @param {object} primary - Profile tried first
+     * @returns {Array} - Profiles in the order they are tried
+     */
+    getFallbackProfiles(primary) {
+        const profiles = this.getProfiles();
+        return this.getFallbackProfileIds()
+            .filter((id) => id !== primary?.id)
+            .map((id) => profiles.find((profile) => profile.id === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the model lists fetched so far
+     * @returns {object} - Entries ({ models, fetchedAt }) keyed by provider and base URL
+     * @private
+     */
+    _getModelCache() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.MODEL_CACHE) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse model cache");
+            return {};
+        }
+    }
+
+    /**
+     * Get the cached models of a provider endpoint
+     * @param {string} provider - Provider type
+     * @param {string} baseUrl - API base URL
+     * @param {number} maxAge - Maximum age in milliseconds (default: one day)
+     * @returns {Array|null} - Model names, or null if not cached or outdated
+     */
+    getCachedModels(provider, baseUrl, maxAge = 24 * 60 * 60 * 1000) {
+        const entry = this._getModelCache()[`${provider} ${baseUrl}`];
+        if (!entry || Date.now() - entry.fetchedAt > maxAge) {
+            return null;
+        }
+        return entry.models;
+    }
+
+    /**
+     * Cache the models of a provider endpoint
+     * @param {string} provider - Provider type
+     * @param {string} baseUrl - API base URL
+     * @param {Array} models - Model names
+     */
+    setCachedModels(provider, baseUrl, models) {
+        const cache = this._getModelCache();
+        cache[`${provider} ${baseUrl}`] = { models, fetchedAt: Date.now() };
+        this._settings.set_string(SettingsKeys.MODEL_CACHE, JSON.stringify(cache));
+    }
+
+    /**
+     * Get all personas in display order
+     * @returns {Array} - Personas ({ id, name, instructions, profileId, model, temperature })
+     */
+    getPersonas() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.PERSONAS) || "[]");
+        } catch (e) {
+            logError(e, "Failed to parse personas");
+            return [];
+        }
+    }
+
+    /**
+     * Set all personas
+     * @param {Array} personas - Personas to store, in display order
+     */
+    setPersonas(personas) {
+        this._settings.set_string(SettingsKeys.PERSONAS, JSON.stringify(personas));
+    }
+
+    /**
+     * Get the identifier of the active persona
+     * @returns {string} - Persona ID, empty for none
+     */
+    getActivePersonaId() {
+        return this._settings.get_string(SettingsKeys.ACTIVE_PERSONA);
+    }
+
+    /**
+     * Set the active persona
+     * @param {string} id - Persona ID, empty for none
+     */
+    setActivePersonaId(id) {
+        this._settings.set_string(SettingsKeys.ACTIVE_PERSONA, id);
+    }
+
+    /**
+     * Get the active persona
+     * @returns {object|null} - Persona or null if none is selected
+     */
+    getActivePersona() {
+        const id = this.getActivePersonaId();
+        return (id && this.getPersonas().find((persona) => persona.id === id)) || null;
+    }
+
+    /**
+     * Get the profile to chat with: the persona's preferred profile if it
+     * still exists, otherwise the active one
+     * @param {object|null} persona - Active persona
+     * @returns {object|null} - Profile, with the persona's model applied
+     */
+    getProfileForPersona(persona) {
+        const profile =
+            this.getProfiles().find(({ id }) => id === persona?.profileId) ||
+            this.getActiveProfile();
+
+        if (!profile || !persona?.model) {
+            return profile;
+        }
+        return { ...profile, model: persona.model };
+    }
+
+    /**
+     * Create a new persona object
+     * @param {string} name - Persona name
+     * @returns {object} - Persona
+     */
+    static createPersona(name) {
+        return {
+            id:           GLib.uuid_string_random(),
+            name:         name,
+            instructions: "",
+            profileId:    "",
+            model:        "",
+            temperature:  null,
+        };
+    }
+
+    /**
+     * Turn imported JSON into personas, skipping entries without a name
+     * and giving every persona a fresh identifier
+     * @param {string} json - Exported personas
+     * @returns {Array} - Personas
+     */
+    static parsePersonas(json) {
+        const data = JSON.parse(json);
+        if (!Array.isArray(data)) {
+            throw new Error("Expected a list of personas");
+        }
+
+        return data
+            .filter((entry) => typeof entry?.name === "string" && entry.name)
+            .map((entry) => ({
+                ...SettingsManager.createPersona(entry.name),
+                instructions: String(entry.instructions ?? ""),
+                profileId:    String(entry.profileId ?? ""),
+                model:        String(entry.model ?? ""),
+                temperature:  typeof entry.temperature === "number" ? entry.temperature : null,
+            }));
+    }
+
+    /**
+     * Get the generation parameter overrides of all providers
+     * @returns {object} - Overrides keyed by provider
+     * @private
+     */
+    _getStoredGenerationParams() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.GENERATION_PARAMS) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse generation parameters");
+            return {};
+        }
+    }
+
+    /**
+     * Get the parameters the user set for a provider, without defaults
+     * @param {string} provider - Provider type
+     * @returns {object} - Parameters that override the defaults
+     */
+    getGenerationParamOverrides(provider) {
+        return SettingsManager.validateGenerationParams(
+            provider,
+            this._getStoredGenerationParams()[provider] || {}
+        ).params;
+    }
+
+    /**
+     * Get the generation parameters for a provider
+     * @param {string} provider - Provider type
+     * @returns {object} - Every supported parameter; null leaves it to the provider
+     */
+    getGenerationParams(provider) {
+        return {
+            ...GenerationDefaults[provider],
+            ...this.getGenerationParamOverrides(provider),
+        };
+    }
+
+    /**
+     * Set the generation parameter overrides for a provider
+     * @param {string} provider - Provider type
+     * @param {object} params - Parameters to store; invalid ones are dropped
+     */
+    setGenerationParams(provider, params) {
+        const stored = this._getStoredGenerationParams();
+        stored[provider] = SettingsManager.validateGenerationParams(provider, params).params;
+        this._settings.set_string(SettingsKeys.GENERATION_PARAMS, JSON.stringify(stored));
+    }
+
+    /**
+     * Get the generation parameters for a profile: the provider settings
+     * with the profile's own parameters and then the persona's temperature on top
+     * @param {object} profile - Endpoint profile
+     * @param {object|null} persona - Active persona (optional)
+     * @returns {object} - Generation parameters
+     */
+    getProfileGenerationParams(profile, persona = null) {
+        return {
+            ...this.getGenerationParams(profile.provider),
+            ...SettingsManager.validateGenerationParams(profile.provider, profile.params || {}).params,
+            ...SettingsManager.validateGenerationParams(profile.provider, {
+                temperature: persona?.temperature,
+            }).params,
+        };
+    }
+
+    /**
+     * Get the valid range of a generation parameter
+     * @param {string} provider - Provider type
+     * @param {string} key - Parameter name
+     * @returns {object} - Limits ({ min, max, integer })
+     */
+    static getGenerationParamLimits(provider, key) {
+        return ProviderParamLimits[provider]?.[key] || GenerationParamLimits[key];
+    }
+
+    /**
+     * Validate generation parameters for a provider
+     * @param {string} provider - Provider type
+     * @param {object} params - Parameters to check
+     * @returns {object} - Valid parameters and the names of invalid ones ({ params, invalid })
+     */
+    static validateGenerationParams(provider, params) {
+        const supported = GenerationDefaults[provider] || {};
+        const valid = {};
+        const invalid = [];
+
+        for (const [key, value] of Object.entries(params)) {
+            // Unset values fall back to the defaults
+            if (value === undefined || value === null) {
+                continue;
+            }
+
+            const limits = SettingsManager.getGenerationParamLimits(provider, key);
+            if (
+                !(key in supported) ||
+                typeof value !== "number" ||
+                !Number.isFinite(value) ||
+                value < limits.min ||
+                value > limits.max ||
+                (limits.integer && !Number.isInteger(value))
+            ) {
+                invalid.push(key);
+                continue;
+            }
+
+            valid[key] = value;
+        }
+
+        return { params: valid, invalid };
+    }
+
+    /**
+     * Create a new profile object with the provider defaults
+     * @param {string} name - Profile name
+     * @param {string} provider - Provider type
+     * @returns {object} - Profile
+     */
+    static createProfile(name, provider) {
+        const defaults = ProviderDefaults[provider] || ProviderDefaults[LLMProviders.ANTHROPIC];
+        return {
+            id:       GLib.uuid_string_random(),
+            name:     name,
+            provider: provider,
+            baseUrl:  defaults.baseUrl,
+            apiKey:   "",
+            model:    defaults.model,
+            params:   {},
+        };
+    }
+
+    /**
+     * Turn the legacy per-provider API key and model settings into profiles.
+     * Runs once; later calls are no-ops.
+     */
+    migrateProfiles() {
+        if (this._settings.get_boolean(SettingsKeys.PROFILES_MIGRATED)) {
+            return;
+        }
+
+        const names = {
+            [LLMProviders.ANTHROPIC]:  "Anthropic",
+            [LLMProviders.OPENAI]:     "OpenAI",
+            [LLMProviders.GEMINI]:     "Gemini",
+            [LLMProviders.OPENROUTER]: "OpenRouter",
+            [LLMProviders.LOCAL]:      "Local",
+        };
+
+        const profiles = this.getProfiles();
+        const selectedProvider = this.getLLMProvider();
+        let activeId = "";
+
+        for (const provider of Object.values(LLMProviders)) {
+            const profile = SettingsManager.createProfile(names[provider], provider);
+            profile.apiKey = this.getApiKey(provider);
+            profile.model = this.getModel(provider) || profile.model;
+            if (provider === LLMProviders.LOCAL) {
+                profile.baseUrl = this.getLocalBaseUrl() || profile.baseUrl;
+            }
+
+            if (provider === selectedProvider) {
+                activeId = profile.id;
+            }
+            profiles.push(profile);
+        }
+
+        this.setProfiles(profiles);
+        if (!this.getActiveProfileId()) {
+            this.setActiveProfileId(activeId || profiles[0].id);
+        }
+        this._settings.set_boolean(SettingsKeys.PROFILES_MIGRATED, true);
+    }
+
+    /**
+     * Convert a chat history saved by an earlier version into the
+     * provider-neutral message format, and give tool calls that share an
+     * id their own. Does nothing once converted.
+     */
+    migrateHistory() {
+        const history = this.getHistory();
+        if (needsMigration(history)) {
+            this.setHistory(migrateHistory(history));
+        }
+    }
+
     /**
      * Get the chat history
-     * @returns {Array} - Chat history
+     * @returns {Array} - Chat history of provider-neutral messages
      */
     getHistory() {
         try {
@@ -115,6 +547,100 @@ export class SettingsManager {
         this._settings.set_string(SettingsKeys.HISTORY, JSON.stringify(history));
     }
 
+    /**
+     * Get the daily usage statistics
+     * @returns {object} - Totals keyed by day, then by "provider model"
+     *   ({ provider, model, requests, inputTokens, outputTokens, cost })
+     */
+    getUsageStats() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.USAGE_STATS) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse usage statistics");
+            return {};
+        }
+    }
+
+    /**
+     * Record the tokens used by a request. The cost is worked out with the
+     * current prices so that later price changes keep past totals intact.
+     * @param {string} provider - Provider type
+     * @param {string} model - Model name
+     * @param {object} usage - Usage ({ inputTokens, outputTokens })
+     * @returns {number} - Cost of the request in US dollars
+     */
+    recordUsage(provider, model, usage) {
+        const cost = calculateCost(findModelPrice(this.getModelPrices(), model), usage);
+        const stats = addUsage(this.getUsageStats(), getDayKey(), {
+            provider,
+            model,
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cost,
+        });
+
+        // Forget days past the retention period
+        const oldest = new Date();
+        oldest.setDate(oldest.getDate() - USAGE_RETENTION_DAYS);
+        const oldestKey = getDayKey(oldest);
+        for (const day of Object.keys(stats)) {
+            if (day < oldestKey) {
+                delete stats[day];
+            }
+        }
+
+        this._settings.set_string(SettingsKeys.USAGE_STATS, JSON.stringify(stats));
+        return cost;
+    }
+
+    /**
+     * Delete all usage statistics
+     */
+    clearUsageStats() {
+        this._settings.reset(SettingsKeys.USAGE_STATS);
+    }
+
+    /**
+     * Get the price table
+     * @returns {Array} - Prices ({ model, input, output }) in US dollars per
+     *   million tokens
+     */
+    getModelPrices() {
+        const stored = this._settings.get_string(SettingsKeys.MODEL_PRICES);
+        if (!stored) {
+            return DefaultModelPrices.map((price) => ({ ...price }));
+        }
+
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            logError(e, "Failed to parse model prices");
+            return DefaultModelPrices.map((price) => ({ ...price }));
+        }
+    }
+
+    /**
+     * Set the price table
+     * @param {Array|null} prices - Prices ({ model, input, output }), or null
+     *   to go back to the built-in prices
+     */
+    setModelPrices(prices) {
+        this._settings.set_string(SettingsKeys.MODEL_PRICES, prices ? JSON.stringify(prices) : "");
+    }
+
+    /**
+     * Get the spending budgets
+     * @returns {object} - Budgets ({ daily, monthly, action }) in US dollars,
+     *   0 for none; action is one of BudgetActions
+     */
+    getUsageBudget() {
+        return {
+            daily:   this._settings.get_double(SettingsKeys.USAGE_BUDGET_DAILY),
+            monthly: this._settings.get_double(SettingsKeys.USAGE_BUDGET_MONTHLY),
+            action:  this._settings.get_string(SettingsKeys.USAGE_BUDGET_ACTION),
+        };
+    }
+
     /**
      * Get visual styling settings
      * @returns {object} - Object containing styling settings
@@ -137,6 +663,15 @@ export class SettingsManager {
         return shortcuts.length > 0 ? shortcuts[0] : "";
     }
 
+    /**
+     * Get keyboard shortcut for taking a screenshot to ask about
+     * @returns {string} - Keyboard shortcut
+     */
+    getScreenshotShortcut() {
+        const shortcuts = this._settings.get_strv(SettingsKeys.SCREENSHOT_SHORTCUT);
+        return shortcuts.length > 0 ? shortcuts[0] : "";
+    }
+
     /**
      * Set the LLM provider
      * @param {string} provider - Provider type
@@ -164,6 +699,9 @@ export class SettingsManager {
             case LLMProviders.OPENROUTER:
                 this._settings.set_string(SettingsKeys.OPENROUTER_API_KEY, apiKey);
                 break;
+            case LLMProviders.LOCAL:
+                this._settings.set_string(SettingsKeys.LOCAL_API_KEY, apiKey);
+                break;
         }
     }
 
@@ -191,6 +729,184 @@ export class SettingsManager {
         return this._settings.get_double(SettingsKeys.WEATHER_LONGITUDE);
     }
 
+    /**
+     * Get the tools the user switched on or off
+     * @returns {object} - Whether each tool is enabled, keyed by tool name
+     */
+    getToolStates() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.TOOL_STATES) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse tool states");
+            return {};
+        }
+    }
+
+    /**
+     * Set the tools the user switched on or off
+     * @param {object} states - Whether each tool is enabled, keyed by tool name
+     */
+    setToolStates(states) {
+        this._settings.set_string(SettingsKeys.TOOL_STATES, JSON.stringify(states));
+    }
+
+    /**
+     * Get the folders the file tools may read
+     * @returns {Array} - Absolute folder paths
+     */
+    getFileToolFolders() {
+        return this._settings.get_strv(SettingsKeys.FILE_TOOL_FOLDERS);
+    }
+
+    /**
+     * Set the folders the file tools may read
+     * @param {Array} folders - Absolute folder paths
+     */
+    setFileToolFolders(folders) {
+        this._settings.set_strv(SettingsKeys.FILE_TOOL_FOLDERS, folders);
+    }
+
+    /**
+     * Get the command patterns run_command may run without asking
+     * @returns {Array} - Command patterns
+     */
+    getCommandAllowlist() {
+        return this._settings.get_strv(SettingsKeys.COMMAND_ALLOWLIST);
+    }
+
+    /**
+     * Set the command patterns run_command may run without asking
+     * @param {Array} patterns - Command patterns
+     */
+    setCommandAllowlist(patterns) {
+        this._settings.set_strv(SettingsKeys.COMMAND_ALLOWLIST, patterns);
+    }
+
+    /**
+     * Get how long run_command lets a command run
+     * @returns {number} - Timeout in seconds
+     */
+    getCommandTimeout() {
+        return this._settings.get_int(SettingsKeys.COMMAND_TIMEOUT);
+    }
+
+    /**
+     * Set how long run_command lets a command run
+     * @param {number} timeout - Timeout in seconds
+     */
+    setCommandTimeout(timeout) {
+        this._settings.set_int(SettingsKeys.COMMAND_TIMEOUT, timeout);
+    }
+
+    /**
+     * Get the approval policies the user chose for tools
+     * @returns {object} - Policy (see ToolPolicies), keyed by tool name
+     */
+    getToolPolicies() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.TOOL_POLICIES) || "{}");
+        } catch (e) {
+            logError(e, "Failed to parse tool policies");
+            return {};
+        }
+    }
+
+    /**
+     * Set the approval policies the user chose for tools
+     * @param {object} policies - Policy (see ToolPolicies), keyed by tool name
+     */
+    setToolPolicies(policies) {
+        this._settings.set_string(SettingsKeys.TOOL_POLICIES, JSON.stringify(policies));
+    }
+
+    /**
+     * Get the Model Context Protocol servers
+     * @returns {Array} - Servers ({ id, name, transport, command, url,
+     *   headers, timeout, policy, enabled })
+     */
+    getMcpServers() {
+        try {
+            return JSON.parse(this._settings.get_string(SettingsKeys.MCP_SERVERS) || "[]");
+        } catch (e) {
+            logError(e, "Failed to parse MCP servers");
+            return [];
+        }
+    }
+
+    /**
+     * Set the Model Context Protocol servers
+     * @param {Array} servers - Servers to store, in display order
+     */
+    setMcpServers(servers) {
+        this._settings.set_string(SettingsKeys.MCP_SERVERS, JSON.stringify(servers));
+    }
+
+    /**
+     * Create a new Model Context Protocol server object
+     * @param {string} name - Server name
+     * @returns {object} - Server
+     */
+    static createMcpServer(name) {
+        return {
+            id:        GLib.uuid_string_random(),
+            name:      name,
+            transport: McpTransports.STDIO,
+            command:   "",
+            url:       "",
+            headers:   {},
+            timeout:   DEFAULT_TOOL_TIMEOUT,
+            policy:    ToolPolicies.ASK,
+            enabled:   true,
+        };
+    }
+
+    /**
+     * Get the maximum number of attempts for failed requests
+     * @returns {number} - Attempts including the first one
+     */
+    getRetryMaxAttempts() {
+        return this._settings.get_int(SettingsKeys.RETRY_MAX_ATTEMPTS);
+    }
+
+    /**
+     * Get the context window strategy
+     * @returns {string} - Strategy (see ContextStrategies)
+     */
+    getContextStrategy() {
+        return this._settings.get_string(SettingsKeys.CONTEXT_STRATEGY);
+    }
+
+    /**
+     * Get the configured context window size
+     * @returns {number} - Size in tokens, 0 to use the model's known size
+     */
+    getContextLimit() {
+        return this._settings.get_int(SettingsKeys.CONTEXT_LIMIT);
+    }
+
+    /**
+     * Get the number of messages sent with the sliding window strategy
+     * @returns {number} - Message count
+     */
+    getContextWindowMessages() {
+        return this._settings.get_int(SettingsKeys.CONTEXT_WINDOW_MESSAGES);
+    }
+
+    /**
+     * Get the system prompt template
+     * @returns {string} - System prompt, may contain {{variables}}
+     */
+    getSystemPrompt() {
+        return this._settings.get_string(SettingsKeys.SYSTEM_PROMPT);
+    }
+
+    /**
+     * Set the system prompt template
+     * @param {string} prompt - System prompt
+     */
+    setSystemPrompt(prompt) {
+        this._settings.set_string(SettingsKeys.SYSTEM_PROMPT, prompt);
+    }
 
     /**
      * Set the model for a provider
@@ -211,6 +927,9 @@ export class SettingsManager {
             case LLMProviders.OPENROUTER:
                 this._settings.set_string(SettingsKeys.OPENROUTER_MODEL, model);
                 break;
+            case LLMProviders.LOCAL:
+                this._settings.set_string(SettingsKeys.LOCAL_MODEL, model);
+                break;
         }
     }
 
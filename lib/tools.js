@@ -1,138 +1,731 @@
 import Soup from "gi://Soup";
 import GLib from "gi://GLib";
+import Gio from "gi://Gio";
+import GObject from "gi://GObject";
+import { RetryPolicy, createHttpError } from "./retry.js";
+import {
+  DATA_DIR_NAME,
+  DEFAULT_TOOL_TIMEOUT,
+  ToolApprovals,
+  ToolExecutorTypes,
+  ToolPolicies,
+} from "./constants.js";
+import { getCurrentTime, getSystemInfo } from "./localTools.js";
+import { createFileTools } from "./fileTools.js";
+import { createCommandTool } from "./commandTool.js";
+
+// Tool names all providers accept
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Placeholders in executor templates, such as {query} or {serverUrl}
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z0-9_]+)\}/g;
+
+const NO_PARAMETERS = { type: "object", properties: {}, required: [] };
 
 /**
- * Tool definitions for OpenRouter Function Calling
+ * Tools that come with the extension. Most run in the extension itself;
+ * web search needs the local tool server.
  */
-export const TOOL_DEFINITIONS = [
+export const BUILTIN_TOOLS = [
   {
-    type: "function",
-    function: {
-      name: "get_current_time",
-      description: "Get the current date and time",
-      parameters: {
-        type: "object",
-        properties: {},
-        required: [],
-      },
-    },
+    name: "get_current_time",
+    description: "Get the current date, time, weekday and time zone",
+    parameters: NO_PARAMETERS,
+    executor: { type: ToolExecutorTypes.FUNCTION, run: getCurrentTime },
+    policy: ToolPolicies.ALLOW,
   },
   {
-    type: "function",
-    function: {
-      name: "get_weather",
-      description: "Get current weather information for a configured location",
-      parameters: {
-        type: "object",
-        properties: {},
-        required: [],
-      },
+    name: "get_weather",
+    description: "Get current weather information for a configured location",
+    parameters: NO_PARAMETERS,
+    executor: {
+      type: ToolExecutorTypes.HTTP,
+      url: "https://api.open-meteo.com/v1/forecast?latitude={weatherLat}&longitude={weatherLon}&current=temperature_2m,weathercode,windspeed_10m&timezone=auto",
     },
+    policy: ToolPolicies.ALLOW,
   },
   {
-    type: "function",
-    function: {
-      name: "search_web",
-      description: "Search the web for information",
-      parameters: {
-        type: "object",
-        properties: {
-          query: {
-            type: "string",
-            description: "The search query",
-          },
+    name: "search_web",
+    description: "Search the web for information",
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "The search query",
         },
-        required: ["query"],
       },
+      required: ["query"],
+    },
+    executor: {
+      type: ToolExecutorTypes.HTTP,
+      url: "{serverUrl}/search?q={query}",
     },
+    requires: ["serverUrl"],
+    policy: ToolPolicies.ALLOW,
   },
   {
-    type: "function",
-    function: {
-      name: "get_system_info",
-      description:
-        "Get system information including CPU, RAM, disk usage, installed packages, and running processes",
-      parameters: {
-        type: "object",
-        properties: {},
-        required: [],
-      },
-    },
+    name: "get_system_info",
+    description:
+      "Get system information including OS, GNOME version, CPU, RAM, disk usage, installed packages, and the busiest processes",
+    parameters: NO_PARAMETERS,
+    executor: { type: ToolExecutorTypes.FUNCTION, run: getSystemInfo },
+    // Hands host, package and process names to the model
+    policy: ToolPolicies.ASK_ONCE,
   },
 ];
 
 /**
- * Tool executor class that calls the local tool server
+ * Get the directory the user's tool manifests are read from
+ * @returns {Gio.File} - Manifest directory
+ */
+export function getToolManifestDir() {
+  return Gio.File.new_for_path(
+    GLib.build_filenamev([GLib.get_user_config_dir(), DATA_DIR_NAME, "tools"]),
+  );
+}
+
+/**
+ * Read the tool manifests in the user's manifest directory. Every *.json
+ * file holds one tool definition or an array of them:
+ *
+ *   {
+ *     "name": "lookup_word",
+ *     "description": "Look up the definition of an English word",
+ *     "parameters": { "type": "object", "properties": { ... } },
+ *     "executor": {
+ *       "type": "http",
+ *       "url": "https://api.dictionaryapi.dev/api/v2/entries/en/{word}"
+ *     },
+ *     "timeout": 10,
+ *     "policy": "ask",
+ *     "enabled": true
+ *   }
+ *
+ * HTTP executors take a url and optionally a method, headers and a body;
+ * subprocess executors take an argv array and optionally stdin: true to
+ * receive the arguments as JSON. {name} placeholders are filled in with
+ * the tool arguments. The policy (see ToolPolicies) tells whether calls
+ * need the user's approval and defaults to asking every time.
+ * The directory and files are read asynchronously.
+ * @param {Function} callback - Called with the result ({ tools, errors })
+ *   where errors lists the manifests that could not be used
+ *   ({ path, message })
+ */
+export function loadToolManifests(callback) {
+  const dir = getToolManifestDir();
+  const tools = [];
+  const errors = [];
+
+  dir.enumerate_children_async(
+    "standard::name",
+    Gio.FileQueryInfoFlags.NONE,
+    GLib.PRIORITY_DEFAULT,
+    null,
+    (source, result) => {
+      let children;
+      try {
+        children = source.enumerate_children_finish(result);
+      } catch (e) {
+        // No manifests were ever added
+        callback({ tools, errors });
+        return;
+      }
+
+      const names = [];
+      const readNames = () =>
+        children.next_files_async(
+          100,
+          GLib.PRIORITY_DEFAULT,
+          null,
+          (enumerator, batchResult) => {
+            let batch = [];
+            try {
+              batch = enumerator.next_files_finish(batchResult);
+            } catch (e) {
+              logError(e, "Failed to list tool manifests");
+            }
+            batch.forEach((info) => {
+              if (info.get_name().endsWith(".json")) {
+                names.push(info.get_name());
+              }
+            });
+            if (batch.length > 0) {
+              readNames();
+              return;
+            }
+
+            children.close(null);
+            // Sorted so that duplicate names resolve the same way every time
+            readManifests(names.sort());
+          },
+        );
+
+      const readManifests = (remaining) => {
+        if (remaining.length === 0) {
+          callback({ tools, errors });
+          return;
+        }
+
+        const file = dir.get_child(remaining[0]);
+        file.load_contents_async(null, (loaded, loadResult) => {
+          try {
+            const [, contents] = loaded.load_contents_finish(loadResult);
+            const manifest = JSON.parse(
+              new TextDecoder("utf-8").decode(contents),
+            );
+            const definitions = Array.isArray(manifest) ? manifest : [manifest];
+            definitions.forEach((definition) =>
+              tools.push(validateToolManifest(definition, file.get_path())),
+            );
+          } catch (e) {
+            errors.push({ path: file.get_path(), message: e.message });
+          }
+          readManifests(remaining.slice(1));
+        });
+      };
+
+      readNames();
+    },
+  );
+}
+
+/**
+ * Check a tool definition read from a manifest
+ * @param {object} definition - Tool definition
+ * @param {string} source - Manifest path
+ * @returns {object} - Tool
+ * @throws {Error} - If the definition cannot be used
+ */
+export function validateToolManifest(definition, source) {
+  if (!TOOL_NAME_PATTERN.test(definition?.name || "")) {
+    throw new Error(
+      "A tool needs a name of up to 64 letters, digits, underscores or hyphens",
+    );
+  }
+  if (typeof definition.description !== "string") {
+    throw new Error(`${definition.name}: missing description`);
+  }
+
+  const { executor } = definition;
+  switch (executor?.type) {
+    case ToolExecutorTypes.HTTP:
+      if (typeof executor.url !== "string") {
+        throw new Error(`${definition.name}: HTTP executors need a url`);
+      }
+      break;
+    case ToolExecutorTypes.SUBPROCESS:
+      if (
+        !Array.isArray(executor.argv) ||
+        executor.argv.length === 0 ||
+        !executor.argv.every((arg) => typeof arg === "string")
+      ) {
+        throw new Error(
+          `${definition.name}: subprocess executors need an argv array of strings`,
+        );
+      }
+      break;
+    default:
+      // Function executors only exist in code
+      throw new Error(
+        `${definition.name}: executor type must be "http" or "subprocess"`,
+      );
+  }
+
+  if (
+    definition.timeout !== undefined &&
+    !(typeof definition.timeout === "number" && definition.timeout > 0)
+  ) {
+    throw new Error(`${definition.name}: timeout must be a positive number`);
+  }
+
+  if (
+    definition.policy !== undefined &&
+    !Object.values(ToolPolicies).includes(definition.policy)
+  ) {
+    throw new Error(
+      `${definition.name}: policy must be one of ${Object.values(ToolPolicies).join(", ")}`,
+    );
+  }
+
+  return { ...definition, source };
+}
+
+/**
+ * Fill in the {name} placeholders of a template
+ * @param {string} template - Template text
+ * @param {object} values - Values by placeholder name
+ * @returns {string} - Text with placeholders filled in; unknown
+ *   placeholders become empty
  */
-export class ToolExecutor {
-  constructor(toolServerUrl) {
-    this._toolServerUrl = toolServerUrl;
+function expandTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    String(values[name] ?? ""),
+  );
+}
+
+/**
+ * Fill in the placeholders of a JSON request body template. A string that
+ * is a single placeholder is replaced by the value itself, so that numbers
+ * and objects keep their type.
+ * @param {*} template - Body template
+ * @param {object} values - Values by placeholder name
+ * @returns {*} - Body
+ */
+function expandBodyTemplate(template, values) {
+  if (typeof template === "string") {
+    const single = template.match(/^\{([a-zA-Z0-9_]+)\}$/);
+    return single ? values[single[1]] : expandTemplate(template, values);
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => expandBodyTemplate(item, values));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        expandBodyTemplate(value, values),
+      ]),
+    );
+  }
+  return template;
+}
+
+/**
+ * Parse tool output as JSON where possible
+ * @param {string} text - Output
+ * @returns {*} - Parsed output, or the text itself if it is not JSON
+ */
+function parseOutput(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Registry of the tools offered to the assistant, built in or defined by
+ * the user, and the executor that runs them
+ */
+export class ToolRegistry {
+  /**
+   * Create a tool registry with the built-in tools
+   * @param {object} variables - Values for executor placeholders that do not
+   *   come from the tool arguments (serverUrl, weatherLat, weatherLon), the
+   *   folders the file tools may read (fileFolders), and the commands
+   *   run_command may run without asking (commandAllowlist) and for how many
+   *   seconds (commandTimeout)
+   */
+  constructor(variables = {}) {
+    this._variables = variables;
+    this._tools = new Map();
+    this._states = {};
+    this._policies = {};
+    this._approver = null;
+    this._approvedTools = new Set();
     this._httpSession = new Soup.Session();
+    this._retryPolicy = new RetryPolicy();
+
+    [
+      ...BUILTIN_TOOLS,
+      ...createFileTools(variables.fileFolders || []),
+      createCommandTool(
+        variables.commandAllowlist || [],
+        variables.commandTimeout || DEFAULT_TOOL_TIMEOUT,
+      ),
+    ].forEach((tool) => this.register({ ...tool, source: "builtin" }));
+  }
+
+  /**
+   * Add a tool, replacing any tool of the same name
+   * @param {object} tool - Tool ({ name, description, parameters, executor,
+   *   timeout, policy, enabled, requires, source, mustAsk }); function
+   *   executors take run(args, callback, cancellable) with callback (error,
+   *   result), and mustAsk(args) tells whether a call needs the user's
+   *   approval whatever the policy
+   */
+  register(tool) {
+    this._tools.set(tool.name, {
+      parameters: NO_PARAMETERS,
+      timeout: DEFAULT_TOOL_TIMEOUT,
+      policy: ToolPolicies.ASK,
+      enabled: true,
+      requires: [],
+      ...tool,
+    });
+  }
+
+  /**
+   * Add the tools of the user's manifests
+   * @param {Function} callback - Optional, called once they are added with
+   *   the manifests that could not be used ({ path, message })
+   */
+  loadManifests(callback = null) {
+    loadToolManifests(({ tools, errors }) => {
+      tools.forEach((tool) => this.register(tool));
+      errors.forEach(({ path, message }) =>
+        console.log(`[Penguin] Skipping tool manifest ${path}: ${message}`),
+      );
+      callback?.(errors);
+    });
+  }
+
+  /**
+   * Set the tools the user switched on or off
+   * @param {object} states - Whether each tool is enabled, keyed by tool name
+   */
+  setStates(states) {
+    this._states = states;
+  }
+
+  /**
+   * Set the approval policies the user chose
+   * @param {object} policies - Policy (see ToolPolicies), keyed by tool name
+   */
+  setPolicies(policies) {
+    this._policies = policies;
+  }
+
+  /**
+   * Set who is asked before tools that need approval run. Without an
+   * approver such tools are denied.
+   * @param {Function} approver - Called with ({ name, arguments, policy,
+   *   forced }, callback, cancellable), forced telling that the call needs
+   *   approval whatever the policy; callback takes whether the call may run
+   * @param {Iterable} approvedTools - Names of the ask-once tools already
+   *   approved in this conversation
+   */
+  setApprover(approver, approvedTools = []) {
+    this._approver = approver;
+    this._approvedTools = new Set(approvedTools);
+  }
+
+  /**
+   * Set the policy used to retry failed HTTP tool requests
+   * @param {RetryPolicy} policy - Retry policy
+   */
+  setRetryPolicy(policy) {
+    this._retryPolicy = policy;
+  }
+
+  /**
+   * Get every registered tool
+   * @returns {Array} - Tools, each with enabled and policy resolved against
+   *   the user's choice and available telling whether its requirements are
+   *   met
+   */
+  getTools() {
+    return [...this._tools.values()].map((tool) => ({
+      ...tool,
+      enabled: this._states[tool.name] ?? tool.enabled,
+      policy: this._policies[tool.name] ?? tool.policy,
+      available: tool.requires.every((name) => {
+        const value = this._variables[name];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+      }),
+    }));
+  }
+
+  /**
+   * Get the tools to offer to the assistant
+   * @returns {Array} - Enabled and available tools
+   */
+  getEnabledTools() {
+    return this.getTools().filter(
+      ({ enabled, available }) => enabled && available,
+    );
   }
 
   /**
-   * Execute a tool call
+   * Execute a tool call once its policy allows it
    * @param {string} toolName - Name of the tool to execute
    * @param {object} parameters - Tool parameters
+   * @param {Function} callback - Callback with (error, result, details)
+   *   where details are { approval, duration }: how the call came to run or
+   *   not (see ToolApprovals) and how long it ran in milliseconds, null if
+   *   it did not run
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop the call
+   */
+  executeTool(toolName, parameters, callback, cancellable = null) {
+    const tool = this.getEnabledTools().find(({ name }) => name === toolName);
+    if (!tool) {
+      callback(new Error(`Unknown tool: ${toolName}`), null, {
+        approval: null,
+        duration: null,
+      });
+      return;
+    }
+
+    this._approve(
+      tool,
+      parameters,
+      (approval) => {
+        if (approval === ToolApprovals.BLOCKED) {
+          callback(new Error("This tool is blocked in the settings"), null, {
+            approval,
+            duration: null,
+          });
+        } else if (approval === ToolApprovals.DENIED) {
+          callback(new Error("The user did not allow this tool call"), null, {
+            approval,
+            duration: null,
+          });
+        } else {
+          const started = GLib.get_monotonic_time();
+          this._runTool(
+            tool,
+            parameters,
+            (error, result) =>
+              callback(error, result, {
+                approval,
+                duration: Math.round(
+                  (GLib.get_monotonic_time() - started) / 1000,
+                ),
+              }),
+            cancellable,
+          );
+        }
+      },
+      cancellable,
+    );
+  }
+
+  /**
+   * Work out whether a tool call may run, asking the user if its policy
+   * or the call itself says so
+   * @param {object} tool - Tool
+   * @param {object} parameters - Tool parameters
+   * @param {Function} callback - Called with the approval (see ToolApprovals)
+   * @param {Gio.Cancellable} cancellable - Cancellable that withdraws the
+   *   question
+   * @private
+   */
+  _approve(tool, parameters, callback, cancellable) {
+    if (tool.policy === ToolPolicies.DENY) {
+      callback(ToolApprovals.BLOCKED);
+      return;
+    }
+    // Such calls are asked about every time, and approving one says
+    // nothing about the next
+    const forced = Boolean(tool.mustAsk?.(parameters));
+    if (
+      !forced &&
+      (tool.policy === ToolPolicies.ALLOW ||
+        (tool.policy === ToolPolicies.ASK_ONCE &&
+          this._approvedTools.has(tool.name)))
+    ) {
+      callback(ToolApprovals.ALLOWED);
+      return;
+    }
+    if (!this._approver) {
+      callback(ToolApprovals.DENIED);
+      return;
+    }
+
+    this._approver(
+      {
+        name: tool.name,
+        arguments: parameters,
+        policy: forced ? ToolPolicies.ASK : tool.policy,
+        forced,
+      },
+      (approved) => {
+        if (approved && !forced && tool.policy === ToolPolicies.ASK_ONCE) {
+          this._approvedTools.add(tool.name);
+        }
+        callback(approved ? ToolApprovals.APPROVED : ToolApprovals.DENIED);
+      },
+      cancellable,
+    );
+  }
+
+  /**
+   * Run a tool with its executor
+   * @param {object} tool - Tool
+   * @param {object} parameters - Tool parameters
    * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Cancellable to stop the call
+   * @private
    */
-  executeTool(toolName, parameters, callback) {
-    let endpoint = "";
-    let url = "";
-    console.log(
-      "[ToolExecutor] Calling tool:",
-      toolName,
-      "URL will be:",
-      this._toolServerUrl,
+  _runTool(tool, parameters, callback, cancellable) {
+    console.log("[ToolExecutor] Calling tool:", tool.name);
+    this._runWithTimeout(
+      tool,
+      (toolCancellable, done) => {
+        switch (tool.executor.type) {
+          case ToolExecutorTypes.FUNCTION:
+            tool.executor.run(parameters, done, toolCancellable);
+            break;
+          case ToolExecutorTypes.HTTP:
+            this._runHttp(tool.executor, parameters, done, toolCancellable);
+            break;
+          case ToolExecutorTypes.SUBPROCESS:
+            this._runSubprocess(
+              tool.executor,
+              parameters,
+              done,
+              toolCancellable,
+            );
+            break;
+          default:
+            done(
+              new Error(`Unknown executor type: ${tool.executor.type}`),
+              null,
+            );
+        }
+      },
+      callback,
+      cancellable,
     );
+  }
+
+  /**
+   * Run a tool, giving up once its timeout has passed
+   * @param {object} tool - Tool
+   * @param {Function} run - Called with (cancellable, done) to start the tool
+   * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Optional cancellable to stop the call
+   * @private
+   */
+  _runWithTimeout(tool, run, callback, cancellable) {
+    const toolCancellable = new Gio.Cancellable();
+    const cancelId = cancellable
+      ? cancellable.connect("cancelled", () => toolCancellable.cancel())
+      : 0;
+    if (cancellable?.is_cancelled()) {
+      toolCancellable.cancel();
+    }
+    let timeoutId = 0;
+    let finished = false;
 
-    switch (toolName) {
-      case "get_current_time":
-        endpoint = "/time";
-        url = `${this._toolServerUrl}${endpoint}`;
-        break;
-      case "get_weather":
-        endpoint = "/weather";
-        const lat = this._weatherLat || 52.52;
-        const lon = this._weatherLon || 13.41;
-        url = `${this._toolServerUrl}${endpoint}?lat=${lat}&lon=${lon}`;
-        break;
-      case "search_web":
-        endpoint = "/search";
-        const query = encodeURIComponent(parameters.query || "");
-        url = `${this._toolServerUrl}${endpoint}?q=${query}`;
-        break;
-      case "get_system_info":
-        endpoint = "/system";
-        url = `${this._toolServerUrl}${endpoint}`;
-        break;
-      default:
-        callback(new Error(`Unknown tool: ${toolName}`), null);
+    const finish = (error, result) => {
+      if (finished) {
         return;
+      }
+      finished = true;
+
+      if (timeoutId) {
+        GLib.Source.remove(timeoutId);
+        timeoutId = 0;
+      }
+      // Cancelling the call may end it right away, from inside the
+      // "cancelled" handler, where Cancellable.disconnect() deadlocks
+      if (cancelId) {
+        GObject.signal_handler_disconnect(cancellable, cancelId);
+      }
+      callback(error, result);
+    };
+
+    timeoutId = GLib.timeout_add_seconds(
+      GLib.PRIORITY_DEFAULT,
+      tool.timeout,
+      () => {
+        timeoutId = 0;
+        finish(
+          new Error(`${tool.name} timed out after ${tool.timeout} seconds`),
+          null,
+        );
+        toolCancellable.cancel();
+        return GLib.SOURCE_REMOVE;
+      },
+    );
+
+    try {
+      run(toolCancellable, finish);
+    } catch (error) {
+      finish(error, null);
     }
+  }
+
+  /**
+   * Get the values for executor placeholders
+   * @param {object} parameters - Tool arguments
+   * @returns {object} - Arguments and configured values, where a configured
+   *   value wins over an argument of the same name so that the assistant
+   *   cannot redirect a request or replace a key
+   * @private
+   */
+  _getTemplateValues(parameters) {
+    return { ...parameters, ...this._variables };
+  }
 
-    const message = Soup.Message.new("GET", url);
+  /**
+   * Run a tool through an HTTP request
+   * @param {object} executor - Executor ({ url, method, headers, body })
+   * @param {object} parameters - Tool arguments
+   * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Cancellable to stop the request
+   * @private
+   */
+  _runHttp(executor, parameters, callback, cancellable) {
+    // Configured values such as the server URL go in as they are and
+    // cannot be replaced by arguments, which are encoded
+    const url = executor.url.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      this._variables[name] === undefined
+        ? encodeURIComponent(parameters[name] ?? "")
+        : String(this._variables[name]),
+    );
+    const values = this._getTemplateValues(parameters);
+    const method = (executor.method || "GET").toUpperCase();
 
-    console.log("[ToolExecutor] Final URL:", url);
+    let body = null;
+    if (method !== "GET" && method !== "HEAD") {
+      // Without a template the arguments are sent as they are
+      body = JSON.stringify(
+        executor.body === undefined
+          ? parameters
+          : expandBodyTemplate(executor.body, values),
+      );
+    }
 
+    this._retryPolicy.run(
+      (done) => {
+        // A message can only be sent once, so every attempt gets a new one
+        const message = Soup.Message.new(method, url);
+        if (!message) {
+          done(new Error(`Invalid tool URL: ${url}`), null);
+          return;
+        }
+        Object.entries(executor.headers || {}).forEach(([name, value]) =>
+          message.request_headers.append(name, expandTemplate(value, values)),
+        );
+        if (body !== null) {
+          message.set_request_body_from_bytes(
+            "application/json",
+            new GLib.Bytes(new TextEncoder().encode(body)),
+          );
+        }
+        this._fetch(message, done, cancellable);
+      },
+      callback,
+      cancellable,
+    );
+  }
+
+  /**
+   * Send an HTTP tool request and parse the response
+   * @param {Soup.Message} message - Request
+   * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Cancellable to stop the request
+   * @private
+   */
+  _fetch(message, callback, cancellable) {
     this._httpSession.send_and_read_async(
       message,
       GLib.PRIORITY_DEFAULT,
-      null,
+      cancellable,
       (session, result) => {
         try {
-          if (message.get_status() === Soup.Status.OK) {
-            const bytes = session.send_and_read_finish(result);
+          const bytes = session.send_and_read_finish(result);
+          const status = message.get_status();
+          if (status >= 200 && status < 300) {
             const decoder = new TextDecoder("utf-8");
-            const response = JSON.parse(decoder.decode(bytes.get_data()));
-            callback(null, response);
+            callback(null, parseOutput(decoder.decode(bytes.get_data())));
           } else {
-            callback(
-              new Error(
-                `HTTP ${message.get_status()}: ${message.get_reason_phrase()}`,
-              ),
-              null,
-            );
+            const error = createHttpError(message);
+            error.message = `HTTP ${status}: ${message.get_reason_phrase()}`;
+            callback(error, null);
           }
         } catch (error) {
           callback(error, null);
@@ -142,24 +735,50 @@ export class ToolExecutor {
   }
 
   /**
-   * Set weather parameters from settings
-   * @param {number} lat - Latitude
-   * @param {number} lon - Longitude
+   * Run a tool as a program, without a shell
+   * @param {object} executor - Executor ({ argv, stdin })
+   * @param {object} parameters - Tool arguments
+   * @param {Function} callback - Callback with (error, result)
+   * @param {Gio.Cancellable} cancellable - Cancellable that stops the program
+   * @private
    */
-  setWeatherParams(lat, lon) {
-    this._weatherLat = lat;
-    this._weatherLon = lon;
-  }
+  _runSubprocess(executor, parameters, callback, cancellable) {
+    const values = this._getTemplateValues(parameters);
+    const argv = executor.argv.map((arg) => expandTemplate(arg, values));
 
-  /**
-   * Get weather URL with configured parameters
-   * @returns {string} - Weather endpoint URL
-   */
-  _getWeatherUrl() {
-    if (this._weatherLat && this._weatherLon) {
-      return `${this._toolServerUrl}/weather?lat=${this._weatherLat}&lon=${this._weatherLon}`;
+    let flags =
+      Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE;
+    if (executor.stdin) {
+      flags |= Gio.SubprocessFlags.STDIN_PIPE;
     }
-    return `${this._toolServerUrl}/weather?lat=52.52&lon=13.41`; // Default: Berlin
+
+    const proc = Gio.Subprocess.new(argv, flags);
+    const cancelId = cancellable.connect("cancelled", () => proc.force_exit());
+
+    proc.communicate_utf8_async(
+      executor.stdin ? JSON.stringify(parameters) : null,
+      null,
+      (subprocess, result) => {
+        cancellable.disconnect(cancelId);
+        try {
+          const [, stdout, stderr] = subprocess.communicate_utf8_finish(result);
+          if (cancellable.is_cancelled()) {
+            callback(new Error("Tool cancelled"), null);
+          } else if (!subprocess.get_successful()) {
+            callback(
+              new Error(
+                `${argv[0]} exited with status ${subprocess.get_exit_status()}: ${(stderr || "").trim()}`,
+              ),
+              null,
+            );
+          } else {
+            callback(null, parseOutput(stdout || ""));
+          }
+        } catch (error) {
+          callback(error, null);
+        }
+      },
+    );
   }
 
   destroy() {
@@ -0,0 +1,250 @@
+/**
+ * Translate provider-neutral chat messages (see messages.js) into the
+ * message formats of the provider APIs. Metadata is never sent, and
+ * entries with roles the APIs do not know, such as context markers, are
+ * left out.
+ */
+import { LLMProviders, MessageRoles, PartTypes } from "./constants.js";
+import { readImageBase64 } from "./attachments.js";
+import {
+  getMessageImages,
+  getMessageParts,
+  getMessageText,
+} from "./messages.js";
+
+const SENT_ROLES = [
+  MessageRoles.USER,
+  MessageRoles.ASSISTANT,
+  MessageRoles.TOOL,
+];
+
+/**
+ * Translate messages into Anthropic Messages API messages
+ * @param {Array} history - Chat messages
+ * @param {Map} imageData - Attached images (see loadImages())
+ * @returns {Array} - Anthropic messages
+ */
+export function toAnthropicMessages(history, imageData) {
+  return sentMessages(history).map((message) => {
+    // Assistant turns with thinking blocks must be echoed back verbatim,
+    // except for empty text blocks, which are rejected
+    if (message.native?.provider === LLMProviders.ANTHROPIC) {
+      return {
+        role: MessageRoles.ASSISTANT,
+        content: message.native.content.filter(
+          (block) => block.type !== "text" || block.text,
+        ),
+      };
+    }
+
+    if (message.role === MessageRoles.TOOL) {
+      return {
+        role: MessageRoles.USER,
+        content: getMessageParts(message, PartTypes.TOOL_RESULT).map(
+          (result) => ({
+            type: "tool_result",
+            tool_use_id: toAnthropicToolId(result.id),
+            content: result.content,
+            is_error: result.isError,
+          }),
+        ),
+      };
+    }
+
+    const text = getMessageText(message);
+    const images = getLoadedImages(message, imageData);
+    const toolCalls = getMessageParts(message, PartTypes.TOOL_CALL);
+    return {
+      role: message.role,
+      content:
+        images.length === 0 && toolCalls.length === 0
+          ? text
+          : [
+              ...images.map(({ mimeType, data }) => ({
+                type: "image",
+                source: { type: "base64", media_type: mimeType, data },
+              })),
+              // Empty text blocks are rejected
+              ...(text ? [{ type: "text", text }] : []),
+              ...toolCalls.map((call) => ({
+                type: "tool_use",
+                id: toAnthropicToolId(call.id),
+                name: call.name,
+                input: call.arguments,
+              })),
+            ],
+    };
+  });
+}
+
+/**
+ * Translate messages into OpenAI chat completion messages
+ * @param {Array} history - Chat messages
+ * @param {Map} imageData - Attached images (see loadImages())
+ * @returns {Array} - Chat completion messages, without a system prompt
+ */
+export function toOpenAIMessages(history, imageData) {
+  return sentMessages(history).flatMap((message) => {
+    // Each tool result is a message of its own
+    if (message.role === MessageRoles.TOOL) {
+      return getMessageParts(message, PartTypes.TOOL_RESULT).map((result) => ({
+        role: "tool",
+        tool_call_id: result.id,
+        content: result.content,
+      }));
+    }
+
+    const text = getMessageText(message);
+    const toolCalls = getMessageParts(message, PartTypes.TOOL_CALL);
+    if (toolCalls.length > 0) {
+      return [
+        {
+          role: MessageRoles.ASSISTANT,
+          content: text || null,
+          tool_calls: toolCalls.map((call) => ({
+            id: call.id,
+            type: "function",
+            function: {
+              name: call.name,
+              arguments: JSON.stringify(call.arguments),
+            },
+          })),
+        },
+      ];
+    }
+
+    const images = getLoadedImages(message, imageData);
+    return [
+      {
+        role: message.role,
+        content:
+          images.length === 0
+            ? text
+            : [
+                ...(text ? [{ type: "text", text }] : []),
+                ...images.map(({ mimeType, data }) => ({
+                  type: "image_url",
+                  image_url: { url: `data:${mimeType};base64,${data}` },
+                })),
+              ],
+      },
+    ];
+  });
+}
+
+/**
+ * Translate messages into Gemini contents
+ * @param {Array} history - Chat messages
+ * @param {Map} imageData - Attached images (see loadImages())
+ * @returns {Array} - Gemini contents
+ */
+export function toGeminiContents(history, imageData) {
+  return sentMessages(history).map((message) => {
+    // Model turns are echoed back verbatim to keep thought signatures
+    if (message.native?.provider === LLMProviders.GEMINI) {
+      return { role: "model", parts: message.native.content };
+    }
+
+    if (message.role === MessageRoles.TOOL) {
+      return {
+        role: MessageRoles.USER,
+        parts: getMessageParts(message, PartTypes.TOOL_RESULT).map(
+          (result) => ({
+            functionResponse: {
+              name: result.name,
+              response: toGeminiResponse(result),
+            },
+          }),
+        ),
+      };
+    }
+
+    const text = getMessageText(message);
+    const others = [
+      ...getLoadedImages(message, imageData).map(({ mimeType, data }) => ({
+        inlineData: { mimeType, data },
+      })),
+      ...getMessageParts(message, PartTypes.TOOL_CALL).map((call) => ({
+        functionCall: { name: call.name, args: call.arguments },
+      })),
+    ];
+    return {
+      role: message.role === MessageRoles.USER ? MessageRoles.USER : "model",
+      parts: text || others.length === 0 ? [{ text }, ...others] : others,
+    };
+  });
+}
+
+/**
+ * Pick the messages the APIs understand
+ * @param {Array} history - Chat history
+ * @returns {Array} - Messages to send
+ */
+function sentMessages(history) {
+  return history.filter((message) => SENT_ROLES.includes(message.role));
+}
+
+/**
+ * Load the images attached to the messages for sending, reading the files
+ * asynchronously so that the shell is not held up
+ * @param {Array} history - Chat messages
+ * @param {Gio.Cancellable} cancellable - Optional cancellable to stop reading
+ * @returns {Promise<Map>} - Base64 data keyed by image path; images whose
+ *   file is gone are left out
+ */
+export async function loadImages(history, cancellable = null) {
+  const paths = new Set(
+    sentMessages(history).flatMap((message) =>
+      getMessageImages(message).map(({ path }) => path),
+    ),
+  );
+
+  const images = new Map();
+  for (const path of paths) {
+    const data = await readImageBase64({ path }, cancellable);
+    if (data) {
+      images.set(path, data);
+    }
+  }
+  return images;
+}
+
+/**
+ * Get the images attached to a message for sending
+ * @param {object} message - Chat message
+ * @param {Map} imageData - Base64 data keyed by path (see loadImages())
+ * @returns {Array} - Images ({ mimeType, data }) with base64 data; images
+ *   that could not be loaded are left out
+ */
+function getLoadedImages(message, imageData) {
+  return getMessageImages(message)
+    .filter(({ path }) => imageData.has(path))
+    .map(({ path, mimeType }) => ({ mimeType, data: imageData.get(path) }));
+}
+
+/**
+ * Make a tool call id from another provider acceptable to Anthropic, which
+ * only allows letters, digits, underscores and hyphens
+ * @param {string} id - Tool call id
+ * @returns {string} - Anthropic tool use id
+ */
+function toAnthropicToolId(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, "_");
+}
+
+/**
+ * Build the response object of a Gemini function response
+ * @param {object} result - Tool result part
+ * @returns {object} - Response ({ result } or { error })
+ */
+function toGeminiResponse(result) {
+  if (result.isError) {
+    return { error: result.content };
+  }
+
+  try {
+    return { result: JSON.parse(result.content) };
+  } catch (e) {
+    return { result: result.content };
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Get the key under which the usage of a day is stored
+ * @param {Date} date - Day (default: today)
+ * @returns {string} - Local date as YYYY-MM-DD
+ */
+export function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Find the price of a model
+ * @param {Array} prices - Prices ({ model, input, output })
+ * @param {string} model - Model name, optionally with a vendor prefix
+ *   such as OpenRouter's "anthropic/"
+ * @returns {object|null} - Price ({ model, input, output }), null if unknown
+ */
+export function findModelPrice(prices, model) {
+  const name = (model || "").toLowerCase();
+  const bareName = name.split("/").pop();
+
+  let match = null;
+  for (const price of prices) {
+    const prefix = price.model.toLowerCase();
+    if (
+      (name.startsWith(prefix) || bareName.startsWith(prefix)) &&
+      prefix.length > (match?.model.length ?? -1)
+    ) {
+      match = price;
+    }
+  }
+  return match;
+}
+
+/**
+ * Calculate the cost of a request
+ * @param {object|null} price - Price in US dollars per million tokens
+ *   ({ input, output })
+ * @param {object} usage - Usage ({ inputTokens, outputTokens })
+ * @returns {number} - Cost in US dollars, 0 without a price
+ */
+export function calculateCost(price, usage) {
+  if (!price) {
+    return 0;
+  }
+
+  return (
+    (usage.inputTokens * (price.input || 0) +
+      usage.outputTokens * (price.output || 0)) /
+    1000000
+  );
+}
+
+/**
+ * Format a cost in US dollars, with more digits for fractions of a cent
+ * @param {number} cost - Cost in US dollars
+ * @returns {string} - Formatted cost
+ */
+export function formatCost(cost) {
+  const digits = cost > 0 && cost < 0.01 ? 4 : 2;
+  return `$${cost.toFixed(digits)}`;
+}
+
+/**
+ * Add the usage of a request to the daily statistics
+ * @param {object} stats - Statistics keyed by day, then by "provider model"
+ * @param {string} day - Day key (see getDayKey)
+ * @param {object} entry - Usage ({ provider, model, inputTokens,
+ *   outputTokens, cost })
+ * @returns {object} - Updated statistics
+ */
+export function addUsage(stats, day, entry) {
+  const dayStats = (stats[day] ??= {});
+  const key = `${entry.provider} ${entry.model}`;
+  const total = (dayStats[key] ??= {
+    provider: entry.provider,
+    model: entry.model,
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cost: 0,
+  });
+
+  total.requests++;
+  total.inputTokens += entry.inputTokens;
+  total.outputTokens += entry.outputTokens;
+  total.cost += entry.cost;
+  return stats;
+}
+
+/**
+ * Sum up the usage of the days matching a prefix
+ * @param {object} stats - Statistics keyed by day
+ * @param {string} prefix - Day key prefix, e.g. "2024-05" for a month
+ *   or a full day key for a single day
+ * @returns {object} - Totals ({ requests, inputTokens, outputTokens, cost,
+ *   models }) where models lists the totals per provider and model
+ */
+export function getUsageTotals(stats, prefix) {
+  const totals = {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cost: 0,
+    models: {},
+  };
+
+  for (const [day, dayStats] of Object.entries(stats)) {
+    if (!day.startsWith(prefix)) {
+      continue;
+    }
+
+    for (const [key, entry] of Object.entries(dayStats)) {
+      totals.requests += entry.requests;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.cost += entry.cost;
+
+      const model = (totals.models[key] ??= {
+        provider: entry.provider,
+        model: entry.model,
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+      });
+      model.requests += entry.requests;
+      model.inputTokens += entry.inputTokens;
+      model.outputTokens += entry.outputTokens;
+      model.cost += entry.cost;
+    }
+  }
+
+  totals.models = Object.values(totals.models).sort((a, b) => b.cost - a.cost);
+  return totals;
+}
+
+/**
+ * Find the budgets that have been used up
+ * @param {object} stats - Statistics keyed by day
+ * @param {object} budget - Budgets in US dollars ({ daily, monthly }),
+ *   0 for none
+ * @param {Date} date - Day to check (default: today)
+ * @returns {Array} - Used up budgets ({ period, limit, spent }) where period
+ *   is "daily" or "monthly"
+ */
+export function getExceededBudgets(stats, budget, date = new Date()) {
+  const day = getDayKey(date);
+  const periods = [
+    { period: "daily", limit: budget.daily, prefix: day },
+    { period: "monthly", limit: budget.monthly, prefix: day.slice(0, 7) },
+  ];
+
+  return periods
+    .filter(({ limit }) => limit > 0)
+    .map(({ period, limit, prefix }) => ({
+      period,
+      limit,
+      spent: getUsageTotals(stats, prefix).cost,
+    }))
+    .filter(({ limit, spent }) => spent >= limit);
+}
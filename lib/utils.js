@@ -3,23 +3,30 @@ import GLib from "gi://GLib";
 import Meta from "gi://Meta";
 import Shell from "gi://Shell";
 import * as Main from "resource:///org/gnome/shell/ui/main.js";
+import { SettingsKeys } from "./constants.js";
 
 /**
  * Sets up a keyboard shortcut
  * @param {string} shortcut - Keyboard shortcut string
  * @param {object} settings - Extension settings
  * @param {Function} callback - Callback to run when shortcut is pressed
+ * @param {string} key - Settings key holding the shortcut
  * @returns {boolean} - Whether shortcut was successfully bound
  */
 
-export function setupShortcut(shortcut, settings, callback) {
+export function setupShortcut(
+  shortcut,
+  settings,
+  callback,
+  key = SettingsKeys.OPEN_CHAT_SHORTCUT,
+) {
   if (!shortcut) {
     return false;
   }
 
   try {
     Main.wm.addKeybinding(
-      "open-chat-shortcut",
+      key,
       settings,
       Meta.KeyBindingFlags.NONE,
       Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
@@ -34,10 +41,11 @@ export function setupShortcut(shortcut, settings, callback) {
 
 /**
  * Removes a keyboard shortcut
+ * @param {string} key - Settings key holding the shortcut
  */
-export function removeShortcut() {
+export function removeShortcut(key = SettingsKeys.OPEN_CHAT_SHORTCUT) {
   try {
-    Main.wm.removeKeybinding("open-chat-shortcut");
+    Main.wm.removeKeybinding(key);
   } catch (e) {
     logError(e, "Failed to remove keyboard shortcut");
   }
@@ -55,6 +63,30 @@ export function formatString(format, ...args) {
   });
 }
 
+/**
+ * Expand the {{variable}} placeholders of a prompt template. Supported
+ * variables: date, time, weekday, timezone, hostname, username, locale.
+ * Unknown variables are left untouched.
+ * @param {string} template - Prompt with placeholders
+ * @returns {string} - Prompt with the current values filled in
+ */
+export function expandPromptTemplate(template) {
+  const now = GLib.DateTime.new_now_local();
+  const variables = {
+    date: now.format("%Y-%m-%d"),
+    time: now.format("%H:%M"),
+    weekday: now.format("%A"),
+    timezone: now.get_timezone_abbreviation(),
+    hostname: GLib.get_host_name(),
+    username: GLib.get_user_name(),
+    locale: GLib.get_language_names()[0],
+  };
+
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    name in variables ? variables[name] : match,
+  );
+}
+
 /**
  * Safely schedule a function to run after a delay
  * @param {Function} func - Function to call
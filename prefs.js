@@ -8,13 +8,29 @@
 import Gtk from "gi://Gtk";
 import Adw from "gi://Adw";
 import GLib from "gi://GLib";
+import Gio from "gi://Gio";
 import Gdk from "gi://Gdk";
 
 import {
   ExtensionPreferences,
   gettext as _,
 } from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
-import { SettingsKeys, LLMProviders } from "./lib/constants.js";
+import {
+  SettingsKeys,
+  LLMProviders,
+  ProviderDefaults,
+  GenerationDefaults,
+  ContextStrategies,
+  BudgetActions,
+  DefaultModelPrices,
+  McpTransports,
+  ToolPolicies,
+} from "./lib/constants.js";
+import { SettingsManager } from "./lib/settings.js";
+import { LLMProviderFactory } from "./lib/llmProviders.js";
+import { formatCost, getDayKey, getUsageTotals } from "./lib/usage.js";
+import { ToolRegistry, getToolManifestDir } from "./lib/tools.js";
+import { McpClient } from "./lib/mcp.js";
 
 /**
  * Extension preferences management class
@@ -25,35 +41,6 @@ export default class PenguinPreferences extends ExtensionPreferences {
    * @private
    */
   _loadCurrentSettings() {
-    // Provider settings
-    this.defaultProvider = this._settings.get_string(SettingsKeys.LLM_PROVIDER);
-
-    // API keys
-    this.defaultAnthropicKey = this._settings.get_string(
-      SettingsKeys.ANTHROPIC_API_KEY,
-    );
-    this.defaultOpenAIKey = this._settings.get_string(
-      SettingsKeys.OPENAI_API_KEY,
-    );
-    this.defaultGeminiKey = this._settings.get_string(
-      SettingsKeys.GEMINI_API_KEY,
-    );
-    this.defaultOpenRouterKey = this._settings.get_string(
-      SettingsKeys.OPENROUTER_API_KEY,
-    );
-
-    // Models
-    this.defaultModel = this._settings.get_string(SettingsKeys.ANTHROPIC_MODEL);
-    this.defaultOpenAIModel = this._settings.get_string(
-      SettingsKeys.OPENAI_MODEL,
-    );
-    this.defaultGeminiModel = this._settings.get_string(
-      SettingsKeys.GEMINI_MODEL,
-    );
-    this.defaultOpenRouterModel = this._settings.get_string(
-      SettingsKeys.OPENROUTER_MODEL,
-    );
-
     // Colors
     this.defaultHumanColor = this._settings.get_string(
       SettingsKeys.HUMAN_MESSAGE_COLOR,
@@ -68,11 +55,6 @@ export default class PenguinPreferences extends ExtensionPreferences {
       SettingsKeys.LLM_MESSAGE_TEXT_COLOR,
     );
 
-    // Shortcut
-    this.defaultShortcut = this._settings.get_strv(
-      SettingsKeys.OPEN_CHAT_SHORTCUT,
-    )[0];
-
     // Tool server settings
     this.defaultToolServerUrl = this._settings.get_string(
       SettingsKeys.TOOL_SERVER_URL,
@@ -83,177 +65,885 @@ export default class PenguinPreferences extends ExtensionPreferences {
     this.defaultWeatherLon = this._settings.get_double(
       SettingsKeys.WEATHER_LONGITUDE,
     );
+
+    // System prompt
+    this.defaultSystemPrompt = this._settings.get_string(
+      SettingsKeys.SYSTEM_PROMPT,
+    );
+
+    // Retry settings
+    this.defaultRetryMaxAttempts = this._settings.get_int(
+      SettingsKeys.RETRY_MAX_ATTEMPTS,
+    );
+
+    // Context window settings
+    this.defaultContextStrategy = this._settings.get_string(
+      SettingsKeys.CONTEXT_STRATEGY,
+    );
+    this.defaultContextLimit = this._settings.get_int(
+      SettingsKeys.CONTEXT_LIMIT,
+    );
+    this.defaultContextWindowMessages = this._settings.get_int(
+      SettingsKeys.CONTEXT_WINDOW_MESSAGES,
+    );
+
+    // Usage budget
+    this.defaultUsageBudget = this._settingsManager.getUsageBudget();
+  }
+
+  /**
+   * Get the selectable providers with their labels and documentation links
+   * @returns {Array} - Provider choices ({ id, label, keyUrl, modelsUrl })
+   * @private
+   */
+  _getProviderChoices() {
+    return [
+      {
+        id: LLMProviders.ANTHROPIC,
+        label: _("Anthropic"),
+        keyUrl: "https://console.anthropic.com/account/keys",
+        modelsUrl: "https://docs.anthropic.com/claude/docs/models-overview",
+      },
+      {
+        id: LLMProviders.OPENAI,
+        label: _("OpenAI"),
+        keyUrl: "https://platform.openai.com/api-keys",
+        modelsUrl: "https://platform.openai.com/docs/models",
+      },
+      {
+        id: LLMProviders.GEMINI,
+        label: _("Gemini"),
+        keyUrl: "https://makersuite.google.com/app/apikey",
+        modelsUrl: "https://ai.google.dev/models/gemini",
+      },
+      {
+        id: LLMProviders.OPENROUTER,
+        label: _("OpenRouter"),
+        keyUrl: "https://openrouter.ai/settings/keys",
+        modelsUrl: "https://openrouter.ai/models",
+      },
+      {
+        id: LLMProviders.LOCAL,
+        label: _("Local (Ollama / OpenAI-compatible)"),
+        keyUrl: "",
+        modelsUrl: "https://ollama.com/library",
+      },
+    ];
+  }
+
+  /**
+   * Create the endpoint profile section
+   * @private
+   */
+  _createProfileSection(group) {
+    this._profileGroup = group;
+    this._profiles = this._settingsManager.getProfiles();
+    this._activeProfileId = this._settingsManager.getActiveProfile()?.id ?? "";
+    this._profileRows = [];
+
+    // Active profile
+    this.activeProfileRow = new Adw.ComboRow({
+      title: _("Active Profile:"),
+    });
+    this.activeProfileRow.set_tooltip_text(
+      _("Select the profile used for chatting."),
+    );
+    group.add(this.activeProfileRow);
+
+    // Add profile button
+    const addButton = new Gtk.Button({
+      icon_name: "list-add-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Add Profile"),
+    });
+    addButton.add_css_class("flat");
+    group.set_header_suffix(addButton);
+
+    addButton.connect("clicked", () => {
+      this._collectProfiles();
+      this._profiles.push(
+        SettingsManager.createProfile(_("New Profile"), LLMProviders.OPENAI),
+      );
+      this._rebuildProfileRows();
+    });
+
+    this._rebuildProfileRows();
   }
 
   /**
-   * Create the LLM provider selection section
+   * Recreate one expander row per profile and refresh the active profile list
    * @private
    */
-  _createProviderSection(group) {
-    const adwrow = new Adw.ComboRow({ title: _("Choose LLM Provider:") });
-    adwrow.set_tooltip_text(
-      _("Select the Large Language Model (LLM) provider you want to use."),
+  _rebuildProfileRows() {
+    this._profileRows.forEach(({ row }) => this._profileGroup.remove(row));
+    this._profileRows = this._profiles.map((profile) =>
+      this._createProfileRow(profile),
     );
-    group.add(adwrow);
 
-    const providerList = new Gtk.StringList();
-    providerList.append(_("Anthropic"));
-    providerList.append(_("OpenAI"));
-    providerList.append(_("Gemini"));
-    providerList.append(_("OpenRouter"));
-
-    adwrow.set_model(providerList);
-    // Set the default provider
-    let defaultProviderIndex = 0; // Default to Anthropic
-    const providers = [
-      LLMProviders.ANTHROPIC,
-      LLMProviders.OPENAI,
-      LLMProviders.GEMINI,
-      LLMProviders.OPENROUTER,
-    ];
+    const names = new Gtk.StringList();
+    this._profiles.forEach((profile) => names.append(profile.name));
+    this.activeProfileRow.set_model(names);
 
-    for (let i = 0; i < providers.length; i++) {
-      if (providers[i] === this.defaultProvider) {
-        defaultProviderIndex = i;
-        break;
-      }
+    const activeIndex = this._profiles.findIndex(
+      (profile) => profile.id === this._activeProfileId,
+    );
+    this.activeProfileRow.set_selected(Math.max(activeIndex, 0));
+
+    // The fallback chain lists the profiles by name
+    if (this._fallbackRows) {
+      this._rebuildFallbackRows();
+    }
+
+    // Personas offer the profiles as their preferred profile
+    if (this._personaRows) {
+      this._collectPersonas();
+      this._rebuildPersonaRows();
     }
-    adwrow.set_selected(defaultProviderIndex);
-    this.provider = adwrow;
   }
 
   /**
-   * Create the API key section
+   * Create the editor rows for a single profile
+   * @param {object} profile - Profile to edit
+   * @returns {object} - Row and a function reading the edited profile back
    * @private
    */
-  _createAPIKeySection(group) {
-    // Anthropic API Key
-    this.anthropicApiKey = new Adw.PasswordEntryRow({
-      title: _("Anthropic API Key:"),
+  _createProfileRow(profile) {
+    const choices = this._getProviderChoices();
+    const choiceFor = (id) =>
+      choices.find((choice) => choice.id === id) || choices[0];
+
+    const row = new Adw.ExpanderRow({
+      title: profile.name,
+      subtitle: `${choiceFor(profile.provider).label} · ${profile.model}`,
+      use_markup: false,
+    });
+    this._profileGroup.add(row);
+
+    // Name
+    const nameRow = new Adw.EntryRow({ title: _("Name:") });
+    nameRow.set_text(profile.name);
+    nameRow.connect("changed", () => row.set_title(nameRow.get_text()));
+    row.add_row(nameRow);
+
+    // Provider
+    const providerList = new Gtk.StringList();
+    choices.forEach((choice) => providerList.append(choice.label));
+    const providerRow = new Adw.ComboRow({
+      title: _("Provider:"),
+      model: providerList,
     });
-    this.anthropicApiKey.set_tooltip_text(
-      _("Enter your Anthropic API key here."),
+    providerRow.set_selected(
+      Math.max(
+        choices.findIndex((choice) => choice.id === profile.provider),
+        0,
+      ),
+    );
+    row.add_row(providerRow);
+
+    // Base URL
+    const baseUrlRow = new Adw.EntryRow({ title: _("Base URL:") });
+    baseUrlRow.set_tooltip_text(
+      _(
+        "Base URL of the provider API. Change it to use a proxy or a self-hosted server.",
+      ),
     );
-    group.add(this.anthropicApiKey);
-    this.anthropicApiKey.set_text(this.defaultAnthropicKey);
+    baseUrlRow.set_text(profile.baseUrl);
+    row.add_row(baseUrlRow);
 
-    const howToAnthropicAPI = new Gtk.LinkButton({
-      label: _("Get Anthropic API Key"),
-      uri: "https://console.anthropic.com/account/keys",
+    // API key
+    const apiKeyRow = new Adw.PasswordEntryRow({ title: _("API Key:") });
+    apiKeyRow.set_tooltip_text(
+      _("Enter the API key for this profile. Local servers may not need one."),
+    );
+    apiKeyRow.set_text(profile.apiKey);
+    const keyLink = new Gtk.LinkButton({
+      label: _("Get API Key"),
+      valign: Gtk.Align.CENTER,
     });
-    this.anthropicApiKey.add_suffix(howToAnthropicAPI);
-    // OpenAI API Key
-    this.openaiApiKey = new Adw.PasswordEntryRow({
-      title: _("OpenAI API Key:"),
+    apiKeyRow.add_suffix(keyLink);
+    row.add_row(apiKeyRow);
+
+    // Model
+    const modelRow = new Adw.EntryRow({ title: _("Model:") });
+    modelRow.set_tooltip_text(_("Specify the model you want to use."));
+    modelRow.set_text(profile.model);
+    const modelsLink = new Gtk.LinkButton({
+      label: _("Available Models"),
+      valign: Gtk.Align.CENTER,
     });
-    this.openaiApiKey.set_tooltip_text(_("Enter your OpenAI API key here."));
-    this.openaiApiKey.set_text(this.defaultOpenAIKey);
+    modelRow.add_suffix(modelsLink);
+    row.add_row(modelRow);
 
-    const howToOpenAIAPI = new Gtk.LinkButton({
-      label: _("Get OpenAI API Key"),
-      uri: "https://platform.openai.com/api-keys",
+    // Generation parameters
+    const params = profile.params || {};
+    const temperatureRow = new Adw.EntryRow({
+      title: _("Temperature (optional):"),
     });
-    this.openaiApiKey.add_suffix(howToOpenAIAPI);
-    // Gemini API Key
-    this.geminiApiKey = new Adw.PasswordEntryRow({
-      title: _("Gemini API Key:"),
+    temperatureRow.set_text(params.temperature?.toString() ?? "");
+    row.add_row(temperatureRow);
+
+    const maxTokensRow = new Adw.EntryRow({
+      title: _("Max Tokens (optional):"),
     });
+    maxTokensRow.set_text(params.maxTokens?.toString() ?? "");
+    row.add_row(maxTokensRow);
 
-    this.geminiApiKey.set_tooltip_text(_("Enter your Gemini API key here."));
-    group.add(this.geminiApiKey);
-    this.geminiApiKey.set_text(this.defaultGeminiKey);
+    const topPRow = new Adw.EntryRow({ title: _("Top P (optional):") });
+    topPRow.set_text(params.topP?.toString() ?? "");
+    row.add_row(topPRow);
 
-    const howToGeminiAPI = new Gtk.LinkButton({
-      label: _("Get Gemini API Key"),
-      uri: "https://makersuite.google.com/app/apikey",
+    // Remove
+    const removeButton = new Gtk.Button({
+      label: _("Remove Profile"),
+      valign: Gtk.Align.CENTER,
     });
-    this.geminiApiKey.add_suffix(howToGeminiAPI);
-    // OpenRouter API Key
-    this.openrouterApiKey = new Adw.PasswordEntryRow({
-      title: _("OpenRouter API Key:"),
+    removeButton.add_css_class("destructive-action");
+    removeButton.set_sensitive(this._profiles.length > 1);
+    removeButton.connect("clicked", () => {
+      this._collectProfiles();
+      this._profiles = this._profiles.filter(({ id }) => id !== profile.id);
+      this._rebuildProfileRows();
     });
+    const removeRow = new Adw.ActionRow();
+    removeRow.add_suffix(removeButton);
+    row.add_row(removeRow);
 
-    this.openrouterApiKey.set_tooltip_text(
-      _("Enter your OpenRouter API key here."),
-    );
-    group.add(this.openrouterApiKey);
-    this.openrouterApiKey.set_text(this.defaultOpenRouterKey);
+    // Keep links and defaults in line with the selected provider
+    const updateLinks = () => {
+      const choice = choices[providerRow.get_selected()];
+      keyLink.set_uri(choice.keyUrl || choice.modelsUrl);
+      keyLink.set_visible(Boolean(choice.keyUrl));
+      modelsLink.set_uri(choice.modelsUrl);
+    };
+    updateLinks();
+
+    let previousProvider = profile.provider;
+    providerRow.connect("notify::selected", () => {
+      const provider = choices[providerRow.get_selected()].id;
+      const oldDefaults = ProviderDefaults[previousProvider] || {};
+      const newDefaults = ProviderDefaults[provider];
 
-    const howToOpenRouterAPI = new Gtk.LinkButton({
-      label: _("Get OpenRouter API Key"),
-      uri: "https://openrouter.ai/settings/keys",
+      // Only replace values the user has not customised
+      if (
+        !baseUrlRow.get_text() ||
+        baseUrlRow.get_text() === oldDefaults.baseUrl
+      ) {
+        baseUrlRow.set_text(newDefaults.baseUrl);
+      }
+      if (!modelRow.get_text() || modelRow.get_text() === oldDefaults.model) {
+        modelRow.set_text(newDefaults.model);
+      }
+
+      previousProvider = provider;
+      updateLinks();
+    });
+
+    const parseNumber = (entry, parse) => {
+      const value = parse(entry.get_text());
+      return Number.isFinite(value) ? value : undefined;
+    };
+
+    const read = () => ({
+      ...profile,
+      name: nameRow.get_text() || _("Unnamed Profile"),
+      provider: choices[providerRow.get_selected()].id,
+      baseUrl: baseUrlRow.get_text(),
+      apiKey: apiKeyRow.get_text(),
+      model: modelRow.get_text(),
+      params: {
+        temperature: parseNumber(temperatureRow, Number.parseFloat),
+        maxTokens: parseNumber(maxTokensRow, Number.parseInt),
+        topP: parseNumber(topPRow, Number.parseFloat),
+      },
     });
-    this.openrouterApiKey.add_suffix(howToOpenRouterAPI);
+
+    this._attachModelPicker(modelRow, read);
+
+    return { row, read };
   }
 
   /**
-   * Create the model selection section
+   * Add a searchable list of the provider's models to a model entry. The
+   * entry stays editable so that unlisted models can still be typed in.
+   * @param {Adw.EntryRow} modelRow - Model entry
+   * @param {Function} readProfile - Returns the profile as currently edited
    * @private
    */
-  _createModelSection(group) {
-    // Anthropic Model
-    this.model = new Adw.EntryRow({
-      title: _("Anthropic Model:"),
+  _attachModelPicker(modelRow, readProfile) {
+    const searchEntry = new Gtk.SearchEntry({
+      placeholder_text: _("Search models"),
+      hexpand: true,
     });
-    this.model.set_tooltip_text(
-      _("Specify the Anthropic model you want to use. Example: claude-v1.3"),
-    );
-    group.add(this.model);
-    this.model.set_text(this.defaultModel);
+    const refreshButton = new Gtk.Button({
+      icon_name: "view-refresh-symbolic",
+      tooltip_text: _("Refresh Models"),
+    });
+    const header = new Gtk.Box({ spacing: 6 });
+    header.append(searchEntry);
+    header.append(refreshButton);
+
+    const status = new Gtk.Label({
+      wrap: true,
+      xalign: 0,
+      max_width_chars: 40,
+      visible: false,
+    });
+    status.add_css_class("dim-label");
+
+    const listBox = new Gtk.ListBox({
+      selection_mode: Gtk.SelectionMode.NONE,
+    });
+    const scrolled = new Gtk.ScrolledWindow({
+      child: listBox,
+      min_content_height: 240,
+      min_content_width: 320,
+      hscrollbar_policy: Gtk.PolicyType.NEVER,
+    });
+
+    const box = new Gtk.Box({
+      orientation: Gtk.Orientation.VERTICAL,
+      spacing: 6,
+    });
+    box.append(header);
+    box.append(status);
+    box.append(scrolled);
+
+    const popover = new Gtk.Popover({ child: box });
+    const menuButton = new Gtk.MenuButton({
+      icon_name: "pan-down-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Choose a Model"),
+      popover: popover,
+    });
+    menuButton.add_css_class("flat");
+    modelRow.add_suffix(menuButton);
+
+    let models = [];
+    const showStatus = (text) => {
+      status.set_label(text);
+      status.set_visible(Boolean(text));
+    };
+    const populate = () => {
+      listBox.remove_all();
+      const query = searchEntry.get_text().trim().toLowerCase();
+      models
+        .filter((model) => model.toLowerCase().includes(query))
+        .forEach((model) =>
+          listBox.append(new Gtk.Label({ label: model, xalign: 0 })),
+        );
+    };
+    const choose = (model) => {
+      modelRow.set_text(model);
+      popover.popdown();
+    };
+
+    const load = (force) => {
+      const profile = readProfile();
+      const cached = force
+        ? null
+        : this._settingsManager.getCachedModels(
+            profile.provider,
+            profile.baseUrl,
+          );
+      if (cached) {
+        models = cached;
+        showStatus("");
+        populate();
+        return;
+      }
+
+      showStatus(_("Loading models..."));
+      LLMProviderFactory.createProviderFromProfile(profile).listModels(
+        (error, result) => {
+          if (error) {
+            models = [];
+            showStatus(`${_("Could not load models:")} ${error.message}`);
+          } else {
+            models = result;
+            this._settingsManager.setCachedModels(
+              profile.provider,
+              profile.baseUrl,
+              result,
+            );
+            showStatus(result.length === 0 ? _("No models found.") : "");
+          }
+          populate();
+        },
+      );
+    };
 
-    const howToModel = new Gtk.LinkButton({
-      label: _("Available Anthropic Models"),
-      uri: "https://docs.anthropic.com/claude/docs/models-overview",
+    listBox.connect("row-activated", (self, row) =>
+      choose(row.get_child().get_label()),
+    );
+    searchEntry.connect("search-changed", populate);
+    // Enter picks the first match, or takes the text as a custom model
+    searchEntry.connect("activate", () => {
+      const first = listBox.get_row_at_index(0);
+      const text = searchEntry.get_text().trim();
+      if (first) {
+        choose(first.get_child().get_label());
+      } else if (text) {
+        choose(text);
+      }
     });
-    this.model.add_suffix(howToModel);
-    // OpenAI Model
-    this.openaiModel = new Adw.EntryRow({
-      title: _("OpenAI Model:"),
+    refreshButton.connect("clicked", () => load(true));
+    popover.connect("show", () => {
+      searchEntry.set_text("");
+      load(false);
+      searchEntry.grab_focus();
     });
-    this.openaiModel.set_tooltip_text(
-      _("Specify the OpenAI model you want to use. Example: gpt-3.5-turbo"),
+  }
+
+  /**
+   * Read the edited profiles and active selection back from the rows
+   * @private
+   */
+  _collectProfiles() {
+    const active = this._profiles[this.activeProfileRow.get_selected()];
+    if (active) {
+      this._activeProfileId = active.id;
+    }
+    this._profiles = this._profileRows.map(({ read }) => read());
+  }
+
+  /**
+   * Create the fallback chain section
+   * @private
+   */
+  _createFallbackSection(group) {
+    this._fallbackGroup = group;
+    this._fallbackRows = [];
+
+    // Enabled fallbacks in their order, followed by the remaining profiles
+    const enabledIds = this._settingsManager.getFallbackProfileIds();
+    this._fallbackEntries = enabledIds.map((id) => ({ id, enabled: true }));
+
+    this._rebuildFallbackRows();
+  }
+
+  /**
+   * Recreate one row per profile, keeping the fallback order and switches
+   * @private
+   */
+  _rebuildFallbackRows() {
+    this._fallbackRows.forEach((row) => this._fallbackGroup.remove(row));
+
+    // Drop deleted profiles and list new ones as disabled at the end
+    const profileIds = this._profiles.map(({ id }) => id);
+    this._fallbackEntries = this._fallbackEntries.filter(({ id }) =>
+      profileIds.includes(id),
     );
-    group.add(this.openaiModel);
-    this.openaiModel.set_text(this.defaultOpenAIModel);
+    profileIds
+      .filter((id) => !this._fallbackEntries.some((entry) => entry.id === id))
+      .forEach((id) => this._fallbackEntries.push({ id, enabled: false }));
+
+    this._fallbackRows = this._fallbackEntries.map((entry, index) => {
+      const profile = this._profiles.find(({ id }) => id === entry.id);
+      const row = new Adw.ActionRow({
+        title: profile.name,
+        use_markup: false,
+      });
+
+      const toggle = new Gtk.Switch({
+        active: entry.enabled,
+        valign: Gtk.Align.CENTER,
+        tooltip_text: _("Use as fallback"),
+      });
+      toggle.connect("notify::active", () => {
+        entry.enabled = toggle.get_active();
+      });
+
+      const moveUpButton = new Gtk.Button({
+        icon_name: "go-up-symbolic",
+        valign: Gtk.Align.CENTER,
+        tooltip_text: _("Move Up"),
+        sensitive: index > 0,
+      });
+      const moveDownButton = new Gtk.Button({
+        icon_name: "go-down-symbolic",
+        valign: Gtk.Align.CENTER,
+        tooltip_text: _("Move Down"),
+        sensitive: index < this._fallbackEntries.length - 1,
+      });
+      const move = (offset) => {
+        const [moved] = this._fallbackEntries.splice(index, 1);
+        this._fallbackEntries.splice(index + offset, 0, moved);
+        this._rebuildFallbackRows();
+      };
+      moveUpButton.add_css_class("flat");
+      moveDownButton.add_css_class("flat");
+      moveUpButton.connect("clicked", () => move(-1));
+      moveDownButton.connect("clicked", () => move(1));
+
+      row.add_suffix(moveUpButton);
+      row.add_suffix(moveDownButton);
+      row.add_suffix(toggle);
+      row.set_activatable_widget(toggle);
+      this._fallbackGroup.add(row);
+      return row;
+    });
+  }
+
+  /**
+   * Create the persona library section
+   * @private
+   */
+  _createPersonaSection(group) {
+    this._personaGroup = group;
+    this._personas = this._settingsManager.getPersonas();
+    this._personaRows = [];
+
+    const addButton = new Gtk.Button({
+      icon_name: "list-add-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Add Persona"),
+    });
+    addButton.add_css_class("flat");
+    addButton.connect("clicked", () => {
+      this._collectPersonas();
+      this._personas.push(SettingsManager.createPersona(_("New Persona")));
+      this._rebuildPersonaRows();
+    });
 
-    const howToOpenAIModel = new Gtk.LinkButton({
-      label: _("Available OpenAI Models"),
-      uri: "https://platform.openai.com/docs/models",
+    const importButton = new Gtk.Button({
+      icon_name: "document-open-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Import Personas"),
     });
-    this.openaiModel.add_suffix(howToOpenAIModel);
-    // Gemini Model
-    this.geminiModel = new Adw.EntryRow({
-      title: _("Gemini Model:"),
+    importButton.add_css_class("flat");
+    importButton.connect("clicked", () => this._importPersonas());
+
+    const exportButton = new Gtk.Button({
+      icon_name: "document-save-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Export Personas"),
     });
-    this.geminiModel.set_tooltip_text(
-      _("Specify the Gemini model you want to use. Example: gemini-1.0-pro"),
+    exportButton.add_css_class("flat");
+    exportButton.connect("clicked", () => this._exportPersonas());
+
+    const buttons = new Gtk.Box({ spacing: 6 });
+    buttons.append(importButton);
+    buttons.append(exportButton);
+    buttons.append(addButton);
+    group.set_header_suffix(buttons);
+
+    this._rebuildPersonaRows();
+  }
+
+  /**
+   * Recreate one expander row per persona
+   * @private
+   */
+  _rebuildPersonaRows() {
+    this._personaRows.forEach(({ row }) => this._personaGroup.remove(row));
+    this._personaRows = this._personas.map((persona, index) =>
+      this._createPersonaRow(persona, index),
     );
-    group.add(this.geminiModel);
-    this.geminiModel.set_text(this.defaultGeminiModel);
+  }
 
-    const howToGeminiModel = new Gtk.LinkButton({
-      label: _("Available Gemini Models"),
-      uri: "https://ai.google.dev/models/gemini",
+  /**
+   * Create the editor rows for a single persona
+   * @param {object} persona - Persona to edit
+   * @param {number} index - Position in the persona list
+   * @returns {object} - Row and a function reading the edited persona back
+   * @private
+   */
+  _createPersonaRow(persona, index) {
+    const row = new Adw.ExpanderRow({
+      title: persona.name,
+      use_markup: false,
     });
-    this.geminiModel.add_suffix(howToGeminiModel);
-    // OpenRouter Model
-    this.openrouterModel = new Adw.EntryRow({
-      title: _("OpenRouter Model:"),
+    this._personaGroup.add(row);
+
+    // Name
+    const nameRow = new Adw.EntryRow({ title: _("Name:") });
+    nameRow.set_text(persona.name);
+    nameRow.connect("changed", () => row.set_title(nameRow.get_text()));
+    row.add_row(nameRow);
+
+    // Instructions
+    const instructionsView = new Gtk.TextView({
+      wrap_mode: Gtk.WrapMode.WORD_CHAR,
+      accepts_tab: false,
+      top_margin: 8,
+      bottom_margin: 8,
+      left_margin: 8,
+      right_margin: 8,
     });
-    this.openrouterModel.set_tooltip_text(
+    instructionsView.get_buffer().set_text(persona.instructions, -1);
+    instructionsView.set_tooltip_text(
       _(
-        "Specify the OpenRouter model you want to use. Example: meta-llama/llama-3.3-70b-instruct:free",
+        "Instructions added to the system prompt while this persona is active.",
       ),
     );
-    group.add(this.openrouterModel);
-    this.openrouterModel.set_text(this.defaultOpenRouterModel);
+    row.add_row(
+      new Gtk.ScrolledWindow({
+        child: instructionsView,
+        min_content_height: 100,
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+      }),
+    );
+
+    // Preferred profile
+    const profileIds = ["", ...this._profiles.map(({ id }) => id)];
+    const profileNames = new Gtk.StringList();
+    profileNames.append(_("Active Profile"));
+    this._profiles.forEach((profile) => profileNames.append(profile.name));
+    const profileRow = new Adw.ComboRow({
+      title: _("Profile:"),
+      model: profileNames,
+    });
+    profileRow.set_selected(Math.max(profileIds.indexOf(persona.profileId), 0));
+    row.add_row(profileRow);
+
+    // Model
+    const modelRow = new Adw.EntryRow({ title: _("Model (optional):") });
+    modelRow.set_tooltip_text(
+      _("Leave empty to use the model of the profile."),
+    );
+    modelRow.set_text(persona.model);
+    row.add_row(modelRow);
+
+    // Temperature
+    const temperatureRow = new Adw.EntryRow({
+      title: _("Temperature (optional):"),
+    });
+    temperatureRow.set_text(persona.temperature?.toString() ?? "");
+    row.add_row(temperatureRow);
+
+    // Reorder and remove
+    const moveUpButton = new Gtk.Button({
+      icon_name: "go-up-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Move Up"),
+      sensitive: index > 0,
+    });
+    const moveDownButton = new Gtk.Button({
+      icon_name: "go-down-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Move Down"),
+      sensitive: index < this._personas.length - 1,
+    });
+    const removeButton = new Gtk.Button({
+      label: _("Remove Persona"),
+      valign: Gtk.Align.CENTER,
+    });
+    removeButton.add_css_class("destructive-action");
+
+    const move = (offset) => {
+      this._collectPersonas();
+      const [moved] = this._personas.splice(index, 1);
+      this._personas.splice(index + offset, 0, moved);
+      this._rebuildPersonaRows();
+    };
+    moveUpButton.connect("clicked", () => move(-1));
+    moveDownButton.connect("clicked", () => move(1));
+    removeButton.connect("clicked", () => {
+      this._collectPersonas();
+      this._personas = this._personas.filter(({ id }) => id !== persona.id);
+      this._rebuildPersonaRows();
+    });
+
+    const actionRow = new Adw.ActionRow();
+    actionRow.add_suffix(moveUpButton);
+    actionRow.add_suffix(moveDownButton);
+    actionRow.add_suffix(removeButton);
+    row.add_row(actionRow);
+
+    const read = () => {
+      const buffer = instructionsView.get_buffer();
+      const temperature = Number.parseFloat(temperatureRow.get_text());
+      return {
+        ...persona,
+        name: nameRow.get_text() || _("Unnamed Persona"),
+        instructions: buffer.get_text(
+          buffer.get_start_iter(),
+          buffer.get_end_iter(),
+          false,
+        ),
+        profileId: profileIds[profileRow.get_selected()] ?? "",
+        model: modelRow.get_text().trim(),
+        temperature: Number.isFinite(temperature) ? temperature : null,
+      };
+    };
+
+    return { row, read };
+  }
+
+  /**
+   * Read the edited personas back from the rows
+   * @private
+   */
+  _collectPersonas() {
+    this._personas = this._personaRows.map(({ read }) => read());
+  }
+
+  /**
+   * Let the user pick a JSON file and append the personas it contains
+   * @private
+   */
+  _importPersonas() {
+    const dialog = new Gtk.FileDialog({ title: _("Import Personas") });
+    dialog.open(this._window, null, (self, result) => {
+      try {
+        const file = self.open_finish(result);
+        const [, contents] = file.load_contents(null);
+        const imported = SettingsManager.parsePersonas(
+          new TextDecoder("utf-8").decode(contents),
+        );
+
+        this._collectPersonas();
+        this._personas.push(...imported);
+        this._rebuildPersonaRows();
+        this._window.add_toast(
+          new Adw.Toast({
+            title: _(
+              "Imported personas. Click 'Save Preferences' to keep them.",
+            ),
+          }),
+        );
+      } catch (e) {
+        if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+          logError(e, "Failed to import personas");
+          this._window.add_toast(
+            new Adw.Toast({ title: _("Could not import personas.") }),
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Let the user pick a file and write the personas to it as JSON
+   * @private
+   */
+  _exportPersonas() {
+    this._collectPersonas();
+    const dialog = new Gtk.FileDialog({
+      title: _("Export Personas"),
+      initial_name: "penguin-personas.json",
+    });
+    dialog.save(this._window, null, (self, result) => {
+      try {
+        const file = self.save_finish(result);
+        file.replace_contents(
+          new TextEncoder().encode(JSON.stringify(this._personas, null, 2)),
+          null,
+          false,
+          Gio.FileCreateFlags.REPLACE_DESTINATION,
+          null,
+        );
+      } catch (e) {
+        if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+          logError(e, "Failed to export personas");
+          this._window.add_toast(
+            new Adw.Toast({ title: _("Could not export personas.") }),
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Create the multi-line system prompt editor
+   * @private
+   */
+  _createSystemPromptSection(group) {
+    this.systemPromptView = new Gtk.TextView({
+      wrap_mode: Gtk.WrapMode.WORD_CHAR,
+      accepts_tab: false,
+      top_margin: 8,
+      bottom_margin: 8,
+      left_margin: 8,
+      right_margin: 8,
+    });
+    this.systemPromptView.get_buffer().set_text(this.defaultSystemPrompt, -1);
+    this.systemPromptView.set_tooltip_text(
+      _("Standing instructions sent to the assistant with every request."),
+    );
+
+    const scrolled = new Gtk.ScrolledWindow({
+      child: this.systemPromptView,
+      min_content_height: 140,
+      hscrollbar_policy: Gtk.PolicyType.NEVER,
+    });
+    scrolled.add_css_class("card");
+    group.add(scrolled);
+  }
+
+  /**
+   * Create the generation parameter section with one expander per provider
+   * @private
+   */
+  _createGenerationSection(group) {
+    const labels = {
+      temperature: _("Temperature:"),
+      maxTokens: _("Max Tokens:"),
+      topP: _("Top P:"),
+      topK: _("Top K:"),
+      frequencyPenalty: _("Frequency Penalty:"),
+      presencePenalty: _("Presence Penalty:"),
+    };
 
-    const howToOpenRouterModel = new Gtk.LinkButton({
-      label: _("Available OpenRouter Models"),
-      uri: "https://openrouter.ai/models",
+    this._generationRows = this._getProviderChoices().map((choice) => {
+      const expander = new Adw.ExpanderRow({ title: choice.label });
+      group.add(expander);
+
+      const overrides = this._settingsManager.getGenerationParamOverrides(
+        choice.id,
+      );
+      const entries = {};
+
+      for (const [key, defaultValue] of Object.entries(
+        GenerationDefaults[choice.id],
+      )) {
+        const limits = SettingsManager.getGenerationParamLimits(choice.id, key);
+        const entry = new Adw.EntryRow({ title: labels[key] });
+        entry.set_tooltip_text(
+          `${_("Default:")} ${defaultValue ?? _("provider default")} · ${_("Range:")} ${limits.min} – ${limits.max}`,
+        );
+        entry.set_text(overrides[key]?.toString() ?? "");
+        entry.connect("changed", () => entry.remove_css_class("error"));
+        expander.add_row(entry);
+        entries[key] = entry;
+      }
+
+      return { provider: choice.id, entries, overrides };
+    });
+  }
+
+  /**
+   * Save the generation parameters, keeping the stored value of invalid entries
+   * @returns {boolean} - Whether all entries were valid
+   * @private
+   */
+  _saveGenerationParams() {
+    let allValid = true;
+
+    this._generationRows.forEach(({ provider, entries, overrides }) => {
+      const params = {};
+      for (const [key, entry] of Object.entries(entries)) {
+        const text = entry.get_text().trim();
+        params[key] = text === "" ? undefined : Number(text);
+      }
+
+      const { invalid } = SettingsManager.validateGenerationParams(
+        provider,
+        params,
+      );
+      invalid.forEach((key) => {
+        entries[key].add_css_class("error");
+        params[key] = overrides[key];
+      });
+      allValid &&= invalid.length === 0;
+
+      this._settingsManager.setGenerationParams(provider, params);
+      Object.assign(overrides, params);
     });
-    this.openrouterModel.add_suffix(howToOpenRouterModel);
+
+    return allValid;
   }
+
   /**
    * Create the color selection section
    * @private
@@ -349,9 +1039,7 @@ export default class PenguinPreferences extends ExtensionPreferences {
       title: _("Tool Server URL:"),
     });
     this.toolServerUrl.set_tooltip_text(
-      _(
-        "URL of the local tool server for function calling (weather, search, system info).",
-      ),
+      _("URL of the local tool server that answers the web search tool."),
     );
     group.add(this.toolServerUrl);
     this.toolServerUrl.set_text(this.defaultToolServerUrl);
@@ -378,73 +1066,1030 @@ export default class PenguinPreferences extends ExtensionPreferences {
   }
 
   /**
-   * Create the keyboard shortcut section
+   * Create the section that switches tools on and off
    * @private
    */
-  _createShortcutSection(group) {
-    const adwrowShortcut = new Adw.ActionRow({
-      title: _("Open Chat Shortcut:"),
-      subtitle: _("Set the keyboard shortcut to open the chat window."),
-    });
-    adwrowShortcut.set_tooltip_text(
-      "Set the keyboard shortcut to open the chat window.",
-    );
-    group.add(adwrowShortcut);
-    this.shortcutLabel = new Gtk.ShortcutLabel({
-      accelerator: this.defaultShortcut,
-      halign: Gtk.Align.CENTER,
+  _createToolSection(group) {
+    this._toolGroup = group;
+    this._toolRows = [];
+    this._toolStates = this._settingsManager.getToolStates();
+    this._toolPolicies = this._settingsManager.getToolPolicies();
+
+    const folderButton = new Gtk.Button({
+      icon_name: "folder-open-symbolic",
       valign: Gtk.Align.CENTER,
+      tooltip_text: _("Open Tool Manifest Folder"),
     });
-    adwrowShortcut.add_suffix(this.shortcutLabel);
-    this.shortcutButton = new Gtk.Button({
-      label: _("Change"),
-      halign: Gtk.Align.CENTER,
+    folderButton.add_css_class("flat");
+    folderButton.connect("clicked", () => this._openToolManifestDir());
+
+    const reloadButton = new Gtk.Button({
+      icon_name: "view-refresh-symbolic",
       valign: Gtk.Align.CENTER,
+      tooltip_text: _("Reload Tools"),
     });
-    const adwrowShortcutButton = new Adw.ActionRow();
-    adwrowShortcutButton.add_suffix(this.shortcutButton);
-    group.add(adwrowShortcutButton);
-    const shortcutController = Gtk.EventControllerKey.new();
-    this.shortcutButton.add_controller(shortcutController);
-    this.changingShortcut = false;
+    reloadButton.add_css_class("flat");
+    reloadButton.connect("clicked", () => this._rebuildToolRows());
 
-    this.shortcutButton.connect("clicked", () => {
-      this.changingShortcut = true;
-      this.shortcutButton.label = _("Press new shortcut...");
+    const buttons = new Gtk.Box({ spacing: 6 });
+    buttons.append(folderButton);
+    buttons.append(reloadButton);
+    group.set_header_suffix(buttons);
+
+    this._rebuildToolRows();
+  }
+
+  /**
+   * Recreate one switch row per tool, and a row per broken manifest
+   * @private
+   */
+  _rebuildToolRows() {
+    const registry = new ToolRegistry({
+      serverUrl: this.toolServerUrl.get_text(),
+      fileFolders: this._fileFolders,
+    });
+    this._toolRowsRegistry = registry;
+    registry.loadManifests((errors) => {
+      // Only the latest rebuild shows its rows
+      if (this._toolRowsRegistry === registry) {
+        this._showToolRows(registry, errors);
+      }
+      registry.destroy();
     });
+  }
 
-    shortcutController.connect(
-      "key-pressed",
-      (controller, keyval, keycode, state) => {
-        if (!this.changingShortcut) return Gdk.EVENT_PROPAGATE;
+  /**
+   * Replace the tool rows with those of a registry
+   * @param {ToolRegistry} registry - Tool registry with its manifests loaded
+   * @param {Array} errors - Manifests that could not be used ({ path,
+   *   message })
+   * @private
+   */
+  _showToolRows(registry, errors) {
+    this._toolRows.forEach((row) => this._toolGroup.remove(row));
+    this._toolRows = [];
 
-        const mask = state & Gtk.accelerator_get_default_mod_mask();
+    registry.setStates(this._toolStates);
+    registry.setPolicies(this._toolPolicies);
+
+    const policies = this._getToolPolicyChoices();
+    registry.getTools().forEach((tool) => {
+      const row = new Adw.ActionRow({
+        title: tool.name,
+        subtitle: tool.available
+          ? tool.description
+          : tool.requires.includes("fileFolders")
+            ? _("Needs an allowed folder under File Access.")
+            : _("Needs the tool server URL."),
+      });
+      row.set_tooltip_text(
+        tool.source === "builtin"
+          ? _("Built into the extension.")
+          : tool.source,
+      );
+
+      // When calls need approval
+      const policyDropDown = Gtk.DropDown.new_from_strings(
+        policies.map(({ label }) => label),
+      );
+      policyDropDown.set_valign(Gtk.Align.CENTER);
+      policyDropDown.set_tooltip_text(_("When the tool may run"));
+      policyDropDown.set_selected(
+        Math.max(
+          policies.findIndex(({ id }) => id === tool.policy),
+          0,
+        ),
+      );
+      policyDropDown.connect("notify::selected", () => {
+        this._toolPolicies[tool.name] =
+          policies[policyDropDown.get_selected()].id;
+      });
+      row.add_suffix(policyDropDown);
+
+      // Whether the tool is offered at all
+      const enabledSwitch = new Gtk.Switch({
+        active: tool.enabled,
+        valign: Gtk.Align.CENTER,
+      });
+      enabledSwitch.connect("notify::active", () => {
+        this._toolStates[tool.name] = enabledSwitch.get_active();
+      });
+      row.add_suffix(enabledSwitch);
+
+      this._toolRows.push(row);
+    });
+
+    errors.forEach(({ path, message }) => {
+      const row = new Adw.ActionRow({
+        title: GLib.path_get_basename(path),
+        subtitle: message,
+      });
+      row.add_prefix(new Gtk.Image({ icon_name: "dialog-warning-symbolic" }));
+      row.set_tooltip_text(path);
+      this._toolRows.push(row);
+    });
+
+    this._toolRows.forEach((row) => this._toolGroup.add(row));
+  }
+
+  /**
+   * Create the section listing the folders the file tools may read
+   * @private
+   */
+  _createFileFolderSection(group) {
+    this._fileFolderGroup = group;
+    this._fileFolderRows = [];
+    this._fileFolders = this._settingsManager.getFileToolFolders();
+
+    const addButton = new Gtk.Button({
+      icon_name: "list-add-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Allow a Folder"),
+    });
+    addButton.add_css_class("flat");
+    addButton.connect("clicked", () => this._addFileFolder());
+    group.set_header_suffix(addButton);
+
+    this._rebuildFileFolderRows();
+  }
+
+  /**
+   * Recreate one row per allowed folder
+   * @private
+   */
+  _rebuildFileFolderRows() {
+    this._fileFolderRows.forEach((row) => this._fileFolderGroup.remove(row));
+    this._fileFolderRows = this._fileFolders.map((folder) => {
+      const row = new Adw.ActionRow({
+        title: GLib.path_get_basename(folder),
+        subtitle: folder,
+      });
+      row.add_prefix(new Gtk.Image({ icon_name: "folder-symbolic" }));
+
+      const removeButton = new Gtk.Button({
+        icon_name: "user-trash-symbolic",
+        valign: Gtk.Align.CENTER,
+        tooltip_text: _("Remove Folder"),
+      });
+      removeButton.add_css_class("flat");
+      removeButton.connect("clicked", () => {
+        this._fileFolders = this._fileFolders.filter((path) => path !== folder);
+        this._onFileFoldersChanged();
+      });
+      row.add_suffix(removeButton);
+
+      this._fileFolderGroup.add(row);
+      return row;
+    });
+  }
+
+  /**
+   * Let the user pick a folder for the file tools
+   * @private
+   */
+  _addFileFolder() {
+    const dialog = new Gtk.FileDialog({ title: _("Allow a Folder") });
+    dialog.select_folder(this._window, null, (self, result) => {
+      try {
+        const path = self.select_folder_finish(result).get_path();
+        if (path && !this._fileFolders.includes(path)) {
+          this._fileFolders = [...this._fileFolders, path];
+          this._onFileFoldersChanged();
+        }
+      } catch (e) {
+        if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+          logError(e, "Failed to pick a folder");
+        }
+      }
+    });
+  }
+
+  /**
+   * Show a changed folder list, including which file tools are available
+   * @private
+   */
+  _onFileFoldersChanged() {
+    this._rebuildFileFolderRows();
+    this._rebuildToolRows();
+  }
+
+  /**
+   * Create the run_command timeout and allowlist editor
+   * @private
+   */
+  _createCommandSection(group) {
+    this.commandTimeout = Adw.SpinRow.new_with_range(1, 600, 1);
+    this.commandTimeout.set_title(_("Command Timeout (seconds):"));
+    this.commandTimeout.set_subtitle(
+      _("Commands still running after this are stopped."),
+    );
+    group.add(this.commandTimeout);
+    this.commandTimeout.set_value(this._settingsManager.getCommandTimeout());
+
+    this.commandAllowlistView = new Gtk.TextView({
+      monospace: true,
+      accepts_tab: false,
+      top_margin: 8,
+      bottom_margin: 8,
+      left_margin: 8,
+      right_margin: 8,
+    });
+    this.commandAllowlistView
+      .get_buffer()
+      .set_text(this._settingsManager.getCommandAllowlist().join("\n"), -1);
+    this.commandAllowlistView.set_tooltip_text(
+      _(
+        "One command per line. * and ? match within a word, and a final lone * matches any further arguments, e.g. journalctl --user -n ?* or systemctl status *. Wildcards never match options such as -f, so write out every option a command may use.",
+      ),
+    );
+
+    const scrolled = new Gtk.ScrolledWindow({
+      child: this.commandAllowlistView,
+      margin_top: 12,
+      min_content_height: 140,
+      hscrollbar_policy: Gtk.PolicyType.NEVER,
+    });
+    scrolled.add_css_class("card");
+    group.add(scrolled);
+  }
+
+  /**
+   * Get the selectable tool approval policies with their labels
+   * @returns {Array} - Policy choices ({ id, label })
+   * @private
+   */
+  _getToolPolicyChoices() {
+    return [
+      { id: ToolPolicies.ALLOW, label: _("Always allow") },
+      { id: ToolPolicies.ASK, label: _("Ask every time") },
+      { id: ToolPolicies.ASK_ONCE, label: _("Ask once per conversation") },
+      { id: ToolPolicies.DENY, label: _("Deny") },
+    ];
+  }
+
+  /**
+   * Open the folder tool manifests are read from, creating it if needed
+   * @private
+   */
+  _openToolManifestDir() {
+    const dir = getToolManifestDir();
+    try {
+      dir.make_directory_with_parents(null);
+    } catch (e) {
+      if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+        logError(e, "Failed to create the tool manifest folder");
+        return;
+      }
+    }
+
+    new Gtk.FileLauncher({ file: dir }).launch(
+      this._window,
+      null,
+      (launcher, result) => {
+        try {
+          launcher.launch_finish(result);
+        } catch (e) {
+          logError(e, "Failed to open the tool manifest folder");
+        }
+      },
+    );
+  }
+
+  /**
+   * Create the Model Context Protocol server section
+   * @private
+   */
+  _createMcpSection(group) {
+    this._mcpGroup = group;
+    this._mcpServers = this._settingsManager.getMcpServers();
+    this._mcpRows = [];
+    this._mcpTransports = [
+      { id: McpTransports.STDIO, label: _("Program (stdio)") },
+      { id: McpTransports.HTTP, label: _("Streamable HTTP") },
+    ];
+
+    const addButton = new Gtk.Button({
+      icon_name: "list-add-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Add MCP Server"),
+    });
+    addButton.add_css_class("flat");
+    addButton.connect("clicked", () => {
+      this._collectMcpServers();
+      this._mcpServers.push(SettingsManager.createMcpServer(_("New Server")));
+      this._rebuildMcpRows();
+      this._mcpRows[this._mcpRows.length - 1].row.set_expanded(true);
+    });
+    group.set_header_suffix(addButton);
+
+    this._rebuildMcpRows();
+  }
+
+  /**
+   * Recreate one expander row per MCP server
+   * @private
+   */
+  _rebuildMcpRows() {
+    this._mcpRows.forEach(({ row }) => this._mcpGroup.remove(row));
+    this._mcpRows = this._mcpServers.map((server) =>
+      this._createMcpRow(server),
+    );
+  }
+
+  /**
+   * Create the editor rows for a single MCP server
+   * @param {object} server - Server to edit
+   * @returns {object} - Row and a function reading the edited server back
+   * @private
+   */
+  _createMcpRow(server) {
+    const row = new Adw.ExpanderRow({
+      title: server.name,
+      use_markup: false,
+    });
+    this._mcpGroup.add(row);
+
+    // Name
+    const nameRow = new Adw.EntryRow({ title: _("Name:") });
+    nameRow.set_text(server.name);
+    nameRow.set_tooltip_text(_("Prefixed to the names of the server's tools."));
+    nameRow.connect("changed", () => row.set_title(nameRow.get_text()));
+    row.add_row(nameRow);
+
+    // Transport
+    const transportList = new Gtk.StringList();
+    this._mcpTransports.forEach(({ label }) => transportList.append(label));
+    const transportRow = new Adw.ComboRow({
+      title: _("Transport:"),
+      model: transportList,
+    });
+    transportRow.set_selected(
+      Math.max(
+        this._mcpTransports.findIndex(({ id }) => id === server.transport),
+        0,
+      ),
+    );
+    row.add_row(transportRow);
+
+    // Command for stdio servers
+    const commandRow = new Adw.EntryRow({ title: _("Command:") });
+    commandRow.set_text(server.command);
+    commandRow.set_tooltip_text(
+      _(
+        "Started without a shell, for example: npx -y @modelcontextprotocol/server-memory",
+      ),
+    );
+    row.add_row(commandRow);
+
+    // Endpoint and credentials for HTTP servers
+    const urlRow = new Adw.EntryRow({ title: _("URL:") });
+    urlRow.set_text(server.url);
+    row.add_row(urlRow);
+
+    const authorizationRow = new Adw.PasswordEntryRow({
+      title: _("Authorization Header (optional):"),
+    });
+    authorizationRow.set_text(server.headers?.Authorization ?? "");
+    authorizationRow.set_tooltip_text(_("For example: Bearer <token>"));
+    row.add_row(authorizationRow);
+
+    const updateTransportRows = () => {
+      const http =
+        this._mcpTransports[transportRow.get_selected()]?.id ===
+        McpTransports.HTTP;
+      commandRow.set_visible(!http);
+      urlRow.set_visible(http);
+      authorizationRow.set_visible(http);
+    };
+    transportRow.connect("notify::selected", updateTransportRows);
+    updateTransportRows();
+
+    // Approval of the server's tool calls
+    const policies = this._getToolPolicyChoices();
+    const policyList = new Gtk.StringList();
+    policies.forEach(({ label }) => policyList.append(label));
+    const policyRow = new Adw.ComboRow({
+      title: _("Tool Approval:"),
+      model: policyList,
+    });
+    policyRow.set_selected(
+      Math.max(
+        policies.findIndex(
+          ({ id }) => id === (server.policy || ToolPolicies.ASK),
+        ),
+        0,
+      ),
+    );
+    row.add_row(policyRow);
+
+    // Tool call timeout
+    const timeoutRow = Adw.SpinRow.new_with_range(1, 600, 1);
+    timeoutRow.set_title(_("Tool Timeout:"));
+    timeoutRow.set_subtitle(_("Seconds a tool call may take."));
+    timeoutRow.set_value(server.timeout);
+    row.add_row(timeoutRow);
+
+    // Enabled
+    const enabledRow = new Adw.SwitchRow({
+      title: _("Enabled"),
+      active: server.enabled,
+    });
+    row.add_row(enabledRow);
+
+    const read = () => {
+      const headers = { ...server.headers };
+      const authorization = authorizationRow.get_text().trim();
+      if (authorization) {
+        headers.Authorization = authorization;
+      } else {
+        delete headers.Authorization;
+      }
+
+      return {
+        ...server,
+        name: nameRow.get_text() || _("Unnamed Server"),
+        transport:
+          this._mcpTransports[transportRow.get_selected()]?.id ??
+          McpTransports.STDIO,
+        command: commandRow.get_text().trim(),
+        url: urlRow.get_text().trim(),
+        headers,
+        timeout: timeoutRow.get_value(),
+        policy: policies[policyRow.get_selected()]?.id ?? ToolPolicies.ASK,
+        enabled: enabledRow.get_active(),
+      };
+    };
+
+    // Check and remove
+    const actionRow = new Adw.ActionRow();
+    const checkButton = new Gtk.Button({
+      label: _("Check Connection"),
+      valign: Gtk.Align.CENTER,
+    });
+    checkButton.connect("clicked", () => {
+      checkButton.set_sensitive(false);
+      actionRow.set_subtitle(_("Connecting..."));
+      this._checkMcpServer(read(), (message) => {
+        actionRow.set_subtitle(message);
+        checkButton.set_sensitive(true);
+      });
+    });
+    const removeButton = new Gtk.Button({
+      label: _("Remove Server"),
+      valign: Gtk.Align.CENTER,
+    });
+    removeButton.add_css_class("destructive-action");
+    removeButton.connect("clicked", () => {
+      this._collectMcpServers();
+      this._mcpServers = this._mcpServers.filter(({ id }) => id !== server.id);
+      this._rebuildMcpRows();
+    });
+    actionRow.add_suffix(checkButton);
+    actionRow.add_suffix(removeButton);
+    row.add_row(actionRow);
+
+    return { row, read };
+  }
+
+  /**
+   * Connect to an MCP server and list its tools
+   * @param {object} server - Server
+   * @param {Function} callback - Called with a status message
+   * @private
+   */
+  _checkMcpServer(server, callback) {
+    const client = new McpClient(server);
+    const done = (message) => {
+      client.close();
+      callback(message);
+    };
+
+    client.connect((error) => {
+      if (error) {
+        done(error.message);
+        return;
+      }
+
+      client.listTools((listError, tools) => {
+        if (listError) {
+          done(listError.message);
+          return;
+        }
+        done(
+          tools.length > 0
+            ? `${tools.length} ${_("tools:")} ${tools.map(({ name }) => name).join(", ")}`
+            : _("Connected, but the server offers no tools."),
+        );
+      });
+    });
+  }
+
+  /**
+   * Read the edited MCP servers back from the rows
+   * @private
+   */
+  _collectMcpServers() {
+    this._mcpServers = this._mcpRows.map(({ read }) => read());
+  }
+
+  /**
+   * Create the retry configuration section
+   * @private
+   */
+  _createRetrySection(group) {
+    this.retryMaxAttempts = Adw.SpinRow.new_with_range(1, 10, 1);
+    this.retryMaxAttempts.set_title(_("Maximum Request Attempts:"));
+    this.retryMaxAttempts.set_subtitle(
+      _("Retry rate limits, server errors and timeouts. 1 disables retrying."),
+    );
+    this.retryMaxAttempts.set_tooltip_text(
+      _(
+        "How many times a request to the assistant or the tool server is attempted before giving up.",
+      ),
+    );
+    group.add(this.retryMaxAttempts);
+    this.retryMaxAttempts.set_value(this.defaultRetryMaxAttempts);
+  }
+
+  /**
+   * Create the context window section
+   * @private
+   */
+  _createContextSection(group) {
+    this._contextStrategies = [
+      { id: ContextStrategies.TRUNCATE, label: _("Drop oldest messages") },
+      { id: ContextStrategies.SLIDING_WINDOW, label: _("Sliding window") },
+      { id: ContextStrategies.SUMMARIZE, label: _("Summarize older messages") },
+    ];
+    const strategyList = new Gtk.StringList();
+    this._contextStrategies.forEach(({ label }) => strategyList.append(label));
+
+    this.contextStrategy = new Adw.ComboRow({
+      title: _("Long Conversations:"),
+      subtitle: _(
+        "What to do when a conversation no longer fits the model's context window.",
+      ),
+      model: strategyList,
+    });
+    this.contextStrategy.set_tooltip_text(
+      _(
+        "The sliding window only sends the most recent messages. Summarizing asks the chat profile to summarize older messages, which takes an extra request.",
+      ),
+    );
+    this.contextStrategy.set_selected(
+      Math.max(
+        this._contextStrategies.findIndex(
+          ({ id }) => id === this.defaultContextStrategy,
+        ),
+        0,
+      ),
+    );
+    group.add(this.contextStrategy);
+
+    this.contextWindowMessages = Adw.SpinRow.new_with_range(2, 200, 1);
+    this.contextWindowMessages.set_title(_("Sliding Window Messages:"));
+    this.contextWindowMessages.set_subtitle(
+      _("How many recent messages the sliding window sends."),
+    );
+    this.contextWindowMessages.set_value(this.defaultContextWindowMessages);
+    group.add(this.contextWindowMessages);
+
+    const updateWindowRow = () =>
+      this.contextWindowMessages.set_sensitive(
+        this._contextStrategies[this.contextStrategy.get_selected()]?.id ===
+          ContextStrategies.SLIDING_WINDOW,
+      );
+    this.contextStrategy.connect("notify::selected", updateWindowRow);
+    updateWindowRow();
+
+    this.contextLimit = Adw.SpinRow.new_with_range(0, 10000000, 1024);
+    this.contextLimit.set_title(_("Context Window Size:"));
+    this.contextLimit.set_subtitle(
+      _("In tokens. 0 uses the known size of the chat profile's model."),
+    );
+    this.contextLimit.set_tooltip_text(
+      _(
+        "Set this when a local server runs with a different context size than assumed.",
+      ),
+    );
+    this.contextLimit.set_value(this.defaultContextLimit);
+    group.add(this.contextLimit);
+  }
+
+  /**
+   * Create the usage totals section
+   * @private
+   */
+  _createUsageSection(group) {
+    this._usageGroup = group;
+    this._usageRows = [];
+
+    const clearButton = new Gtk.Button({
+      icon_name: "user-trash-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Clear Usage Data"),
+    });
+    clearButton.add_css_class("flat");
+    clearButton.connect("clicked", () => this._confirmClearUsage());
+    group.set_header_suffix(clearButton);
+
+    this._rebuildUsageRows();
+
+    // Follow the requests made while the window is open
+    const changedId = this._settings.connect(
+      `changed::${SettingsKeys.USAGE_STATS}`,
+      () => this._rebuildUsageRows(),
+    );
+    this._window.connect("close-request", () => {
+      this._settings.disconnect(changedId);
+      return false;
+    });
+  }
+
+  /**
+   * Recreate the usage rows from the stored statistics
+   * @private
+   */
+  _rebuildUsageRows() {
+    this._usageRows.forEach((row) => this._usageGroup.remove(row));
+
+    const stats = this._settingsManager.getUsageStats();
+    const today = getDayKey();
+    const days = Object.keys(stats).sort().reverse();
+    const months = [...new Set(days.map((day) => day.slice(0, 7)))];
+
+    this._usageRows = [
+      this._createUsageRow(_("Today"), getUsageTotals(stats, today)),
+      this._createUsageRow(
+        _("This Month"),
+        getUsageTotals(stats, today.slice(0, 7)),
+      ),
+      this._createUsageHistoryRow(_("Daily Totals"), stats, days.slice(0, 31)),
+      this._createUsageHistoryRow(_("Monthly Totals"), stats, months),
+    ];
+    this._usageRows.forEach((row) => this._usageGroup.add(row));
+  }
+
+  /**
+   * Create an expander row with the totals of a period, broken down by model
+   * @param {string} title - Period name
+   * @param {object} totals - Totals (see getUsageTotals)
+   * @returns {Adw.ExpanderRow} - Row
+   * @private
+   */
+  _createUsageRow(title, totals) {
+    const row = new Adw.ExpanderRow({
+      title,
+      subtitle: this._formatUsage(totals),
+    });
+    row.add_suffix(this._createCostLabel(totals.cost));
+
+    totals.models.forEach((model) => {
+      const modelRow = new Adw.ActionRow({
+        title: model.model,
+        subtitle: `${model.provider} · ${this._formatUsage(model)}`,
+        use_markup: false,
+      });
+      modelRow.add_suffix(this._createCostLabel(model.cost));
+      row.add_row(modelRow);
+    });
+    row.set_enable_expansion(totals.models.length > 0);
+
+    return row;
+  }
+
+  /**
+   * Create an expander row listing the totals of past days or months
+   * @param {string} title - Row title
+   * @param {object} stats - Usage statistics
+   * @param {Array} periods - Day or month keys, newest first
+   * @returns {Adw.ExpanderRow} - Row
+   * @private
+   */
+  _createUsageHistoryRow(title, stats, periods) {
+    const row = new Adw.ExpanderRow({ title });
+
+    periods.forEach((period) => {
+      const totals = getUsageTotals(stats, period);
+      const periodRow = new Adw.ActionRow({
+        title: period,
+        subtitle: this._formatUsage(totals),
+      });
+      periodRow.add_suffix(this._createCostLabel(totals.cost));
+      row.add_row(periodRow);
+    });
+    row.set_enable_expansion(periods.length > 0);
+
+    return row;
+  }
+
+  /**
+   * Describe the requests and tokens of a usage total
+   * @param {object} totals - Totals ({ requests, inputTokens, outputTokens })
+   * @returns {string} - Description
+   * @private
+   */
+  _formatUsage({ requests, inputTokens, outputTokens }) {
+    return `${requests} ${_("requests")} · ${inputTokens.toLocaleString()} ${_("tokens in")} · ${outputTokens.toLocaleString()} ${_("out")}`;
+  }
+
+  /**
+   * Create a label showing a cost
+   * @param {number} cost - Cost in US dollars
+   * @returns {Gtk.Label} - Label
+   * @private
+   */
+  _createCostLabel(cost) {
+    const label = new Gtk.Label({
+      label: formatCost(cost),
+      valign: Gtk.Align.CENTER,
+    });
+    label.add_css_class("numeric");
+    return label;
+  }
+
+  /**
+   * Ask before deleting the usage statistics
+   * @private
+   */
+  _confirmClearUsage() {
+    const dialog = new Adw.AlertDialog({
+      heading: _("Clear Usage Data?"),
+      body: _("All recorded token counts and costs will be deleted."),
+    });
+    dialog.add_response("cancel", _("Cancel"));
+    dialog.add_response("clear", _("Clear"));
+    dialog.set_response_appearance("clear", Adw.ResponseAppearance.DESTRUCTIVE);
+    dialog.connect("response", (self, response) => {
+      if (response === "clear") {
+        this._settingsManager.clearUsageStats();
+      }
+    });
+    dialog.present(this._window);
+  }
+
+  /**
+   * Create the budget section
+   * @private
+   */
+  _createBudgetSection(group) {
+    this.budgetDaily = Adw.SpinRow.new_with_range(0, 1000000, 1);
+    this.budgetDaily.set_digits(2);
+    this.budgetDaily.set_title(_("Daily Budget (USD):"));
+    this.budgetDaily.set_subtitle(_("0 disables the budget."));
+    this.budgetDaily.set_value(this.defaultUsageBudget.daily);
+    group.add(this.budgetDaily);
+
+    this.budgetMonthly = Adw.SpinRow.new_with_range(0, 1000000, 1);
+    this.budgetMonthly.set_digits(2);
+    this.budgetMonthly.set_title(_("Monthly Budget (USD):"));
+    this.budgetMonthly.set_subtitle(_("0 disables the budget."));
+    this.budgetMonthly.set_value(this.defaultUsageBudget.monthly);
+    group.add(this.budgetMonthly);
+
+    this._budgetActions = [
+      { id: BudgetActions.WARN, label: _("Warn") },
+      { id: BudgetActions.BLOCK, label: _("Block requests") },
+    ];
+    const actionList = new Gtk.StringList();
+    this._budgetActions.forEach(({ label }) => actionList.append(label));
+    this.budgetAction = new Adw.ComboRow({
+      title: _("When a Budget Is Used Up:"),
+      model: actionList,
+    });
+    this.budgetAction.set_selected(
+      Math.max(
+        this._budgetActions.findIndex(
+          ({ id }) => id === this.defaultUsageBudget.action,
+        ),
+        0,
+      ),
+    );
+    group.add(this.budgetAction);
+
+    this._createSaveSection(group);
+  }
+
+  /**
+   * Create the price table section
+   * @private
+   */
+  _createPriceSection(group) {
+    this._priceGroup = group;
+    this._prices = this._settingsManager.getModelPrices();
+    this._priceRows = [];
+
+    const addButton = new Gtk.Button({
+      icon_name: "list-add-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Add Price"),
+    });
+    addButton.add_css_class("flat");
+    addButton.connect("clicked", () => {
+      this._collectPrices();
+      this._prices.push({ model: _("new-model"), input: 0, output: 0 });
+      this._rebuildPriceRows();
+    });
+
+    const resetButton = new Gtk.Button({
+      icon_name: "edit-undo-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Restore Built-in Prices"),
+    });
+    resetButton.add_css_class("flat");
+    resetButton.connect("clicked", () => {
+      this._prices = DefaultModelPrices.map((price) => ({ ...price }));
+      this._rebuildPriceRows();
+    });
+
+    const buttons = new Gtk.Box({ spacing: 6 });
+    buttons.append(resetButton);
+    buttons.append(addButton);
+    group.set_header_suffix(buttons);
+
+    this._rebuildPriceRows();
+  }
+
+  /**
+   * Recreate one expander row per price
+   * @private
+   */
+  _rebuildPriceRows() {
+    this._priceRows.forEach(({ row }) => this._priceGroup.remove(row));
+    this._priceRows = this._prices.map((price, index) =>
+      this._createPriceRow(price, index),
+    );
+  }
+
+  /**
+   * Create the editor rows for a single price
+   * @param {object} price - Price to edit ({ model, input, output })
+   * @param {number} index - Position in the price list
+   * @returns {object} - Row and a function reading the edited price back,
+   *   which returns null while a value is invalid
+   * @private
+   */
+  _createPriceRow(price, index) {
+    const row = new Adw.ExpanderRow({
+      title: price.model,
+      subtitle: `${formatCost(price.input)} / ${formatCost(price.output)}`,
+      use_markup: false,
+    });
+    this._priceGroup.add(row);
+
+    const modelRow = new Adw.EntryRow({ title: _("Model Name Starts With:") });
+    modelRow.set_text(price.model);
+    modelRow.connect("changed", () => row.set_title(modelRow.get_text()));
+    row.add_row(modelRow);
+
+    const inputRow = new Adw.EntryRow({
+      title: _("Input (USD per million tokens):"),
+    });
+    inputRow.set_text(price.input.toString());
+    row.add_row(inputRow);
+
+    const outputRow = new Adw.EntryRow({
+      title: _("Output (USD per million tokens):"),
+    });
+    outputRow.set_text(price.output.toString());
+    row.add_row(outputRow);
+
+    [modelRow, inputRow, outputRow].forEach((entry) =>
+      entry.connect("changed", () => entry.remove_css_class("error")),
+    );
+
+    const removeButton = new Gtk.Button({
+      label: _("Remove Price"),
+      valign: Gtk.Align.CENTER,
+    });
+    removeButton.add_css_class("destructive-action");
+    removeButton.connect("clicked", () => {
+      this._collectPrices();
+      this._prices.splice(index, 1);
+      this._rebuildPriceRows();
+    });
+    const actionRow = new Adw.ActionRow();
+    actionRow.add_suffix(removeButton);
+    row.add_row(actionRow);
+
+    const read = () => {
+      const model = modelRow.get_text().trim();
+      const input = Number(inputRow.get_text().trim());
+      const output = Number(outputRow.get_text().trim());
+
+      const invalid = [
+        [modelRow, !model],
+        [inputRow, !Number.isFinite(input) || input < 0],
+        [outputRow, !Number.isFinite(output) || output < 0],
+      ].filter(([, isInvalid]) => isInvalid);
+      invalid.forEach(([entry]) => entry.add_css_class("error"));
+
+      return invalid.length > 0 ? null : { model, input, output };
+    };
+
+    return { row, read, price };
+  }
+
+  /**
+   * Read the edited prices back from the rows, keeping the previous value
+   * of prices with invalid entries
+   * @returns {boolean} - Whether all entries were valid
+   * @private
+   */
+  _collectPrices() {
+    let allValid = true;
+    this._prices = this._priceRows.map(({ read, price }) => {
+      const edited = read();
+      allValid &&= edited !== null;
+      return edited ?? price;
+    });
+    return allValid;
+  }
+
+  /**
+   * Create the keyboard shortcut section
+   * @private
+   */
+  _createShortcutSection(group) {
+    this._addShortcutRows(
+      group,
+      SettingsKeys.OPEN_CHAT_SHORTCUT,
+      _("Open Chat Shortcut:"),
+      _("Set the keyboard shortcut to open the chat window."),
+    );
+    this._addShortcutRows(
+      group,
+      SettingsKeys.SCREENSHOT_SHORTCUT,
+      _("Screenshot Shortcut:"),
+      _(
+        "Set the keyboard shortcut to capture part of the screen and ask about it.",
+      ),
+    );
+  }
+
+  /**
+   * Add the rows showing and changing a keyboard shortcut
+   * @param {Adw.PreferencesGroup} group - Group to add the rows to
+   * @param {string} key - Settings key holding the shortcut
+   * @param {string} title - Row title
+   * @param {string} subtitle - Row subtitle
+   * @private
+   */
+  _addShortcutRows(group, key, title, subtitle) {
+    const adwrowShortcut = new Adw.ActionRow({ title, subtitle });
+    adwrowShortcut.set_tooltip_text(subtitle);
+    group.add(adwrowShortcut);
+    const shortcutLabel = new Gtk.ShortcutLabel({
+      accelerator: this._settings.get_strv(key)[0] ?? "",
+      halign: Gtk.Align.CENTER,
+      valign: Gtk.Align.CENTER,
+    });
+    adwrowShortcut.add_suffix(shortcutLabel);
+    const shortcutButton = new Gtk.Button({
+      label: _("Change"),
+      halign: Gtk.Align.CENTER,
+      valign: Gtk.Align.CENTER,
+    });
+    const adwrowShortcutButton = new Adw.ActionRow();
+    adwrowShortcutButton.add_suffix(shortcutButton);
+    group.add(adwrowShortcutButton);
+    const shortcutController = Gtk.EventControllerKey.new();
+    shortcutButton.add_controller(shortcutController);
+    let changingShortcut = false;
+
+    shortcutButton.connect("clicked", () => {
+      changingShortcut = true;
+      shortcutButton.label = _("Press new shortcut...");
+    });
+
+    shortcutController.connect(
+      "key-pressed",
+      (controller, keyval, keycode, state) => {
+        if (!changingShortcut) return Gdk.EVENT_PROPAGATE;
+
+        const mask = state & Gtk.accelerator_get_default_mod_mask();
         const shortcut = Gtk.accelerator_name_with_keycode(
           null,
           keyval,
           keycode,
           mask,
         );
-        this.shortcutLabel.accelerator = shortcut;
+        shortcutLabel.accelerator = shortcut;
 
         return Gdk.EVENT_STOP;
       },
     );
 
     shortcutController.connect("key-released", () => {
-      if (!this.changingShortcut) return;
+      if (!changingShortcut) return;
 
-      this.changingShortcut = false;
-      this.shortcutButton.label = _("Change");
-      const newShortcut = this.shortcutLabel.accelerator;
-      this._settings.set_strv(SettingsKeys.OPEN_CHAT_SHORTCUT, [newShortcut]);
+      changingShortcut = false;
+      shortcutButton.label = _("Change");
+      this._settings.set_strv(key, [shortcutLabel.accelerator]);
     });
 
-    this._settings.connect("changed::open-chat-shortcut", () => {
-      const newShortcut = this._settings.get_strv(
-        SettingsKeys.OPEN_CHAT_SHORTCUT,
-      )[0];
-      this.shortcutLabel.accelerator = newShortcut;
+    this._settings.connect(`changed::${key}`, () => {
+      shortcutLabel.accelerator = this._settings.get_strv(key)[0] ?? "";
     });
   }
 
@@ -468,53 +2113,11 @@ export default class PenguinPreferences extends ExtensionPreferences {
    * @private
    */
   _saveSettings(adwrowSaveButton) {
-    // Get provider
-    const providerList = [
-      LLMProviders.ANTHROPIC,
-      LLMProviders.OPENAI,
-      LLMProviders.GEMINI,
-      LLMProviders.OPENROUTER,
-    ];
-    const selectedProvider = providerList[this.provider.get_selected()];
-
-    // Save provider
-    this._settings.set_string(SettingsKeys.LLM_PROVIDER, selectedProvider);
-
-    // Save API keys
-    this._settings.set_string(
-      SettingsKeys.ANTHROPIC_API_KEY,
-      this.anthropicApiKey.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.OPENAI_API_KEY,
-      this.openaiApiKey.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.GEMINI_API_KEY,
-      this.geminiApiKey.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.OPENROUTER_API_KEY,
-      this.openrouterApiKey.get_text(),
-    );
-
-    // Save models
-    this._settings.set_string(
-      SettingsKeys.ANTHROPIC_MODEL,
-      this.model.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.OPENAI_MODEL,
-      this.openaiModel.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.GEMINI_MODEL,
-      this.geminiModel.get_text(),
-    );
-    this._settings.set_string(
-      SettingsKeys.OPENROUTER_MODEL,
-      this.openrouterModel.get_text(),
-    );
+    // Save profiles
+    this._collectProfiles();
+    this._settingsManager.setProfiles(this._profiles);
+    this._settingsManager.setActiveProfileId(this._activeProfileId);
+    this._rebuildProfileRows();
 
     // Save colors
     this._settings.set_string(
@@ -548,8 +2151,103 @@ export default class PenguinPreferences extends ExtensionPreferences {
       Number.parseFloat(this.weatherLon.get_text()) || 13.41,
     );
 
+    // Save tool switches, approval policies, file and command access and
+    // MCP servers
+    this._settingsManager.setToolStates(this._toolStates);
+    this._settingsManager.setToolPolicies(this._toolPolicies);
+    this._settingsManager.setFileToolFolders(this._fileFolders);
+    const allowlistBuffer = this.commandAllowlistView.get_buffer();
+    this._settingsManager.setCommandAllowlist(
+      allowlistBuffer
+        .get_text(
+          allowlistBuffer.get_start_iter(),
+          allowlistBuffer.get_end_iter(),
+          false,
+        )
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0),
+    );
+    this._settingsManager.setCommandTimeout(this.commandTimeout.get_value());
+    this._collectMcpServers();
+    this._settingsManager.setMcpServers(this._mcpServers);
+    this._rebuildMcpRows();
+
+    // Save retry settings
+    this._settings.set_int(
+      SettingsKeys.RETRY_MAX_ATTEMPTS,
+      this.retryMaxAttempts.get_value(),
+    );
+
+    // Save context window settings
+    this._settings.set_string(
+      SettingsKeys.CONTEXT_STRATEGY,
+      this._contextStrategies[this.contextStrategy.get_selected()]?.id ??
+        ContextStrategies.TRUNCATE,
+    );
+    this._settings.set_int(
+      SettingsKeys.CONTEXT_LIMIT,
+      this.contextLimit.get_value(),
+    );
+    this._settings.set_int(
+      SettingsKeys.CONTEXT_WINDOW_MESSAGES,
+      this.contextWindowMessages.get_value(),
+    );
+
+    // Save usage budget and prices
+    this._settings.set_double(
+      SettingsKeys.USAGE_BUDGET_DAILY,
+      this.budgetDaily.get_value(),
+    );
+    this._settings.set_double(
+      SettingsKeys.USAGE_BUDGET_MONTHLY,
+      this.budgetMonthly.get_value(),
+    );
+    this._settings.set_string(
+      SettingsKeys.USAGE_BUDGET_ACTION,
+      this._budgetActions[this.budgetAction.get_selected()]?.id ??
+        BudgetActions.WARN,
+    );
+    // Unchanged built-in prices are not stored so that updates reach users
+    const pricesValid = this._collectPrices();
+    this._settingsManager.setModelPrices(
+      JSON.stringify(this._prices) === JSON.stringify(DefaultModelPrices)
+        ? null
+        : this._prices,
+    );
+
+    // Save fallback chain
+    this._settingsManager.setFallbackProfileIds(
+      this._fallbackEntries
+        .filter(({ enabled }) => enabled)
+        .map(({ id }) => id),
+    );
+
+    // Save personas
+    this._collectPersonas();
+    this._settingsManager.setPersonas(this._personas);
+    this._rebuildPersonaRows();
+
+    // Save system prompt
+    const promptBuffer = this.systemPromptView.get_buffer();
+    this._settings.set_string(
+      SettingsKeys.SYSTEM_PROMPT,
+      promptBuffer.get_text(
+        promptBuffer.get_start_iter(),
+        promptBuffer.get_end_iter(),
+        false,
+      ),
+    );
+
+    // Save generation parameters
+    const generationValid = this._saveGenerationParams();
+
     // Update status
-    adwrowSaveButton.set_title(_("Preferences Saved"));
+    adwrowSaveButton.set_title(
+      generationValid && pricesValid
+        ? _("Preferences Saved")
+        : _("Saved, except for the values marked as invalid"),
+    );
 
     // Reset status after a delay
     GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 3, () => {
@@ -564,8 +2262,52 @@ export default class PenguinPreferences extends ExtensionPreferences {
   fillPreferencesWindow(window) {
     window.set_default_size(900, 700);
     window.search_enabled = true;
+    this._window = window;
     this._settings = this.getSettings();
-    const page = new Adw.PreferencesPage();
+    this._settingsManager = new SettingsManager(this._settings);
+    this._settingsManager.migrateProfiles();
+    const page = new Adw.PreferencesPage({
+      title: _("Settings"),
+      icon_name: "preferences-system-symbolic",
+    });
+    const groupprofiles = new Adw.PreferencesGroup({
+      title: _("Endpoint Profiles:"),
+    });
+    groupprofiles.set_description(
+      _("Click 'Save Preferences' to apply your changes."),
+    );
+    const groupfallback = new Adw.PreferencesGroup({
+      title: _("Fallback Profiles:"),
+    });
+    groupfallback.set_description(
+      _(
+        "When the chat profile fails with a server error, a timeout, a rate limit or an exhausted quota, the enabled profiles are tried from top to bottom. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const grouppersonas = new Adw.PreferencesGroup({
+      title: _("Personas:"),
+    });
+    grouppersonas.set_description(
+      _(
+        "Reusable instructions with a preferred profile, model and temperature, selectable from the chat popup. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupsystemprompt = new Adw.PreferencesGroup({
+      title: _("System Prompt:"),
+    });
+    groupsystemprompt.set_description(
+      _(
+        "Standing instructions for the assistant. {{date}}, {{time}}, {{weekday}}, {{timezone}}, {{hostname}}, {{username}} and {{locale}} are filled in when a message is sent. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupgeneration = new Adw.PreferencesGroup({
+      title: _("Generation Parameters:"),
+    });
+    groupgeneration.set_description(
+      _(
+        "Per-provider defaults for all profiles. Leave a field empty to use the default; a profile's own values take precedence.",
+      ),
+    );
     const groupsettings = new Adw.PreferencesGroup({ title: _("Settings:") });
     groupsettings.set_description(
       _("Click 'Save Preferences' to apply your changes."),
@@ -578,17 +2320,112 @@ export default class PenguinPreferences extends ExtensionPreferences {
     this._loadCurrentSettings();
 
     // Create all UI sections
-    this._createProviderSection(groupsettings);
-    this._createAPIKeySection(groupsettings);
-    this._createModelSection(groupsettings);
+    this._createProfileSection(groupprofiles);
+    this._createSystemPromptSection(groupsystemprompt);
+    this._createFallbackSection(groupfallback);
+    this._createPersonaSection(grouppersonas);
+    this._createGenerationSection(groupgeneration);
     this._createShortcutSection(groupshortcut);
     this._createColorSection(groupcolors);
-    this._createToolServerSection(groupsettings);
+    this._createRetrySection(groupsettings);
+    this._createContextSection(groupsettings);
     this._createSaveSection(groupsettings);
 
+    page.add(groupprofiles);
+    page.add(groupfallback);
+    page.add(groupsystemprompt);
+    page.add(grouppersonas);
+    page.add(groupgeneration);
     page.add(groupsettings);
     page.add(groupshortcut);
     page.add(groupcolors);
     window.add(page);
+
+    // Usage page
+    const usagePage = new Adw.PreferencesPage({
+      title: _("Usage"),
+      icon_name: "utilities-system-monitor-symbolic",
+    });
+    const groupusage = new Adw.PreferencesGroup({ title: _("Usage:") });
+    groupusage.set_description(
+      _(
+        "Tokens reported by the providers and their estimated cost, based on the prices below.",
+      ),
+    );
+    const groupbudget = new Adw.PreferencesGroup({ title: _("Budget:") });
+    groupbudget.set_description(
+      _(
+        "Warn about or block requests once the estimated cost reaches a budget. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupprices = new Adw.PreferencesGroup({ title: _("Prices:") });
+    groupprices.set_description(
+      _(
+        "US dollars per million tokens, matched against the start of the model name; the longest match wins. Prices change over time, so check your provider's pricing page. Models without a price count as free.",
+      ),
+    );
+
+    this._createUsageSection(groupusage);
+    this._createBudgetSection(groupbudget);
+    this._createPriceSection(groupprices);
+
+    usagePage.add(groupusage);
+    usagePage.add(groupbudget);
+    usagePage.add(groupprices);
+    window.add(usagePage);
+
+    // Tools page
+    const toolsPage = new Adw.PreferencesPage({
+      title: _("Tools"),
+      icon_name: "applications-utilities-symbolic",
+    });
+    const grouptoolserver = new Adw.PreferencesGroup({
+      title: _("Tool Server:"),
+    });
+    grouptoolserver.set_description(
+      _(
+        "The local tool server is only needed for web search; the other built-in tools run in the extension. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupfiles = new Adw.PreferencesGroup({ title: _("File Access:") });
+    groupfiles.set_description(
+      _(
+        "Folders the read_file, list_directory and search_files tools may read, including their subfolders. Symbolic links and paths with '..' are refused, and binary files or files over 10 MB are not read. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupcommands = new Adw.PreferencesGroup({
+      title: _("Commands:"),
+    });
+    groupcommands.set_description(
+      _(
+        "Commands the run_command tool may run without extra approval, one per line. Any other command is shown in the chat for you to allow or deny every time, even if the tool is set to run without asking. Commands run without a shell in your home folder, and only the first 16 KB of their output is kept. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const groupmcp = new Adw.PreferencesGroup({ title: _("MCP Servers:") });
+    groupmcp.set_description(
+      _(
+        "Model Context Protocol servers whose tools the assistant may use. Programs are started when the extension starts; HTTP servers are connected to. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+    const grouptools = new Adw.PreferencesGroup({ title: _("Tools:") });
+    grouptools.set_description(
+      _(
+        "Tools the assistant may use. Add your own as JSON manifests in the tool manifest folder; each declares a name, a description, a JSON schema for its parameters and an HTTP or subprocess executor. Pick when each tool may run; tools that ask show the call in the chat for you to allow or deny. Click 'Save Preferences' to apply your changes.",
+      ),
+    );
+
+    this._createToolServerSection(grouptoolserver);
+    this._createSaveSection(grouptoolserver);
+    this._createFileFolderSection(groupfiles);
+    this._createCommandSection(groupcommands);
+    this._createMcpSection(groupmcp);
+    this._createToolSection(grouptools);
+
+    toolsPage.add(grouptoolserver);
+    toolsPage.add(groupfiles);
+    toolsPage.add(groupcommands);
+    toolsPage.add(groupmcp);
+    toolsPage.add(grouptools);
+    window.add(toolsPage);
   }
 }